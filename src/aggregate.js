@@ -0,0 +1,157 @@
+const { httpError, validationError } = require('./errors');
+const { splitTopLevel, unquote, COMPARISON } = require('./filters');
+const { valueProblem } = require('./validate');
+const { bindInput, selectExpr, valueExpr, isReadable } = require('./sqlutil');
+const { parseOrder } = require('./paging');
+
+// Aggregates on list endpoints:
+//   ?select=Status,count(),sum(Qty),max(UpdatedAt)&groupby=Status&having=count().gt.5
+// Plain columns in `select` must be grouped (without `groupby`, they are the
+// grouping). Results are named count, count_Col, sum_Col, avg_Col, min_Col and
+// max_Col. Counts, integer sums and averages come back as numbers; other
+// results keep the column's JSON form.
+
+const AGGREGATE = /^(count|sum|avg|min|max)\(\s*([^()]*?)\s*\)$/i;
+const INTEGER_TYPES = new Set(['bigint', 'int', 'smallint', 'tinyint']);
+const NUMERIC_TYPES = new Set([...INTEGER_TYPES, 'decimal', 'numeric', 'money', 'smallmoney', 'float', 'real']);
+// types SQL Server cannot group or compare
+const UNORDERED_TYPES = new Set(['text', 'ntext', 'image', 'xml', 'geography', 'geometry']);
+// having values for counts, sums and averages are compared as numbers
+const NUMBER = { DATA_TYPE: 'float', IS_NULLABLE: 'YES' };
+
+const typeOf = col => String(col.DATA_TYPE).toLowerCase();
+
+// Is this select item an aggregate rather than an embedded relationship?
+function isAggregate(item, tableMeta) {
+  const m = AGGREGATE.exec(item);
+  return !!m && !(tableMeta.relations || []).some(r => r.name === m[1]);
+}
+
+// "sum(Qty)" -> { name, expr (for HAVING), out (for SELECT), col }
+function parseAggregate(text, columns) {
+  const [, f, arg] = AGGREGATE.exec(text);
+  const fn = f.toLowerCase();
+  if (!arg || arg === '*') {
+    if (fn !== 'count') throw httpError(400, `${fn}() needs a column`);
+    return { name: 'count', expr: 'COUNT_BIG(*)', out: 'CAST(COUNT_BIG(*) AS decimal(19,0))', col: null };
+  }
+  const col = columns.get(arg);
+  if (!col) throw httpError(400, `Unknown column '${arg}' in ${fn}()`);
+  if (col.mask !== undefined && fn !== 'count') throw httpError(400, `Masked column '${arg}' can only be counted`);
+  const t = typeOf(col);
+  const ref = `[${col.COLUMN_NAME}]`;
+  const name = `${fn}_${col.COLUMN_NAME}`;
+
+  if (fn === 'count') return { name, expr: `COUNT_BIG(${ref})`, out: `CAST(COUNT_BIG(${ref}) AS decimal(19,0))`, col: null };
+  if (fn === 'sum' || fn === 'avg') {
+    if (!NUMERIC_TYPES.has(t)) throw httpError(400, `${fn}() needs a numeric column; '${arg}' is ${t}`);
+    if (INTEGER_TYPES.has(t)) {
+      // integer sums cannot overflow, and averages keep their fraction
+      const expr = fn === 'sum' ? `SUM(CAST(${ref} AS decimal(38,0)))` : `AVG(CAST(${ref} AS float))`;
+      return { name, expr, out: expr, col: null };
+    }
+    const expr = `${fn.toUpperCase()}(${ref})`;
+    return { name, expr, out: valueExpr(col, expr), col: null };
+  }
+  if (UNORDERED_TYPES.has(t) || t === 'bit') throw httpError(400, `${fn}() cannot compare ${t} column '${arg}'`);
+  const expr = `${fn.toUpperCase()}(${ref})`;
+  return { name, expr, out: valueExpr(col, expr), col };
+}
+
+// "count().gt.5" -> { agg, op, value }
+function parseHaving(text, columns) {
+  const m = /^(\w+\([^()]*\))\.(\w+)\.([\s\S]*)$/.exec(text.trim());
+  if (!m || !AGGREGATE.test(m[1])) throw httpError(400, `Expected 'aggregate().operator.value' in having, got '${text}'`);
+  if (!COMPARISON[m[2]]) {
+    throw httpError(400, `Unknown having operator '${m[2]}' (use ${Object.keys(COMPARISON).join(', ')})`);
+  }
+  return { agg: parseAggregate(m[1], columns), op: COMPARISON[m[2]], value: unquote(m[3]) };
+}
+
+// The GROUP BY plan for the list query, or null when the request aggregates
+// nothing (no aggregate in `select` and no `groupby`)
+function planAggregate(query, tableMeta, { maxFilters } = {}) {
+  for (const key of ['select', 'groupby', 'having']) {
+    if (query[key] !== undefined && typeof query[key] !== 'string') {
+      throw httpError(400, `Invalid value for query parameter '${key}'`);
+    }
+  }
+  const items = query.select === undefined ? [] : splitTopLevel(query.select).map(s => s.trim()).filter(Boolean);
+  const aggregates = items.some(i => isAggregate(i, tableMeta));
+  if (!aggregates && query.groupby === undefined) {
+    if (query.having !== undefined) throw httpError(400, "'having' needs aggregates in select or a groupby");
+    return null;
+  }
+
+  const columns = new Map(tableMeta.columns.filter(isReadable).map(c => [c.COLUMN_NAME, c]));
+  const outputs = [];
+  const plain = [];
+  for (const item of items) {
+    if (isAggregate(item, tableMeta)) {
+      outputs.push(parseAggregate(item, columns));
+      continue;
+    }
+    if (/[()!*]/.test(item)) throw httpError(400, `'${item}' cannot be selected with aggregates; list grouped columns by name`);
+    const col = columns.get(item);
+    if (!col) throw httpError(400, `Unknown column '${item}' in select`);
+    plain.push(col);
+    outputs.push({ name: col.COLUMN_NAME, out: selectExpr(col), col });
+  }
+
+  let groups = plain;
+  if (query.groupby !== undefined) {
+    groups = splitTopLevel(query.groupby).map(s => s.trim()).filter(Boolean).map(name => {
+      const col = columns.get(name);
+      if (!col) throw httpError(400, `Unknown column '${name}' in groupby`);
+      return col;
+    });
+    const missing = plain.filter(c => !groups.includes(c));
+    if (missing.length) {
+      throw httpError(400, `Selected column(s) ${missing.map(c => `'${c.COLUMN_NAME}'`).join(', ')} must be in groupby`);
+    }
+    // groupby alone returns the distinct groups
+    if (items.length === 0) for (const col of groups) outputs.push({ name: col.COLUMN_NAME, out: selectExpr(col), col });
+  }
+  for (const col of groups) {
+    // groups of a masked column would count its hidden values
+    if (col.mask !== undefined) throw httpError(400, `Cannot group by masked column '${col.COLUMN_NAME}'`);
+    if (UNORDERED_TYPES.has(typeOf(col))) throw httpError(400, `Cannot group by ${typeOf(col)} column '${col.COLUMN_NAME}'`);
+  }
+  const names = outputs.map(o => o.name);
+  const repeated = names.find((n, i) => names.indexOf(n) !== i);
+  if (repeated) throw httpError(400, `'${repeated}' is selected twice`);
+
+  const having = query.having === undefined ? [] : splitTopLevel(query.having).map(s => s.trim()).filter(Boolean)
+    .map(text => parseHaving(text, columns));
+  if (maxFilters !== undefined && having.length > maxFilters) {
+    throw httpError(400, `Too many having conditions (${having.length}); at most ${maxFilters} are allowed`, { code: 'too_many_filters' });
+  }
+  const problems = having
+    .map(h => ({ field: h.agg.name, message: valueProblem(h.agg.col || NUMBER, h.value) }))
+    .filter(p => p.message)
+    .map(p => ({ ...p, message: `${p.message} (in having)` }));
+  if (problems.length) throw validationError(problems);
+
+  return {
+    select: outputs.map(o => (o.col && o.name === o.col.COLUMN_NAME ? o.out : `${o.out} AS [${o.name}]`)).join(', '),
+    // GROUP BY / HAVING text, binding the having values onto `request`
+    clause(request) {
+      let text = groups.length ? ` GROUP BY ${groups.map(c => `[${c.COLUMN_NAME}]`).join(', ')}` : '';
+      if (having.length) {
+        text += ' HAVING ' + having.map((h, i) =>
+          `${h.agg.expr} ${h.op} ${bindInput(request, `h${i}`, h.agg.col || { ...NUMBER, COLUMN_NAME: h.agg.name }, h.value)}`
+        ).join(' AND ');
+      }
+      return text;
+    },
+    // ?order= over the result names, as on the list route; by default the groups in order
+    order(requested) {
+      if (requested !== undefined) {
+        return 'ORDER BY ' + parseOrder(requested, names).map(({ column, dir }) => `[${column}] ${dir}`).join(', ');
+      }
+      return groups.length ? 'ORDER BY ' + groups.map(c => `[${c.COLUMN_NAME}] ASC`).join(', ') : 'ORDER BY (SELECT NULL)';
+    }
+  };
+}
+
+module.exports = { planAggregate };
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const sql = require('mssql');
+const logger = require('./logger');
+const { globToRegex } = require('./glob');
+const { qName } = require('./sqlutil');
+const { parseObjectName } = require('./discovery');
+
+// Audit trail of the writes made through a connection's routes, configured per
+// connection:
+//   audit:
+//     table: audit.ChangeLog    # records inserted in the write's own transaction
+//     file: ./audit/mis.jsonl   # or appended as JSON lines once it commits
+//     objects: ['MI*']          # tables to audit (globs; default all)
+// Each record holds when, who (identity subject, IP, request ID), the endpoint,
+// table and key, and the row before and after the change (null for a create
+// and a delete respectively).
+
+// columns of the audit table, in insert order, with their parameter types
+const COLUMNS = [
+  ['At', () => sql.DateTime2(3)],
+  ['Endpoint', () => sql.NVarChar(128)],
+  ['ObjectName', () => sql.NVarChar(256)],
+  ['Action', () => sql.VarChar(10)],
+  ['KeyValue', () => sql.NVarChar(450)],
+  ['Actor', () => sql.NVarChar(256)],
+  ['ClientIp', () => sql.VarChar(45)],
+  ['RequestId', () => sql.VarChar(128)],
+  ['Before', () => sql.NVarChar(sql.MAX)],
+  ['After', () => sql.NVarChar(sql.MAX)]
+];
+// rows per INSERT, within SQL Server's 2100 parameters
+const ROWS_PER_INSERT = Math.floor(2000 / COLUMNS.length);
+
+function keyPart(value) {
+  if (value === null || value === undefined) return null;
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+// Canonical text of a key: the PK values as a JSON array of strings
+function keyText(values) {
+  return JSON.stringify(values.map(keyPart));
+}
+
+// keyText of the row's own PK values
+function rowKeyText(tableMeta, row) {
+  return keyText(tableMeta.pk.map(k => row[k]));
+}
+
+function sameKey(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function createAudit(config, endpoint, baseDir = process.cwd()) {
+  if (!config) return null;
+  if (!config.table === !config.file) throw new Error(`audit for '${endpoint}' needs exactly one of 'table' or 'file'`);
+  const objects = [].concat(config.objects || '*').map(globToRegex);
+
+  let target = null;
+  let trail = null;
+  let file = null;
+  let stream = null;
+  if (config.table) {
+    const { schema, name } = parseObjectName(config.table);
+    trail = { schema: schema || 'dbo', name };
+    target = qName(trail.schema, trail.name);
+  } else {
+    file = path.resolve(baseDir, config.file);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', err => logger.error(`Audit file ${file} failed:`, err.message));
+  }
+
+  // Does the trail cover this table?
+  const covers = meta => objects.some(o => o.test(meta.name) || o.test(`${meta.schema}.${meta.table}`));
+  // Is schema.name the audit table itself? Discovery leaves it out, so its
+  // records cannot be changed through the API.
+  const isTrail = (schema, name) => !!trail && sameKey(schema, trail.schema) && sameKey(name, trail.name);
+
+  async function insertRecords(newRequest, records) {
+    for (let i = 0; i < records.length; i += ROWS_PER_INSERT) {
+      const request = newRequest();
+      const values = records.slice(i, i + ROWS_PER_INSERT).map((r, n) => {
+        const row = [r.at, endpoint, r.object, r.action, keyText(r.keyValues), r.actor, r.ip, r.requestId,
+          r.before && JSON.stringify(r.before), r.after && JSON.stringify(r.after)];
+        return `(${COLUMNS.map(([, type], j) => {
+          request.input(`a${n}_${j}`, type(), row[j] === undefined ? null : row[j]);
+          return `@a${n}_${j}`;
+        }).join(', ')})`;
+      });
+      const sqlText = `INSERT INTO ${target} (${COLUMNS.map(([c]) => `[${c}]`).join(', ')}) VALUES ${values.join(', ')}`;
+      // the images are not logged; they may hold columns logRedact masks
+      logger.verbose('Writing audit records:', sqlText);
+      await request.query(sqlText);
+    }
+  }
+
+  // Record `changes` ([{ action, before, after }]) made to `tableMeta` for
+  // `req`. `newRequest` belongs to the write's transaction: the audit table is
+  // written in it, the file only after it commits.
+  async function record(req, newRequest, tableMeta, changes) {
+    if (changes.length === 0) return;
+    const at = new Date();
+    const records = changes.map(({ action, before, after }) => ({
+      at,
+      object: `${tableMeta.schema}.${tableMeta.table}`,
+      table: tableMeta.name,
+      action,
+      keyValues: tableMeta.pk.map(k => (after || before)[k]),
+      actor: req.identity ? req.identity.subject : null,
+      ip: req.ip,
+      requestId: req.id,
+      before: before || null,
+      after: after || null
+    }));
+    if (target) return insertRecords(newRequest, records);
+
+    const text = records.map(r => JSON.stringify({
+      at: r.at.toISOString(),
+      endpoint,
+      object: r.object,
+      table: r.table,
+      action: r.action,
+      key: Object.fromEntries(tableMeta.pk.map((k, i) => [k, r.keyValues[i]])),
+      actor: r.actor,
+      ip: r.ip,
+      requestId: r.requestId,
+      before: r.before,
+      after: r.after
+    })).join('\n') + '\n';
+    if (newRequest.afterCommit) newRequest.afterCommit(() => stream.write(text));
+    else stream.write(text);
+  }
+
+  // Records for one row (`keyValues` as parsed from the URL), newest first;
+  // `limit` < 0 returns them all
+  async function history(tableMeta, keyValues, request, limit) {
+    const object = `${tableMeta.schema}.${tableMeta.table}`;
+    const key = keyText(keyValues);
+    if (target) {
+      request.input('endpoint', sql.NVarChar(128), endpoint);
+      request.input('object', sql.NVarChar(256), object);
+      request.input('key', sql.NVarChar(450), key);
+      const top = limit >= 0 ? `TOP (${Math.floor(limit)}) ` : '';
+      const sqlText = `SELECT ${top}[At], [Action], [KeyValue], [Actor], [ClientIp], [RequestId], [Before], [After]
+        FROM ${target} WHERE [Endpoint] = @endpoint AND [ObjectName] = @object AND [KeyValue] = @key
+        ORDER BY [At] DESC`;
+      logger.verbose('Executing SQL:', sqlText, 'params=', logger.sqlParams(request.parameters));
+      const result = await request.query(sqlText);
+      return result.recordset.map(r => {
+        const before = r.Before ? JSON.parse(r.Before) : null;
+        const after = r.After ? JSON.parse(r.After) : null;
+        // key values as typed in the row image (KeyValue holds them as text)
+        const image = after || before || {};
+        const stored = JSON.parse(r.KeyValue);
+        return {
+          at: r.At instanceof Date ? r.At.toISOString() : r.At,
+          endpoint,
+          object,
+          table: tableMeta.name,
+          action: r.Action,
+          key: Object.fromEntries(tableMeta.pk.map((k, i) => [k, image[k] !== undefined ? image[k] : stored[i]])),
+          actor: r.Actor,
+          ip: r.ClientIp,
+          requestId: r.RequestId,
+          before,
+          after
+        };
+      });
+    }
+
+    // the file is scanned from the start; rotate it to keep lookups quick
+    const out = [];
+    if (!fs.existsSync(file)) return out;
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let rec;
+      try {
+        rec = JSON.parse(line);
+      } catch (err) {
+        continue;
+      }
+      if (rec.endpoint !== endpoint || rec.object !== object) continue;
+      if (sameKey(keyText(tableMeta.pk.map(k => rec.key[k])), key)) out.push(rec);
+    }
+    out.reverse();
+    return limit >= 0 ? out.slice(0, limit) : out;
+  }
+
+  return { covers, isTrail, record, history };
+}
+
+module.exports = { createAudit, rowKeyText };
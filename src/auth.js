@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { globToRegex } = require('./glob');
+const { httpError, sendError } = require('./errors');
+
+const VERBS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+// tolerated clock drift when checking exp/nbf, in seconds
+const CLOCK_SKEW = 30;
+
+function base64UrlDecode(str) {
+  return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+// Read a claim by dotted path, e.g. "realm_access.roles"
+function claimAt(claims, dotted) {
+  return String(dotted).split('.').reduce((o, k) => (o == null ? undefined : o[k]), claims);
+}
+
+function loadRsaKeys(jwtCfg, baseDir) {
+  const keys = [];
+  const resolve = f => path.resolve(baseDir, f);
+  const pemFiles = [].concat(jwtCfg.publicKeyFile || [], jwtCfg.publicKeyFiles || []);
+  for (const f of pemFiles) {
+    keys.push({ kid: null, key: crypto.createPublicKey(fs.readFileSync(resolve(f), 'utf8')) });
+  }
+  const jwksFiles = [].concat(jwtCfg.jwksFile || [], jwtCfg.jwksFiles || []);
+  for (const f of jwksFiles) {
+    const jwks = JSON.parse(fs.readFileSync(resolve(f), 'utf8'));
+    for (const jwk of jwks.keys || []) {
+      if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) continue;
+      keys.push({ kid: jwk.kid || null, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) });
+    }
+  }
+  return keys;
+}
+
+function compileRules(roles) {
+  const out = {};
+  for (const [role, rules] of Object.entries(roles || {})) {
+    out[role] = (rules || []).map(r => ({
+      endpoint: globToRegex(r.endpoint || '*'),
+      objects: [].concat(r.objects || r.tables || '*').map(globToRegex),
+      type: r.type || 'any',
+      verbs: new Set([].concat(r.verbs || ['GET']).map(v => String(v).toUpperCase())
+        .flatMap(v => (v === '*' ? VERBS : [v])))
+    }));
+  }
+  return out;
+}
+
+// Build the auth layer from the `auth:` section of config.yaml. Without that
+// section every request is allowed, as before.
+function createAuth(authCfg, baseDir = process.cwd()) {
+  const enabled = !!authCfg;
+  const cfg = authCfg || {};
+  const apiKeyHeader = (cfg.apiKeyHeader || 'X-API-Key').toLowerCase();
+  const apiKeys = (cfg.apiKeys || []).filter(k => k && k.key);
+  const jwtCfg = cfg.jwt || null;
+  const algorithms = jwtCfg ? [].concat(jwtCfg.algorithms || ['HS256', 'RS256']) : [];
+  const rsaKeys = jwtCfg ? loadRsaKeys(jwtCfg, baseDir) : [];
+  const rules = compileRules(cfg.roles);
+  const anonymousRoles = [].concat(cfg.anonymousRoles || []);
+
+  if (enabled) {
+    logger.info(`Auth enabled: ${apiKeys.length} API key(s), JWT ${jwtCfg ? algorithms.join('/') : 'off'}, roles: ${Object.keys(rules).join(', ') || 'none'}`);
+  }
+
+  function verifyJwt(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) throw new Error('Malformed token');
+    const header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    const claims = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+    const data = `${parts[0]}.${parts[1]}`;
+    const signature = base64UrlDecode(parts[2]);
+
+    if (!algorithms.includes(header.alg)) throw new Error(`Algorithm '${header.alg}' not allowed`);
+    if (header.alg === 'HS256') {
+      if (!jwtCfg.secret) throw new Error('No HS256 secret configured');
+      const expected = crypto.createHmac('sha256', String(jwtCfg.secret)).update(data).digest();
+      if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+        throw new Error('Invalid signature');
+      }
+    } else if (header.alg === 'RS256') {
+      const candidates = rsaKeys.filter(k => !header.kid || !k.kid || k.kid === header.kid);
+      const ok = candidates.some(k => crypto.verify('RSA-SHA256', Buffer.from(data), k.key, signature));
+      if (!ok) throw new Error('Invalid signature');
+    } else {
+      throw new Error(`Unsupported algorithm '${header.alg}'`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.exp !== undefined && now > claims.exp + CLOCK_SKEW) throw new Error('Token expired');
+    if (claims.nbf !== undefined && now < claims.nbf - CLOCK_SKEW) throw new Error('Token not yet valid');
+    if (jwtCfg.issuer && claims.iss !== jwtCfg.issuer) throw new Error('Unexpected issuer');
+    if (jwtCfg.audience) {
+      const aud = [].concat(claims.aud || []);
+      if (!aud.includes(jwtCfg.audience)) throw new Error('Unexpected audience');
+    }
+    return claims;
+  }
+
+  // Resolve credentials into req.identity. Missing credentials are not an error
+  // here (authorize decides); invalid ones are rejected with 401.
+  function authenticate(req, res, next) {
+    if (!enabled) return next();
+    const key = req.headers[apiKeyHeader];
+    const authz = req.headers.authorization || '';
+    try {
+      if (key !== undefined) {
+        const match = apiKeys.find(k => safeEqual(k.key, key));
+        if (!match) throw new Error('Invalid API key');
+        req.identity = { method: 'apiKey', subject: match.name || 'apiKey', roles: [].concat(match.roles || []), claims: {} };
+      } else if (/^Bearer\s+/i.test(authz) && jwtCfg) {
+        const claims = verifyJwt(authz.replace(/^Bearer\s+/i, '').trim());
+        const roles = claimAt(claims, jwtCfg.rolesClaim || 'roles');
+        req.identity = { method: 'jwt', subject: claims.sub, roles: [].concat(roles || []), claims };
+      }
+    } catch (err) {
+      logger.warn(`Authentication failed for ${req.method} ${req.originalUrl}: ${err.message}`);
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(res, httpError(401, 'Invalid credentials'));
+    }
+    next();
+  }
+
+  // Is `verb` on endpoint/object allowed for the roles of `identity`?
+  // `type` is table, view, procedure, function, query or admin; admin operations
+  // ($refresh) need a rule naming `type: admin`, never `any`.
+  function can(identity, endpoint, object, type, verb) {
+    if (!enabled) return true;
+    const roles = identity ? identity.roles : anonymousRoles;
+    const v = verb === 'HEAD' ? 'GET' : verb;
+    return roles.some(role => (rules[role] || []).some(r =>
+      r.endpoint.test(endpoint) &&
+      r.objects.some(o => o.test(object)) &&
+      (r.type === type || (r.type === 'any' && type !== 'admin')) &&
+      r.verbs.has(v)));
+  }
+
+  // Route middleware guarding one discovered object by its route name (table/view
+  // metadata, or a routine or query carrying its own `kind`)
+  function authorize(endpoint, meta, verb) {
+    const type = meta.kind || (meta.isView ? 'view' : 'table');
+    return (req, res, next) => {
+      if (can(req.identity, endpoint, meta.name, type, verb)) return next();
+      if (!req.identity) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return sendError(res, httpError(401, 'Authentication required'));
+      }
+      sendError(res, httpError(403, `${verb} on '${meta.name}' is not permitted`));
+    };
+  }
+
+  // OpenAPI securitySchemes + top-level security matching the configured methods
+  function openApiSecurity() {
+    if (!enabled) return null;
+    const schemes = {};
+    if (apiKeys.length) schemes.ApiKeyAuth = { type: 'apiKey', in: 'header', name: cfg.apiKeyHeader || 'X-API-Key' };
+    if (jwtCfg) schemes.BearerAuth = { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' };
+    return { securitySchemes: schemes, security: Object.keys(schemes).map(name => ({ [name]: [] })) };
+  }
+
+  return { enabled, authenticate, authorize, can, openApiSecurity };
+}
+
+module.exports = { createAuth };
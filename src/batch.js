@@ -0,0 +1,124 @@
+const { httpError, sendError } = require('./errors');
+const { keyFromJson } = require('./keys');
+const { withTransaction } = require('./statements');
+const { readByKey, createRows, updateByKey, deleteByKey } = require('./operations');
+const { ETAG, parseIfMatch } = require('./etag');
+const { maskRows } = require('./columns');
+
+// batch method -> HTTP verb used for authorization
+const METHODS = { get: 'GET', create: 'POST', update: 'PATCH', replace: 'PUT', delete: 'DELETE' };
+
+// Replace { "$ref": "stepId.path.to.value" } anywhere in `value` with the
+// matching part of an earlier step's result ({ meta, body }, the body as the
+// caller was sent it). Masked values cannot be referred to: their stars are
+// not the stored value, and hidden and write-only columns are never returned.
+function resolveRefs(value, results) {
+  if (Array.isArray(value)) return value.map(v => resolveRefs(v, results));
+  if (value === null || typeof value !== 'object') return value;
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === '$ref') {
+    const [id, ...path] = String(value.$ref).split('.');
+    if (!results.has(id)) throw httpError(400, `Reference '${value.$ref}' points to an unknown or later step`);
+    const { meta, body } = results.get(id);
+    const column = path.find(k => !/^\d+$/.test(k));
+    const col = column && meta.columns.find(c => c.COLUMN_NAME === column);
+    if (col && col.mask !== undefined) throw httpError(400, `Reference '${value.$ref}' points to masked column '${column}'`);
+    const resolved = path.reduce((o, k) => (o == null ? undefined : o[k]), body);
+    if (resolved === undefined) throw httpError(400, `Reference '${value.$ref}' did not resolve to a value`);
+    return resolved;
+  }
+  return Object.fromEntries(keys.map(k => [k, resolveRefs(value[k], results)]));
+}
+
+// Check every step up front so nothing runs when one is invalid or forbidden
+function validate(ops, byTable, endpoint, req, auth) {
+  ops.forEach((op, step) => {
+    const fail = (status, message) => {
+      const err = httpError(status, message);
+      err.step = step;
+      throw err;
+    };
+    if (!op || typeof op !== 'object') fail(400, 'Operation must be an object');
+    const verb = METHODS[op.method];
+    if (!verb) fail(400, `Unknown method '${op.method}' (use ${Object.keys(METHODS).join(', ')})`);
+    const meta = byTable.get(op.table);
+    if (!meta) fail(400, `Unknown table '${op.table}'`);
+    if (meta.isView || !(meta.pk && meta.pk.length)) fail(400, `'${op.table}' has no primary key routes`);
+    if (op.method !== 'create' && op.key === undefined) fail(400, `'${op.method}' requires a key`);
+    if (op.method !== 'get' && op.method !== 'delete' && op.body === undefined) fail(400, `'${op.method}' requires a body`);
+    if (op.ifMatch !== undefined && !['update', 'replace', 'delete'].includes(op.method)) {
+      fail(400, `'ifMatch' only applies to update, replace and delete`);
+    }
+    if (auth && !auth.can(req.identity, endpoint, meta.name, 'table', verb)) {
+      fail(req.identity ? 403 : 401, `${verb} on '${meta.name}' is not permitted`);
+    }
+  });
+}
+
+// POST /{endpoint}/$batch: run an ordered list of operations in one transaction
+// on the endpoint's pool. Later steps can use { "$ref": "<id>.<column>" } to
+// refer to values returned by earlier ones (e.g. a new identity). `limits` are
+// the connection's guardrails (the statement timeout applies to every step).
+function registerBatchRoute(app, endpoint, metas, pool, services = {}, limits = null) {
+  const { auth } = services;
+  const byTable = new Map(metas.map(m => [m.name, m]));
+
+  app.post(`/${endpoint}/\\$batch`, async (req, res) => {
+    const ops = Array.isArray(req.body) ? req.body : req.body && req.body.operations;
+    let step;
+    try {
+      if (!Array.isArray(ops) || ops.length === 0) {
+        throw httpError(400, 'Body must be a non-empty array of operations (or { "operations": [...] })');
+      }
+      validate(ops, byTable, endpoint, req, auth);
+
+      const results = await withTransaction(pool, async newRequest => {
+        const out = [];
+        const byId = new Map();
+        for (step = 0; step < ops.length; step++) {
+          const op = ops[step];
+          const meta = byTable.get(op.table);
+          const id = String(op.id !== undefined ? op.id : step);
+          const body = resolveRefs(op.body, byId);
+          const key = op.key === undefined ? undefined : keyFromJson(resolveRefs(op.key, byId), meta);
+
+          let result;
+          let status = 200;
+          if (op.method === 'get') {
+            result = await readByKey(meta, req, key, newRequest());
+          } else if (op.method === 'create') {
+            const rows = await createRows(meta, req, Array.isArray(body) ? body : [body], {
+              resolution: op.resolution,
+              newRequest,
+              inTransaction: true
+            });
+            result = Array.isArray(body) ? rows : rows[0];
+            status = 201;
+          } else if (op.method === 'delete') {
+            result = await deleteByKey(meta, req, key, { newRequest, inTransaction: true, ifMatch: parseIfMatch(op.ifMatch) });
+          } else {
+            result = await updateByKey(meta, req, key, body, {
+              replace: op.method === 'replace',
+              newRequest,
+              inTransaction: true,
+              ifMatch: parseIfMatch(op.ifMatch)
+            });
+          }
+          if (result === null || result === undefined) throw httpError(404, `No '${op.table}' row matches the key`);
+
+          const sent = maskRows(meta, result);
+          byId.set(id, { meta, body: sent });
+          out.push({ id, status, body: sent, ...(result[ETAG] && { etag: result[ETAG] }) });
+        }
+        return out;
+      }, limits);
+      res.json({ results });
+    } catch (err) {
+      const failed = err.step !== undefined ? err.step : step;
+      const op = Array.isArray(ops) && failed !== undefined ? ops[failed] : undefined;
+      sendError(res, err, failed !== undefined ? { step: failed, id: String(op && op.id !== undefined ? op.id : failed) } : {});
+    }
+  });
+}
+
+module.exports = { registerBatchRoute };
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const sql = require('mssql');
+const logger = require('./logger');
+const { qName, columnList, isReadable } = require('./sqlutil');
+const { globToRegex } = require('./glob');
+const { CHANGE_CONTEXT } = require('./statements');
+const { maskRows } = require('./columns');
+
+// Change notifications for one connection: writes made through the API are
+// published as they commit, and tables with SQL Server Change Tracking enabled
+// are polled for external writes. Events go to SSE subscribers
+// (GET /{endpoint}/{table}/$changes) and to webhooks. Connections without a
+// `changes` setting (true turns on SSE alone) get neither:
+//   changes:
+//     pollInterval: 10              # seconds between Change Tracking polls
+//     webhooks:
+//       - url: https://hooks.example.com/mi
+//         secret: ...               # HMAC-SHA256 of the body in X-MsABON-Signature
+//         objects: ['MI*']          # tables (globs; default all)
+//         operations: [create, update, delete]
+//         includeRow: true          # send the new row (default true)
+//         retries: 5                # attempts after the first, with exponential backoff
+// An event is { id, at, endpoint, table, operation, key, row, source }, where
+// source is 'api' or 'changeTracking', operation is create, update, delete or
+// upsert (a merge whose outcome per row is unknown), and row is the new row
+// (null after a delete).
+
+const OPERATIONS = ['create', 'update', 'delete', 'upsert'];
+// events kept for SSE clients resuming with Last-Event-ID
+const REPLAY_EVENTS = 1000;
+// deliveries a webhook may have waiting before the oldest are dropped
+const MAX_QUEUE = 10000;
+const CT_OPERATIONS = { I: 'create', U: 'update', D: 'delete' };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function checkWebhook(hook, endpoint) {
+  const where = `changes.webhooks for '${endpoint}'`;
+  if (!hook || !/^https?:\/\//i.test(String(hook.url || ''))) throw new Error(`${where}: each webhook needs an http(s) 'url'`);
+  for (const op of [].concat(hook.operations || [])) {
+    if (!OPERATIONS.includes(op)) throw new Error(`${where}: unknown operation '${op}' (use ${OPERATIONS.join(', ')})`);
+  }
+  if (hook.retries !== undefined && !(Number.isInteger(hook.retries) && hook.retries >= 0)) {
+    throw new Error(`${where}: 'retries' must be a whole number`);
+  }
+  return {
+    url: hook.url,
+    secret: hook.secret,
+    objects: [].concat(hook.objects || '*').map(globToRegex),
+    operations: hook.operations ? [].concat(hook.operations) : OPERATIONS,
+    includeRow: hook.includeRow !== false,
+    retries: hook.retries !== undefined ? hook.retries : 5,
+    queue: [],
+    busy: false
+  };
+}
+
+const matches = (objects, meta) => objects.some(o => o.test(meta.name) || o.test(`${meta.schema}.${meta.table}`));
+
+// The body a webhook or SSE client receives, without the row when not wanted.
+// `image` (the row before a delete, when known) is only kept for row security.
+function eventBody(event, includeRow) {
+  const { row, image, ...rest } = event;
+  return includeRow ? { ...rest, row } : rest;
+}
+
+function createChangeFeed(config, endpoint) {
+  if (!config) return null;
+  if (config === true) config = {};
+  const pollInterval = config.pollInterval !== undefined ? config.pollInterval : 10;
+  if (typeof pollInterval !== 'number' || pollInterval < 0) {
+    throw new Error(`changes.pollInterval for '${endpoint}' must be a number of seconds (0 turns polling off)`);
+  }
+  const webhooks = [].concat(config.webhooks || []).map(h => checkWebhook(h, endpoint));
+
+  let seq = 0;
+  const recent = [];
+  const subscribers = new Set(); // { meta, send(event) }
+
+  // POST one event, retrying with backoff (1s, 2s, 4s, ...) on errors and non-2xx
+  async function deliver(hook, event) {
+    const body = JSON.stringify(eventBody(event, hook.includeRow));
+    const headers = { 'Content-Type': 'application/json', 'X-MsABON-Event': 'change', 'X-MsABON-Delivery': String(event.id) };
+    if (hook.secret) headers['X-MsABON-Signature'] = `sha256=${crypto.createHmac('sha256', hook.secret).update(body).digest('hex')}`;
+    for (let attempt = 0; ; attempt++) {
+      let problem;
+      try {
+        const res = await fetch(hook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(10000) });
+        if (res.ok) return;
+        problem = `HTTP ${res.status}`;
+      } catch (err) {
+        problem = err.message;
+      }
+      if (attempt >= hook.retries) {
+        logger.warn(`Webhook ${hook.url} gave up on event ${event.id} after ${attempt + 1} attempts: ${problem}`);
+        return;
+      }
+      logger.verbose(`Webhook ${hook.url} failed (${problem}); retry ${attempt + 1} of ${hook.retries}`);
+      await sleep(1000 * 2 ** attempt);
+    }
+  }
+
+  // each webhook receives its events one at a time, in order
+  async function drain(hook) {
+    if (hook.busy) return;
+    hook.busy = true;
+    while (hook.queue.length) await deliver(hook, hook.queue.shift());
+    hook.busy = false;
+  }
+
+  function emit(meta, event) {
+    recent.push(event);
+    if (recent.length > REPLAY_EVENTS) recent.shift();
+    for (const s of subscribers) if (s.meta.name === meta.name) s.send(event);
+    for (const hook of webhooks) {
+      if (!matches(hook.objects, meta) || !hook.operations.includes(event.operation)) continue;
+      if (hook.queue.length >= MAX_QUEUE) {
+        hook.queue.shift();
+        logger.warn(`Webhook ${hook.url} is ${MAX_QUEUE} events behind; dropping the oldest`);
+      }
+      hook.queue.push(event);
+      drain(hook);
+    }
+  }
+
+  // `image` is the new row, or the deleted one (or just its key)
+  function event(meta, operation, image, source) {
+    return {
+      id: ++seq,
+      at: new Date().toISOString(),
+      endpoint,
+      table: meta.name,
+      operation,
+      key: Object.fromEntries(meta.pk.map(k => [k, image[k]])),
+      row: operation === 'delete' ? null : image,
+      source,
+      image
+    };
+  }
+
+  // Publish API writes ([{ action, before, after }]); `newRequest` is the
+  // write's, so events wait for its transaction to commit
+  function publish(meta, newRequest, changes) {
+    if (changes.length === 0) return;
+    const send = () => {
+      for (const { action, before, after } of changes) emit(meta, event(meta, action, after || before, 'api'));
+    };
+    if (newRequest.afterCommit) newRequest.afterCommit(send);
+    else send();
+  }
+
+  // Register an SSE client of `meta`'s events; returns the unsubscribe function.
+  // `lastEventId` replays the newer events still held.
+  function subscribe(meta, send, lastEventId) {
+    const s = { meta, send };
+    if (lastEventId !== undefined) {
+      for (const e of recent) if (e.id > lastEventId && e.table === meta.name) send(e);
+    }
+    subscribers.add(s);
+    return () => subscribers.delete(s);
+  }
+
+  // Change Tracking polling. `tracked` is replaced on each discovery; versions
+  // survive refreshes by schema.table.
+  let tracked = [];
+  const versions = new Map();
+  let polling = false;
+
+  const wanted = meta => webhooks.some(h => matches(h.objects, meta)) || [...subscribers].some(s => s.meta.name === meta.name);
+
+  async function pollTable(meta) {
+    const object = `${meta.schema}.${meta.table}`;
+    const target = qName(meta.schema, meta.table);
+    const state = await meta.pool.request()
+      .input('object', sql.NVarChar, target)
+      .query(`SELECT CHANGE_TRACKING_CURRENT_VERSION() AS current_version,
+                     CHANGE_TRACKING_MIN_VALID_VERSION(OBJECT_ID(@object)) AS min_valid`);
+    const { current_version: current, min_valid: minValid } = state.recordset[0];
+    const since = versions.get(object);
+    versions.set(object, current);
+    // the first poll only notes where to start
+    if (since === undefined || current === null) return;
+    if (minValid !== null && Number(since) < Number(minValid)) {
+      logger.warn(`Change Tracking for ${object} was cleaned up past version ${since}; changes in between were missed`);
+      return;
+    }
+    const keys = meta.pk.map((k, i) => `CT.[${k}] AS [$key${i}]`).join(', ');
+    const on = meta.pk.map(k => `T.[${k}] = CT.[${k}]`).join(' AND ');
+    const sqlText = `SELECT CT.SYS_CHANGE_OPERATION AS [$op], ${keys}, ${columnList(meta.columns, 'T')}
+      FROM CHANGETABLE(CHANGES ${target}, @since) AS CT
+      LEFT JOIN ${target} AS T ON ${on}
+      WHERE CT.SYS_CHANGE_VERSION <= @current
+        AND (CT.SYS_CHANGE_CONTEXT IS NULL OR CT.SYS_CHANGE_CONTEXT <> ${CHANGE_CONTEXT})
+      ORDER BY CT.SYS_CHANGE_VERSION`;
+    const request = meta.pool.request().input('since', sql.BigInt, since).input('current', sql.BigInt, current);
+    logger.verbose('Executing SQL:', sqlText, 'params=', logger.sqlParams(request.parameters));
+    const result = await request.query(sqlText);
+    for (const r of result.recordset) {
+      const operation = CT_OPERATIONS[r.$op] || 'update';
+      // deleted rows (and rows deleted since the change) only have their key
+      const gone = meta.pk.some(k => r[k] === null);
+      const image = gone
+        ? Object.fromEntries(meta.pk.map((k, i) => [k, r[`$key${i}`]]))
+        : maskRows(meta, Object.fromEntries(meta.columns.filter(isReadable).map(c => [c.COLUMN_NAME, r[c.COLUMN_NAME]])));
+      const e = event(meta, operation, image, 'changeTracking');
+      if (gone) e.row = null;
+      emit(meta, e);
+    }
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      for (const meta of tracked) {
+        if (!wanted(meta)) {
+          // start afresh once someone listens again
+          versions.delete(`${meta.schema}.${meta.table}`);
+          continue;
+        }
+        try {
+          await pollTable(meta);
+        } catch (err) {
+          logger.warn(`Change Tracking poll of ${meta.schema}.${meta.table} failed:`, err.message);
+        }
+      }
+    } finally {
+      polling = false;
+    }
+  }
+
+  // Tables of the latest discovery with Change Tracking enabled
+  function track(metas) {
+    tracked = metas.filter(m => m.changeTracking);
+  }
+
+  if (pollInterval > 0) setInterval(poll, pollInterval * 1000).unref();
+
+  return { publish, subscribe, track, poll };
+}
+
+module.exports = { createChangeFeed, eventBody };
@@ -0,0 +1,162 @@
+const { validationError } = require('./errors');
+const { globToRegex } = require('./glob');
+const { isGenerated } = require('./validate');
+const { expandTemplate, checkTemplate } = require('./rowsecurity');
+const logger = require('./logger');
+
+// Column policies, per connection:
+//   columnPolicies:
+//     - objects: [dbo.Customers]
+//       hidden: [PasswordHash]        # never read, written or documented
+//       writeOnly: [Pin]              # accepted on writes, never returned
+//       readOnly: [Status]            # returned, rejected on writes
+//       masked: { CardNumber: 4 }     # only the last 4 characters are shown
+//       defaults:                     # filled when a write omits them
+//         CreatedBy: '{identity.subject}'
+//         CreatedAt: now()
+//         UpdatedBy: { value: '{identity.subject}', on: [create, update] }
+// The flags are set on the discovered column objects (hidden, writeOnly,
+// readOnly, mask); computed, identity and rowversion columns are readOnly
+// from discovery.
+
+const ACTIONS = new Set(['create', 'update']);
+// types whose masked text would be meaningless
+const UNMASKABLE = new Set(['binary', 'varbinary', 'image', 'timestamp', 'rowversion']);
+
+// Find `name` on the table (case-insensitively), logging and skipping unknown ones
+function findColumn(tableMeta, name, setting) {
+  const col = tableMeta.columns.find(c => c.COLUMN_NAME.toLowerCase() === String(name).toLowerCase());
+  if (!col) logger.warn(`columnPolicies ${setting} column '${name}' not found on ${tableMeta.schema}.${tableMeta.table}; skipped`);
+  return col;
+}
+
+// Key, foreign key, row security and rowversion columns must stay readable:
+// single-row routes, cursors, embeds, audit images, change events and ETags
+// rely on their values (and an embed would show a masked key anyway)
+function mustStayVisible(tableMeta, col, setting) {
+  const name = col.COLUMN_NAME;
+  const reason = (tableMeta.pk || []).includes(name) ? 'a primary key column'
+    : (tableMeta.relations || []).some(r => r.localColumns.includes(name)) ? 'a foreign key column'
+      : (tableMeta.rowSecurity || []).some(r => r.column === col) ? 'a row security column'
+        : name === tableMeta.rowversion ? 'the rowversion column' : null;
+  if (reason) logger.warn(`columnPolicies cannot make ${reason} ${setting} (${tableMeta.schema}.${tableMeta.table}.${name}); skipped`);
+  return !!reason;
+}
+
+// Apply the connection's columnPolicies to one discovered object: flag its
+// columns and set tableMeta.defaults ([{ column, value, on }])
+function applyColumnPolicies(endpointConfig, tableMeta) {
+  const qualified = `${tableMeta.schema}.${tableMeta.table}`;
+  const defaults = new Map();
+  for (const rule of endpointConfig.columnPolicies || []) {
+    const objects = [].concat(rule.objects || '*').map(globToRegex);
+    if (!objects.some(o => o.test(tableMeta.name) || o.test(qualified))) continue;
+
+    for (const setting of ['hidden', 'writeOnly', 'readOnly']) {
+      for (const name of [].concat(rule[setting] || [])) {
+        const col = findColumn(tableMeta, name, setting);
+        if (!col || (setting !== 'readOnly' && mustStayVisible(tableMeta, col, setting))) continue;
+        col[setting] = true;
+      }
+    }
+    // masked: { Col: visibleChars } or [Col] (nothing visible)
+    const masked = Array.isArray(rule.masked) ? Object.fromEntries(rule.masked.map(n => [n, 0])) : rule.masked || {};
+    for (const [name, visible] of Object.entries(masked)) {
+      const col = findColumn(tableMeta, name, 'masked');
+      if (!col || mustStayVisible(tableMeta, col, 'masked')) continue;
+      if (UNMASKABLE.has(String(col.DATA_TYPE).toLowerCase())) {
+        logger.warn(`columnPolicies cannot mask ${col.DATA_TYPE} column ${qualified}.${col.COLUMN_NAME}; skipped`);
+        continue;
+      }
+      const n = Number(visible);
+      if (!Number.isInteger(n) || n < 0) throw new Error(`columnPolicies masked '${name}' must be a number of visible characters, got '${visible}'`);
+      col.mask = n;
+    }
+    for (const [name, spec] of Object.entries(rule.defaults || {})) {
+      const col = findColumn(tableMeta, name, 'defaults');
+      if (!col) continue;
+      const { value, on = ['create'] } = spec !== null && typeof spec === 'object' ? spec : { value: spec };
+      const actions = [].concat(on);
+      const unknown = actions.find(a => !ACTIONS.has(a));
+      if (unknown) throw new Error(`columnPolicies default for '${name}' has unknown action '${unknown}' (use create, update)`);
+      checkTemplate(value, 'columnPolicies default');
+      defaults.set(col, { column: col, value, on: new Set(actions) });
+    }
+  }
+  tableMeta.defaults = [...defaults.values()];
+
+  // a column callers cannot send needs a value from somewhere on insert
+  for (const col of tableMeta.columns) {
+    if (!(col.hidden || col.readOnly) || col.IS_NULLABLE !== 'NO' || col.HAS_DEFAULT || isGenerated(tableMeta, col)) continue;
+    if (tableMeta.isView || (defaults.has(col) && defaults.get(col).on.has('create'))) continue;
+    logger.warn(`columnPolicies: ${qualified}.${col.COLUMN_NAME} is required but cannot be written and has no default; inserts will fail`);
+  }
+}
+
+// Reject fields the caller may not write: hidden columns look unknown, and
+// readOnly ones are named (generated columns are left to validate.js)
+function checkWritable(tableMeta, rows) {
+  const byName = new Map(tableMeta.columns.map(c => [c.COLUMN_NAME, c]));
+  const problems = rows.flatMap((body, row) => Object.keys(body).flatMap(field => {
+    const col = byName.get(field);
+    if (!col || !(col.hidden || col.readOnly) || isGenerated(tableMeta, col)) return [];
+    const message = col.hidden ? 'is not a column of this table' : 'is read-only';
+    return [rows.length > 1 ? { row, field, message } : { field, message }];
+  }));
+  if (problems.length) throw validationError(problems);
+}
+
+// The value of a configured default for this request (undefined when the
+// caller's context does not have it). now() is UTC, as text the column accepts.
+function defaultValue(col, value, req) {
+  if (value === 'now()') {
+    const now = new Date().toISOString();
+    const t = String(col.DATA_TYPE).toLowerCase();
+    return t === 'date' ? now.slice(0, 10) : t === 'time' ? now.slice(11, 23) : now;
+  }
+  return typeof value === 'string' ? expandTemplate(value, req) : value;
+}
+
+// A masked column's value as callers see it: every character starred but the
+// last `mask` (all of them when the value is not longer than that)
+function maskValue(col, value) {
+  if (value === null || value === undefined) return value;
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  const shown = col.mask > 0 && text.length > col.mask ? text.slice(-col.mask) : '';
+  return '*'.repeat(text.length - shown.length) + shown;
+}
+
+// Copies of `rows` (a row or an array of rows) with their masked columns
+// masked, and those of the rows `plan` embeds. Rows stay unmasked inside the
+// server, so ETags and joins use the stored values; this runs on the way out.
+function maskRows(tableMeta, rows, plan = null) {
+  if (Array.isArray(rows)) return rows.map(r => maskRows(tableMeta, r, plan));
+  const masked = tableMeta.columns.filter(c => c.mask !== undefined);
+  const embeds = plan ? plan.embeds : [];
+  if (!rows || (masked.length === 0 && embeds.length === 0)) return rows;
+  const out = { ...rows };
+  for (const col of masked) {
+    if (col.COLUMN_NAME in out) out[col.COLUMN_NAME] = maskValue(col, out[col.COLUMN_NAME]);
+  }
+  for (const e of embeds) {
+    if (out[e.key]) out[e.key] = maskRows(e.relation.target, out[e.key], e.plan);
+  }
+  return out;
+}
+
+// Fill the columns `body` omits from the defaults configured for `action`
+// (create or update). Returns the names it filled.
+function applyDefaults(tableMeta, req, body, action) {
+  const filled = [];
+  for (const d of tableMeta.defaults || []) {
+    const name = d.column.COLUMN_NAME;
+    if (!d.on.has(action) || body[name] !== undefined) continue;
+    const value = defaultValue(d.column, d.value, req);
+    if (value === undefined) continue;
+    body[name] = value;
+    filled.push(name);
+  }
+  return filled;
+}
+
+module.exports = { applyColumnPolicies, checkWritable, applyDefaults, maskValue, maskRows };
@@ -0,0 +1,98 @@
+const logger = require('./logger');
+const { globToRegex } = require('./glob');
+
+// Which discovered tables, views and routines an endpoint exposes, and under
+// what route name. Configured per connection:
+//   filter:   legacy single regex (e.g. ^MI), case-insensitive
+//   include:  regexes ("/^MI/i") or globs ("MI*"); an object must match one
+//   exclude:  same forms; matching objects are dropped
+//   schemas:  only objects in these schemas
+//   objects:  allow-list of "Name", "schema.Name" or { name, as } (alias)
+// Patterns are tried against both "Name" and "schema.Name".
+
+// "/source/flags" is a regular expression, anything else a glob
+function toMatcher(pattern) {
+  const m = /^\/(.+)\/([a-z]*)$/s.exec(String(pattern));
+  if (!m) return globToRegex(pattern);
+  try {
+    return new RegExp(m[1], m[2].replace('g', ''));
+  } catch (err) {
+    throw new Error(`Invalid discovery pattern '${pattern}': ${err.message}`);
+  }
+}
+
+function matchesAny(matchers, schema, name) {
+  return matchers.some(re => re.test(name) || re.test(`${schema}.${name}`));
+}
+
+// "Name" or "schema.Name" -> { schema, name }; brackets are allowed ("[sales].[Order Lines]")
+function parseObjectName(text) {
+  const parts = String(text).match(/\[[^\]]+\]|[^.]+/g) || [];
+  const clean = parts.map(p => p.replace(/^\[|\]$/g, ''));
+  return clean.length > 1 ? { schema: clean[0], name: clean.slice(1).join('.') } : { schema: null, name: clean[0] };
+}
+
+// Compile an endpoint's discovery settings into select(schema, name), which
+// returns null for objects to skip, else { alias } (alias undefined when none)
+function createObjectFilter(endpointConfig) {
+  const filter = endpointConfig.filter ? toMatcher(`/${endpointConfig.filter}/i`) : null;
+  const include = [].concat(endpointConfig.include || []).map(toMatcher);
+  const exclude = [].concat(endpointConfig.exclude || []).map(toMatcher);
+  const schemas = endpointConfig.schemas
+    ? new Set([].concat(endpointConfig.schemas).map(s => String(s).toLowerCase()))
+    : null;
+  const objects = endpointConfig.objects
+    ? [].concat(endpointConfig.objects).map(o => {
+      const entry = typeof o === 'object' && o !== null ? o : { name: o };
+      if (!entry.name) throw new Error(`Each 'objects' entry needs a name (got ${JSON.stringify(o)})`);
+      return { ...parseObjectName(entry.name), alias: entry.as };
+    })
+    : null;
+
+  return (schema, name) => {
+    if (filter && !matchesAny([filter], schema, name)) return null;
+    if (include.length && !matchesAny(include, schema, name)) return null;
+    if (matchesAny(exclude, schema, name)) return null;
+    if (schemas && !schemas.has(schema.toLowerCase())) return null;
+    if (!objects) return {};
+    const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+    // a schema-qualified entry wins over a bare one
+    const entry = objects.find(o => o.schema && same(o.schema, schema) && same(o.name, name)) ||
+      objects.find(o => !o.schema && same(o.name, name));
+    return entry ? { alias: entry.alias } : null;
+  };
+}
+
+// Route names for the selected objects (each { schema, table, alias }): the
+// alias when given, else the bare name. Names are case-insensitive (so are
+// Express routes); when several schemas share one, the dbo object keeps it and
+// the others are served as "schema.Name".
+function assignRouteNames(items, what = 'object') {
+  const key = s => s.toLowerCase();
+  const counts = new Map();
+  for (const it of items) {
+    if (!it.alias) counts.set(key(it.table), (counts.get(key(it.table)) || 0) + 1);
+  }
+  const aliases = new Set(items.filter(it => it.alias).map(it => key(it.alias)));
+  const taken = new Set();
+  const out = [];
+  for (const it of items) {
+    let name = it.alias || it.table;
+    const shared = !it.alias && (counts.get(key(it.table)) > 1 || aliases.has(key(it.table)));
+    if (shared && !(it.schema.toLowerCase() === 'dbo' && !aliases.has(key(it.table)))) {
+      name = `${it.schema}.${it.table}`;
+    }
+    if (taken.has(key(name))) {
+      logger.warn(`Skipping ${what} ${it.schema}.${it.table}: route name '${name}' is already used`);
+      continue;
+    }
+    if (name !== (it.alias || it.table)) {
+      logger.warn(`${it.table} exists in several schemas; serving ${it.schema}.${it.table} as '${name}'`);
+    }
+    taken.add(key(name));
+    out.push({ ...it, name });
+  }
+  return out;
+}
+
+module.exports = { createObjectFilter, assignRouteNames, parseObjectName };
@@ -0,0 +1,126 @@
+const { STATUS_CODES } = require('http');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Build an Error carrying the HTTP status a route handler should answer with,
+// optionally with a machine-readable `code` and per-field `details`
+function httpError(status, message, { code, details } = {}) {
+  const err = new Error(message);
+  err.status = status;
+  // safe to show the caller (the same flag body-parser sets)
+  err.expose = true;
+  if (code) err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// 400 listing every problem as { field, message } (plus `row` for bulk bodies)
+function validationError(details) {
+  const fields = [...new Set(details.map(d => d.field))].join(', ');
+  return httpError(400, `Invalid value(s) for: ${fields}`, { code: 'validation_failed', details });
+}
+
+// SQL Server error numbers with a client-facing meaning. The raw message names
+// tables and values, so only the constraint or column is passed on.
+const SQL_ERRORS = {
+  2627: { status: 409, code: 'duplicate_key', message: 'A row with the same key already exists' },
+  2601: { status: 409, code: 'duplicate_key', message: 'A row with the same unique value already exists' },
+  547: { status: 409, code: 'constraint_violation', message: 'The change conflicts with a constraint' },
+  515: { status: 400, code: 'not_null_violation', message: 'A required column was NULL' },
+  8152: { status: 400, code: 'value_too_long', message: 'A value is too long for its column' },
+  2628: { status: 400, code: 'value_too_long', message: 'A value is too long for its column' },
+  245: { status: 400, code: 'invalid_value', message: 'A value could not be converted to the column type' },
+  8114: { status: 400, code: 'invalid_value', message: 'A value could not be converted to the column type' },
+  241: { status: 400, code: 'invalid_value', message: 'A date or time value could not be parsed' },
+  242: { status: 400, code: 'invalid_value', message: 'A date or time value is out of range' },
+  8115: { status: 400, code: 'invalid_value', message: 'A numeric value is out of range for its column' },
+  1205: { status: 503, code: 'deadlock', message: 'The request was chosen as a deadlock victim; retry it', retryAfter: 1 },
+  1222: { status: 503, code: 'lock_timeout', message: 'Timed out waiting for a lock; retry it', retryAfter: 1 }
+};
+
+function sqlErrorNumber(err) {
+  if (typeof err.number === 'number') return err.number;
+  const info = err.originalError && (err.originalError.info || err.originalError);
+  return info && typeof info.number === 'number' ? info.number : undefined;
+}
+
+// What a SQL error is about: the constraint for 2627/2601/547, the column for 2628
+function sqlErrorSubject(number, text) {
+  if (number === 547) {
+    const m = /(FOREIGN KEY|REFERENCE|CHECK) constraint "([^"]+)"/.exec(text);
+    return m && { kind: m[1], constraint: m[2] };
+  }
+  if (number === 2628) {
+    const m = /column '([^']+)'/.exec(text);
+    return m && { column: m[1] };
+  }
+  const m = /(?:constraint|unique index) '([^']+)'/.exec(text);
+  return m && { constraint: m[1] };
+}
+
+// Normalize any failure into { status, code, message, details, headers }.
+// Unexpected errors become a generic 500 and are logged in full instead.
+function describeError(err) {
+  if (err && STATUS_CODES[err.status] && (err.expose || err.status < 500)) {
+    return {
+      status: err.status,
+      code: typeof err.code === 'string' && /^[a-z_]+$/.test(err.code) ? err.code : defaultCode(err.status),
+      message: err.message,
+      details: err.details
+    };
+  }
+
+  const number = err && sqlErrorNumber(err);
+  if (number !== undefined) metrics.countSqlError(number);
+  const known = SQL_ERRORS[number];
+  if (known) {
+    const subject = sqlErrorSubject(number, String(err.message)) || {};
+    let { status, code, message } = known;
+    if (number === 547 && subject.kind === 'CHECK') {
+      status = 422;
+      code = 'check_violation';
+      message = 'A value fails a check constraint';
+    } else if (number === 547) {
+      code = 'foreign_key_violation';
+      message = subject.kind === 'REFERENCE'
+        ? 'The row is still referenced by other rows'
+        : 'A referenced row does not exist';
+    }
+    return {
+      status,
+      code,
+      message: subject.constraint ? `${message} (${subject.constraint})` : message,
+      details: subject.column ? [{ field: subject.column, message: 'value is too long' }] : undefined,
+      headers: known.retryAfter ? { 'Retry-After': String(known.retryAfter) } : undefined
+    };
+  }
+  // a guardrails timeout cancelled the statement
+  if (err && err.code === 'ETIMEOUT') {
+    return { status: 504, code: 'statement_timeout', message: 'The statement ran too long and was cancelled' };
+  }
+  // driver-side parameter validation (a value the driver cannot encode)
+  if (err && err.code === 'EPARAM') {
+    return { status: 400, code: 'invalid_value', message: 'A value could not be converted to the column type' };
+  }
+
+  logger.error('Unhandled error:', (err && err.stack) || err);
+  return { status: 500, code: 'internal_error', message: 'Internal server error' };
+}
+
+function defaultCode(status) {
+  return (STATUS_CODES[status] || 'error').toLowerCase().replace(/[^a-z]+/g, '_');
+}
+
+// Answer with the error envelope { error, code, details? } (plus `extra` fields)
+function sendError(res, err, extra = {}) {
+  const e = describeError(err);
+  if (e.headers) res.set(e.headers);
+  res.status(e.status).json({
+    error: e.message,
+    code: e.code,
+    ...(e.details && { details: e.details }),
+    ...extra
+  });
+}
+
+module.exports = { httpError, validationError, describeError, sendError };
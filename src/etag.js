@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { isReadable } = require('./sqlutil');
+
+// Entity tags for single rows and list pages. A row's tag is its rowversion
+// (hex) when the table has one, else a hash of every readable column in table
+// order, so it is the same whether the row came from a SELECT or a write's OUTPUT.
+
+// The rowversion/timestamp column of a table, or null
+function versionColumn(columns) {
+  const col = columns.find(c => /^(timestamp|rowversion)$/i.test(c.DATA_TYPE));
+  return col ? col.COLUMN_NAME : null;
+}
+
+// Columns a row's tag is computed from
+function etagColumns(tableMeta) {
+  return tableMeta.rowversion ? [tableMeta.rowversion] : tableMeta.columns.filter(isReadable).map(c => c.COLUMN_NAME);
+}
+
+function hashTag(text) {
+  return `"${crypto.createHash('sha1').update(text).digest('base64url')}"`;
+}
+
+// Rows returned by readByKey and the writes carry their tag under this key
+// (a symbol, so it never reaches the JSON body)
+const ETAG = Symbol('etag');
+
+// ETag of a row holding at least etagColumns(tableMeta)
+function rowEtag(tableMeta, row) {
+  if (tableMeta.rowversion) {
+    const v = row[tableMeta.rowversion];
+    return `"${Buffer.from(String(v || ''), 'base64').toString('hex')}"`;
+  }
+  return hashTag(JSON.stringify(etagColumns(tableMeta).map(c => row[c])));
+}
+
+// Store each row's tag under ETAG; returns the rows
+function tagRows(tableMeta, rows) {
+  for (const row of rows) row[ETAG] = rowEtag(tableMeta, row);
+  return rows;
+}
+
+// ETag of a whole response body
+function bodyEtag(body) {
+  return hashTag(body);
+}
+
+// A ?select= plan widened so the row's tag columns are fetched (and stripped again)
+function withEtagColumns(tableMeta, plan) {
+  if (!plan) return plan;
+  const missing = etagColumns(tableMeta).filter(c => !plan.fetch.includes(c));
+  if (missing.length === 0) return plan;
+  return { ...plan, fetch: [...plan.fetch, ...missing], extra: [...plan.extra, ...missing] };
+}
+
+// If-Match -> '*', a list of strong tags, or null when absent. Weak tags
+// (W/"...") never match for If-Match, so they are dropped.
+function parseIfMatch(header) {
+  if (header === undefined || header === null) return null;
+  const text = String(header).trim();
+  if (text === '*') return '*';
+  return (text.match(/(W\/)?"[^"]*"/g) || []).filter(t => !t.startsWith('W/'));
+}
+
+// Does `etag` satisfy the parsed If-Match list?
+function matchesIfMatch(ifMatch, etag) {
+  return ifMatch === '*' || ifMatch.includes(etag);
+}
+
+// Rowversion tags (16 hex digits) as 0x strings for a SQL parameter; others are skipped
+function versionValues(ifMatch) {
+  return ifMatch.map(t => /^"([0-9a-f]{16})"$/i.exec(t)).filter(Boolean).map(m => `0x${m[1]}`);
+}
+
+module.exports = {
+  ETAG,
+  versionColumn,
+  rowEtag,
+  tagRows,
+  bodyEtag,
+  withEtagColumns,
+  parseIfMatch,
+  matchesIfMatch,
+  versionValues
+};
@@ -0,0 +1,237 @@
+const logger = require('./logger');
+const { httpError } = require('./errors');
+const { applySelect } = require('./select');
+const { bodyEtag } = require('./etag');
+
+// Output formats for list endpoints: ?format= name -> media type
+const FORMATS = {
+  json: { type: 'application/json', ext: 'json' },
+  ndjson: { type: 'application/x-ndjson', ext: 'ndjson' },
+  csv: { type: 'text/csv', ext: 'csv' },
+  tsv: { type: 'text/tab-separated-values', ext: 'tsv' }
+};
+
+// Rows are embedded in batches of this size when ?select= has relationships
+const EMBED_BATCH = 500;
+
+// ?format= wins over Accept; a missing or wildcard Accept means JSON
+function negotiateFormat(req) {
+  if (req.query.format !== undefined) {
+    const name = String(req.query.format).toLowerCase();
+    if (!FORMATS[name]) throw httpError(400, `Unsupported format '${req.query.format}' (use json, ndjson, csv or tsv)`);
+    return name;
+  }
+  const type = req.accepts([...Object.values(FORMATS).map(f => f.type), 'application/ndjson']);
+  if (!type) throw httpError(406, 'Acceptable types: application/json, application/x-ndjson, text/csv, text/tab-separated-values');
+  return type === 'application/ndjson' ? 'ndjson' : Object.keys(FORMATS).find(k => FORMATS[k].type === type);
+}
+
+// Text of one value in a delimited file: ISO dates, base64 binaries, JSON for
+// embedded objects, empty for NULL
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// RFC 4180: quote fields holding a quote, comma, line break or edge whitespace
+function csvCell(value) {
+  const s = cellText(value);
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// TSV cannot quote, so tabs and line breaks are escaped as \t, \n, \r
+function tsvCell(value) {
+  return cellText(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+}
+
+// Each writer turns the header, rows and end of the stream into response text.
+// Delimited files start with a UTF-8 BOM so Excel detects the encoding.
+function createWriter(format) {
+  let first = true;
+  const delimited = (sep, cell) => {
+    let columns;
+    return {
+      begin: cols => {
+        columns = cols;
+        return '\ufeff' + cols.map(cell).join(sep) + '\r\n';
+      },
+      row: row => columns.map(c => cell(row[c])).join(sep) + '\r\n',
+      end: () => ''
+    };
+  };
+  switch (format) {
+    case 'ndjson':
+      return { begin: () => '', row: row => JSON.stringify(row) + '\n', end: () => '' };
+    case 'csv':
+      return delimited(',', csvCell);
+    case 'tsv':
+      return delimited('\t', tsvCell);
+    default:
+      return {
+        begin: () => '[',
+        row: row => {
+          const s = (first ? '' : ',') + JSON.stringify(row);
+          first = false;
+          return s;
+        },
+        end: () => ']'
+      };
+  }
+}
+
+// Run `sqlText` on `request` in streaming mode and write the rows to `res` as
+// they arrive, pausing the query while the socket is backed up. Rejects only
+// when the query fails before anything was sent; later failures abort the response.
+// `head(returned, last)` gives the status and extra headers; `returned` is the
+// row count when known up front, which `bufferPage` forces by holding every row
+// until the query ends (only for bounded pages), and `last` the held page's last
+// row as fetched, extra plan columns included. A held page is sent with an
+// ETag of its body, and as 304 when it matches If-None-Match. `mask(rows)`
+// gives the rows as sent (see columns.maskRows).
+function streamRows(req, res, request, sqlText, {
+  plan = null, format = 'json', filename = 'export', head = null, bufferPage = false, mask = null
+} = {}) {
+  return new Promise((resolve, reject) => {
+    const writer = createWriter(format);
+    const embeds = !!(plan && plan.embeds.length);
+    let started = false;
+    let finished = false;
+    let columns = [];
+    let batch = [];
+    const held = [];
+    // a held page's rows before `mask`, for its ETag
+    const raw = [];
+    let last = null;
+    let pending = Promise.resolve();
+
+    // the query is paused while any hold is active (socket drain, embed lookup)
+    let holds = 0;
+    let draining = false;
+    const hold = () => {
+      if (holds++ === 0) request.pause();
+    };
+    const release = () => {
+      if (--holds === 0 && !finished) request.resume();
+    };
+
+    const open = returned => {
+      started = true;
+      const f = FORMATS[format];
+      const { status = 200, headers = {} } = head ? head(returned, last) : {};
+      res.status(status);
+      res.set(headers);
+      res.set('Content-Type', `${f.type}; charset=utf-8`);
+      res.set('Vary', 'Accept');
+      if (format !== 'json') res.set('Content-Disposition', `attachment; filename="${filename}.${f.ext}"`);
+      return writer.begin(plan ? [...plan.columns, ...plan.embeds.map(e => e.key)] : columns);
+    };
+
+    const start = returned => {
+      if (started) return;
+      res.write(open(returned));
+    };
+
+    // the whole held page at once, or 304 when the client's copy is current
+    const sendHeld = () => {
+      const body = open(held.length) + held.map(writer.row).join('') + writer.end();
+      // masked values count as stored, so a change the mask hides still changes the tag
+      res.set('ETag', bodyEtag(mask ? body + JSON.stringify(raw) : body));
+      if (req.fresh) return res.status(304).end();
+      res.end(body);
+    };
+
+    const send = rows => {
+      for (const row of rows) {
+        if (!res.write(writer.row(row)) && !draining && !res.destroyed) {
+          draining = true;
+          hold();
+          res.once('drain', () => {
+            draining = false;
+            release();
+          });
+        }
+      }
+    };
+
+    const write = rows => {
+      const out = mask ? mask(rows) : rows;
+      if (bufferPage) {
+        if (mask) raw.push(...rows);
+        return held.push(...out);
+      }
+      start(null);
+      send(out);
+    };
+
+    const fail = err => {
+      if (finished) return;
+      finished = true;
+      if (!started) return reject(err);
+      logger.error(`Streaming ${req.originalUrl} failed after the response started:`, err.message);
+      res.destroy(err);
+      resolve();
+    };
+
+    // embedded relationships are fetched per batch while the query waits
+    const flush = () => {
+      const rows = batch;
+      batch = [];
+      hold();
+      pending = pending
+        .then(() => applySelect(rows, plan, req))
+        .then(write)
+        .then(release, err => {
+          request.cancel();
+          fail(err);
+        });
+    };
+
+    res.on('close', () => {
+      if (!finished) {
+        finished = true;
+        request.cancel();
+        resolve();
+      }
+    });
+
+    request.stream = true;
+    request.on('recordset', cols => {
+      columns = Object.keys(cols);
+    });
+    request.on('row', row => {
+      if (finished) return;
+      if (bufferPage) last = { ...row };
+      if (!embeds) {
+        if (plan) for (const c of plan.extra) delete row[c];
+        return write([row]);
+      }
+      batch.push(row);
+      if (batch.length >= EMBED_BATCH) flush();
+    });
+    request.on('error', fail);
+    request.on('done', () => {
+      if (finished) return;
+      if (batch.length) flush();
+      pending.then(() => {
+        if (finished) return;
+        finished = true;
+        if (bufferPage) {
+          sendHeld();
+        } else {
+          // nothing sent yet means no rows arrived
+          start(0);
+          res.end(writer.end());
+        }
+        resolve();
+      });
+    });
+
+    logger.verbose('Streaming SQL:', sqlText, 'params=', logger.sqlParams(request.parameters));
+    request.query(sqlText);
+  });
+}
+
+module.exports = { FORMATS, negotiateFormat, streamRows };
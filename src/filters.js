@@ -0,0 +1,197 @@
+const { httpError, validationError } = require('./errors');
+const { bindInput, isReadable } = require('./sqlutil');
+const { valueProblem } = require('./validate');
+
+// Query keys that shape the list itself rather than filter a column
+const RESERVED = new Set(['order', 'limit', 'offset', 'select', 'format', 'groupby', 'having', 'cursor']);
+
+const COMPARISON = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const OPERATORS = new Set([...Object.keys(COMPARISON), 'like', 'ilike', 'in', 'is']);
+// LIKE patterns are text whatever the column type
+const TEXT_PATTERN = { DATA_TYPE: 'nvarchar', CHARACTER_MAXIMUM_LENGTH: -1 };
+
+// Split "a,b,(c,d),\"e,f\"" on commas that are not nested in parens or quotes
+function splitTopLevel(str) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let cur = '';
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (quoted) {
+      if (ch === '\\' && i + 1 < str.length) {
+        cur += ch + str[++i];
+        continue;
+      }
+      if (ch === '"') quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+      if (depth < 0) throw httpError(400, `Unbalanced parentheses in '${str}'`);
+    } else if (ch === ',' && depth === 0) {
+      parts.push(cur);
+      cur = '';
+      continue;
+    }
+    cur += ch;
+  }
+  if (quoted || depth !== 0) throw httpError(400, `Unbalanced quotes or parentheses in '${str}'`);
+  parts.push(cur);
+  return parts;
+}
+
+function unquote(value) {
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return value;
+}
+
+// "gt.5", "not.in.(1,2)", "is.null" -> { op, value, negate }
+// Outside of or/and groups a bare value (no known operator) keeps meaning equality.
+function parseOperation(expr, strict) {
+  let negate = false;
+  let rest = expr;
+  if (rest.startsWith('not.')) {
+    negate = true;
+    rest = rest.slice(4);
+  }
+  const dot = rest.indexOf('.');
+  const op = dot < 0 ? rest : rest.slice(0, dot);
+  if (dot < 0 || !OPERATORS.has(op)) {
+    if (strict || negate) throw httpError(400, `Unknown filter operator '${op}' in '${expr}'`);
+    return { op: 'eq', value: expr, negate: false };
+  }
+  return { op, value: rest.slice(dot + 1), negate };
+}
+
+// "(a.eq.1,and(b.gt.2,c.is.null))" -> logic node
+function parseLogic(kind, body, negate) {
+  if (!body.startsWith('(') || !body.endsWith(')')) {
+    throw httpError(400, `Expected '${kind}=(...)', got '${body}'`);
+  }
+  const inner = body.slice(1, -1);
+  const children = inner.trim() === '' ? [] : splitTopLevel(inner).map(parseGroupItem);
+  return { kind, negate, children };
+}
+
+function parseGroupItem(item) {
+  const s = item.trim();
+  const logic = /^(not\.)?(or|and)\(/.exec(s);
+  if (logic) {
+    return parseLogic(logic[2], s.slice(logic[0].length - 1), !!logic[1]);
+  }
+  const dot = s.indexOf('.');
+  if (dot <= 0) throw httpError(400, `Expected 'column.operator.value', got '${s}'`);
+  return { kind: 'cond', column: s.slice(0, dot), ...parseOperation(s.slice(dot + 1), true) };
+}
+
+// Turn req.query into a list of filter nodes (implicitly AND-ed)
+function parseFilters(query) {
+  const nodes = [];
+  for (const [key, raw] of Object.entries(query || {})) {
+    if (RESERVED.has(key)) continue;
+    const values = Array.isArray(raw) ? raw : [raw];
+    for (const v of values) {
+      if (typeof v !== 'string') throw httpError(400, `Invalid value for query parameter '${key}'`);
+      const logic = /^(not\.)?(or|and)$/.exec(key);
+      if (logic) {
+        nodes.push(parseLogic(logic[2], v, !!logic[1]));
+      } else {
+        nodes.push({ kind: 'cond', column: key, ...parseOperation(v, false) });
+      }
+    }
+  }
+  return nodes;
+}
+
+function compileCondition(node, ctx) {
+  const col = ctx.columns.get(node.column);
+  if (!col || !isReadable(col)) {
+    ctx.problems.push({ field: node.column, message: 'is not a column of this table' });
+    return '1 = 0';
+  }
+  // comparisons would reveal what the mask hides
+  if (col.mask !== undefined) {
+    ctx.problems.push({ field: node.column, message: 'is masked and cannot be filtered' });
+    return '1 = 0';
+  }
+  const ref = `[${col.COLUMN_NAME}]`;
+  // values are type-checked here; problems are collected and reported together
+  const bind = value => {
+    const problem = valueProblem({ ...col, IS_NULLABLE: 'YES' }, value);
+    if (problem) ctx.problems.push({ field: node.column, message: `${problem} (got '${value}')` });
+    return bindInput(ctx.request, `w${ctx.seq++}`, col, problem ? null : value);
+  };
+
+  switch (node.op) {
+    case 'like':
+    case 'ilike': {
+      // PostgREST uses * as the wildcard so it survives URL encoding
+      const pattern = unquote(node.value).replace(/\*/g, '%');
+      const p = bindInput(ctx.request, `w${ctx.seq++}`, { ...TEXT_PATTERN, COLUMN_NAME: col.COLUMN_NAME }, pattern);
+      return node.op === 'ilike' ? `LOWER(${ref}) LIKE LOWER(${p})` : `${ref} LIKE ${p}`;
+    }
+    case 'in': {
+      const v = node.value;
+      if (!v.startsWith('(') || !v.endsWith(')')) {
+        throw httpError(400, `Expected 'in.(v1,v2,...)' for column '${node.column}'`);
+      }
+      const inner = v.slice(1, -1);
+      const items = inner === '' ? [] : splitTopLevel(inner).map(unquote);
+      if (items.length === 0) return '1 = 0';
+      return `${ref} IN (${items.map(i => bind(i)).join(', ')})`;
+    }
+    case 'is': {
+      const v = node.value.toLowerCase();
+      if (v === 'null') return `${ref} IS NULL`;
+      if (v === 'true') return `${ref} = 1`;
+      if (v === 'false') return `${ref} = 0`;
+      throw httpError(400, `Expected 'is.null', 'is.true' or 'is.false' for column '${node.column}'`);
+    }
+    default:
+      return `${ref} ${COMPARISON[node.op]} ${bind(unquote(node.value))}`;
+  }
+}
+
+function compileNode(node, ctx) {
+  let text;
+  if (node.kind === 'cond') {
+    text = compileCondition(node, ctx);
+  } else if (node.children.length === 0) {
+    text = node.kind === 'or' ? '1 = 0' : '1 = 1';
+  } else {
+    const parts = node.children.map(c => compileNode(c, ctx));
+    text = `(${parts.join(node.kind === 'or' ? ' OR ' : ' AND ')})`;
+  }
+  return node.negate ? `NOT (${text})` : text;
+}
+
+function countConditions(nodes) {
+  return nodes.reduce((n, node) => n + (node.kind === 'cond' ? 1 : countConditions(node.children)), 0);
+}
+
+// Compile the PostgREST-style filters in `query` into WHERE predicates, binding
+// every value as a parameter on `request`. Throws a 400 error on bad input or
+// more than `maxFilters` conditions.
+function buildWhere(query, columns, request, { maxFilters } = {}) {
+  const ctx = {
+    columns: new Map(columns.map(c => [c.COLUMN_NAME, c])),
+    request,
+    seq: 0,
+    problems: []
+  };
+  const nodes = parseFilters(query);
+  const count = countConditions(nodes);
+  if (maxFilters !== undefined && count > maxFilters) {
+    throw httpError(400, `Too many filter conditions (${count}); at most ${maxFilters} are allowed`, { code: 'too_many_filters' });
+  }
+  const where = nodes.map(node => compileNode(node, ctx));
+  if (ctx.problems.length) throw validationError(ctx.problems);
+  return where;
+}
+
+module.exports = { buildWhere, parseFilters, splitTopLevel, unquote, COMPARISON, RESERVED };
@@ -1,5 +1,28 @@
 const sql = require('mssql');
 const logger = require('./logger');
+const { httpError, sendError } = require('./errors');
+const { buildWhere } = require('./filters');
+const { qName, toOpenApiType, isReadable } = require('./sqlutil');
+const { planFromQuery, selectList, attachRelations, embeddedTables } = require('./select');
+const { planAggregate } = require('./aggregate');
+const { negotiateFormat, streamRows } = require('./export');
+const {
+  MAX_BUFFERED_PAGE, parseRange, countMode, countRows, pageSize, contentRange, parseOrder, encodeCursor, seekCursor
+} = require('./paging');
+const { parseKey } = require('./keys');
+const { rulesFor, rowPredicates, rowVisible } = require('./rowsecurity');
+const { applyColumnPolicies, maskRows } = require('./columns');
+const { isRowversion } = require('./validate');
+const { eventBody } = require('./changes');
+const { parsePrefer } = require('./prefer');
+const { readByKey, createRows, updateByKey, deleteByKey } = require('./operations');
+const { registerBatchRoute } = require('./batch');
+const { setupRoutines } = require('./routines');
+const { setupQueries } = require('./queries');
+const { registerGraphqlRoute } = require('./graphql');
+const { createObjectFilter, assignRouteNames } = require('./discovery');
+const { ETAG, versionColumn, parseIfMatch } = require('./etag');
+const { limitsFor, pageLimit, sqlRequest } = require('./guardrails');
 
 async function hasEnabledTriggers(pool, schema, table) {
   const res = await pool.request()
@@ -30,42 +53,23 @@ async function getIdentityColumn(pool, schema, table) {
   return res.recordset[0]?.COLUMN_NAME || null;
 }
 
-function mapSqlTypeToMssqlType(col) {
-  const t = col.DATA_TYPE.toLowerCase();
-  if (t.includes('char') || t === 'text' || t === 'ntext') {
-    return col.CHARACTER_MAXIMUM_LENGTH && col.CHARACTER_MAXIMUM_LENGTH > 0
-      ? sql.NVarChar(col.CHARACTER_MAXIMUM_LENGTH)
-      : sql.NVarChar(sql.MAX);
-  }
-  if (t.includes('int')) return sql.Int;
-  if (t === 'bigint') return sql.BigInt;
-  if (t === 'bit') return sql.Bit;
-  if (t.includes('decimal') || t === 'numeric') return sql.Decimal(18, 4);
-  if (t.includes('float') || t === 'real') return sql.Float;
-  if (t.includes('date') || t.includes('time')) return sql.DateTime;
-  if (t === 'uniqueidentifier') return sql.NVarChar(50);
-  return sql.NVarChar(sql.MAX);
-}
-
-function toOpenApiType(col) {
-  const t = col.DATA_TYPE.toLowerCase();
-  if (t.includes('int')) return { type: 'integer' };
-  if (t === 'bigint') return { type: 'integer', format: 'int64' };
-  if (t === 'bit') return { type: 'boolean' };
-  if (t.includes('float') || t === 'real' || t.includes('decimal') || t === 'numeric') return { type: 'number' };
-  if (t.includes('date') || t.includes('time')) return { type: 'string', format: 'date-time' };
-  return { type: 'string' };
+// schema.table of every table with Change Tracking enabled
+async function getChangeTrackedTables(pool) {
+  const res = await pool.request().query(`
+    SELECT SCHEMA_NAME(t.schema_id) AS TABLE_SCHEMA, t.name AS TABLE_NAME
+    FROM sys.change_tracking_tables ct
+    JOIN sys.tables t ON t.object_id = ct.object_id`);
+  return new Set(res.recordset.map(r => `${r.TABLE_SCHEMA}.${r.TABLE_NAME}`));
 }
 
-async function discoverObjects(pool, filterSqlLike) {
+// Every table and view; the endpoint's include/exclude/schemas/objects settings
+// are applied afterwards in JS (see discovery.js)
+async function discoverObjects(pool) {
   const q = `
     SELECT TABLE_SCHEMA, TABLE_NAME, TABLE_TYPE
     FROM INFORMATION_SCHEMA.TABLES
-    WHERE TABLE_NAME LIKE @filter
-      AND TABLE_TYPE IN ('BASE TABLE','VIEW')`;
-  const request = pool.request();
-  request.input('filter', sql.NVarChar, filterSqlLike);
-  const res = await request.query(q);
+    WHERE TABLE_TYPE IN ('BASE TABLE','VIEW')`;
+  const res = await pool.request().query(q);
   return res.recordset; // each has schema, name, and type
 }
 
@@ -74,10 +78,30 @@ async function getColumns(pool, schema, table) {
   const res = await pool.request()
     .input('schema', sql.NVarChar, schema)
     .input('table', sql.NVarChar, table)
-    .query(`SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE, CHARACTER_MAXIMUM_LENGTH
+    .query(`SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE, CHARACTER_MAXIMUM_LENGTH,
+                   NUMERIC_PRECISION, NUMERIC_SCALE, DATETIME_PRECISION,
+                   CAST(CASE WHEN COLUMN_DEFAULT IS NULL THEN 0 ELSE 1 END AS bit) AS HAS_DEFAULT,
+                   CAST(COLUMNPROPERTY(OBJECT_ID(QUOTENAME(TABLE_SCHEMA) + '.' + QUOTENAME(TABLE_NAME)), COLUMN_NAME, 'IsComputed') AS bit) AS IS_COMPUTED,
+                   CAST(COLUMNPROPERTY(OBJECT_ID(QUOTENAME(TABLE_SCHEMA) + '.' + QUOTENAME(TABLE_NAME)), COLUMN_NAME, 'IsIdentity') AS bit) AS IS_IDENTITY
             FROM INFORMATION_SCHEMA.COLUMNS
             WHERE TABLE_SCHEMA = @schema AND TABLE_NAME = @table
             ORDER BY ORDINAL_POSITION`);
+  // values SQL Server generates itself are read-only to callers
+  return res.recordset.map(c => ({ ...c, readOnly: !!(c.IS_COMPUTED || c.IS_IDENTITY || isRowversion(c)) }));
+}
+
+async function getForeignKeys(pool) {
+  const res = await pool.request()
+    .query(`SELECT fk.name AS FK_NAME,
+                   SCHEMA_NAME(pt.schema_id) AS PARENT_SCHEMA, pt.name AS PARENT_TABLE, pc.name AS PARENT_COLUMN,
+                   SCHEMA_NAME(rt.schema_id) AS REF_SCHEMA, rt.name AS REF_TABLE, rc.name AS REF_COLUMN
+            FROM sys.foreign_keys fk
+            JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+            JOIN sys.tables pt ON pt.object_id = fkc.parent_object_id
+            JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+            JOIN sys.tables rt ON rt.object_id = fkc.referenced_object_id
+            JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+            ORDER BY SCHEMA_NAME(fk.schema_id), fk.name, fkc.constraint_column_id`);
   return res.recordset;
 }
 
@@ -88,301 +112,315 @@ async function getPrimaryKey(pool, schema, table) {
     .query(`SELECT k.COLUMN_NAME
             FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS t
             JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
-              ON t.CONSTRAINT_NAME = k.CONSTRAINT_NAME
-            WHERE t.TABLE_SCHEMA = @schema AND t.TABLE_NAME = @table AND t.CONSTRAINT_TYPE='PRIMARY KEY'`);
+              ON t.CONSTRAINT_NAME = k.CONSTRAINT_NAME AND t.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA
+            WHERE t.TABLE_SCHEMA = @schema AND t.TABLE_NAME = @table AND t.CONSTRAINT_TYPE='PRIMARY KEY'
+            ORDER BY k.ORDINAL_POSITION`);
   return res.recordset.map(r => r.COLUMN_NAME);
 }
 
-function qName(schema, table) {
-  return `[${schema}].[${table}]`;
-}
-
-function registerRoutes(app, tableMeta, endpoint) {
-  const base = `/${endpoint}/${tableMeta.table}`;
+function registerRoutes(app, tableMeta, endpoint, services = {}) {
+  // `name` is the route name (alias or schema-qualified on collisions); `table` the SQL name
+  const base = `/${endpoint}/${tableMeta.name}`;
   const schema = tableMeta.schema;
   const table = tableMeta.table;
-  const pk = tableMeta.pk && tableMeta.pk[0];
+  const name = tableMeta.name;
+  const pk = tableMeta.pk || [];
   const isView = !!tableMeta.isView;
 
   if (process.env.DEBUG_ROUTES) {
-    logger.info(`[ROUTES] base=${base} isView=${isView} pk=${pk || 'none'}`);
+    logger.info(`[ROUTES] base=${base} isView=${isView} pk=${pk.join(',') || 'none'}`);
   }
   logger.verbose('Registering routes for', endpoint, table, 'under', base);
 
+  // per-verb authorization (no-op when auth is not configured)
+  const { auth } = services;
+  const allow = verb => (auth ? auth.authorize(endpoint, tableMeta, verb) : (req, res, next) => next());
+
+  // ?select= plan, refusing embeds of objects the caller may not read
+  const selectPlan = (req, mustInclude) => {
+    const plan = planFromQuery(req.query, tableMeta, mustInclude);
+    for (const t of embeddedTables(plan)) {
+      if (auth && !auth.can(req.identity, endpoint, t.name, t.isView ? 'view' : 'table', 'GET')) {
+        throw httpError(403, `GET on '${t.name}' is not permitted`);
+      }
+    }
+    return plan;
+  };
+
   // LIST with optional filters (tables & views), Supabase-style order/limit/offset
-  app.get(base, async (req, res) => {
+  app.get(base, allow('GET'), async (req, res) => {
     try {
-      const pool = tableMeta.pool;
-      const request = pool.request();
-
-      // 1) Column filters
-      const where = [];
-      for (const col of tableMeta.columns) {
-        const v = req.query[col.COLUMN_NAME];
-        if (v !== undefined) {
-          where.push(`[${col.COLUMN_NAME}] = @${col.COLUMN_NAME}`);
-          request.input(col.COLUMN_NAME, mapSqlTypeToMssqlType(col), v);
-        }
-      }
+      const request = sqlRequest(tableMeta.pool, tableMeta.limits);
+      // JSON, NDJSON, CSV or TSV from ?format= / Accept
+      const format = negotiateFormat(req);
+
+      // 1) Column filters (PostgREST operators: eq, gt, in.(...), is.null, or=(...), ...),
+      //    bound per request so a count query can reuse them
+      const bindWhere = r => [
+        ...buildWhere(req.query, tableMeta.columns, r, tableMeta.limits),
+        // row-level security is always AND-ed on top of caller filters
+        ...rowPredicates(tableMeta, req, r)
+      ];
+      const where = bindWhere(request);
+      // aggregates: select=Status,count(),sum(Qty)&groupby=Status&having=count().gt.5
+      const aggregate = planAggregate(req.query, tableMeta, tableMeta.limits);
+      const grouping = aggregate ? r => aggregate.clause(r) : null;
 
       // 2) Parse sort & pagination (Supabase/PostgREST)
-      //    - order=col.asc | col.desc (default asc)
-      //    - limit (default -1) => fetch all
+      //    - order=col.asc | col.desc (default asc), comma separated for several columns
+      //    - limit (default: the table's defaultLimit, else -1 => fetch all; capped at maxLimit)
       //    - offset (default 0)
+      //    - cursor (keyset paging from the Link of a previous page)
       const q = req.query;
 
-      // order format: "col.asc" or "col.desc"
-      let orderCol, orderDir = 'ASC'; // default ASC
-      if (q.order) {
-        const parts = String(q.order).split('.');
-        orderCol = parts[0];
-        orderDir = (parts[1] && parts[1].toUpperCase() === 'DESC') ? 'DESC' : 'ASC';
+      // hidden, writeOnly and masked columns cannot order (or page) the rows
+      const orderable = tableMeta.columns.filter(c => isReadable(c) && c.mask === undefined);
+      let order = q.order && !aggregate ? parseOrder(q.order, orderable.map(c => c.COLUMN_NAME)) : [];
+      // the default order: the full PK (stable paging on composite keys), else the first column
+      if (order.length === 0) {
+        order = (pk.length ? pk : [(orderable[0] || tableMeta.columns[0]).COLUMN_NAME]).map(column => ({ column, dir: 'ASC' }));
       }
-
-      // choose a safe default if order not provided or invalid
-      const columnNames = new Set(tableMeta.columns.map(c => c.COLUMN_NAME));
-      const pkColName = tableMeta.pk && tableMeta.pk[0];
-      if (!orderCol || !columnNames.has(orderCol)) {
-        orderCol = pkColName || tableMeta.columns[0].COLUMN_NAME;
-        orderDir = 'ASC';
+      // the PK breaks ties, so pages are stable and keyset cursors unique
+      const keyset = pk.length
+        ? [...order, ...pk.filter(k => !order.some(o => o.column === k)).map(column => ({ column, dir: 'ASC' }))]
+        : null;
+      const orderSql = aggregate
+        ? aggregate.order(q.order)
+        : 'ORDER BY ' + (keyset || order).map(o => `[${o.column}] ${o.dir}`).join(', ');
+
+      // cursor=...: rows after the previous page's last row, by the same order
+      if (q.cursor !== undefined) {
+        if (aggregate) throw httpError(400, 'cursor cannot be combined with aggregates');
+        if (!keyset) throw httpError(400, `Cursor paging needs a primary key; '${name}' has none`);
+        where.push(seekCursor(q.cursor, keyset, tableMeta, request));
       }
 
-      // limit default: -1 (all). If >=0 -> apply FETCH.
-      let limit = Number.isFinite(parseInt(q.limit, 10)) ? parseInt(q.limit, 10) : -1;
+      // projection and embedded relationships: select=Id,Name,Customer(Name); the
+      // keyset columns are fetched for the next cursor even when not selected
+      const plan = aggregate ? null : selectPlan(req, keyset ? keyset.map(o => o.column) : []);
+      const cols = aggregate ? aggregate.select : selectList(tableMeta, plan);
+
+      // limit: undefined until given; guardrails pick the default and cap. If >=0 -> apply FETCH.
+      let limit = Number.isFinite(parseInt(q.limit, 10)) ? parseInt(q.limit, 10) : undefined;
       // offset default: 0
       let offset = Number.isFinite(parseInt(q.offset, 10)) ? parseInt(q.offset, 10) : 0;
+      // Range: 0-24 (Range-Unit: items) stands in for limit/offset when neither is given
+      const range = parseRange(req);
+      if (range && q.limit === undefined && q.offset === undefined) ({ offset, limit } = range);
+      limit = pageLimit(tableMeta.limits, limit);
       if (offset < 0) offset = 0;
 
-      const whereSql = where.length ? 'WHERE ' + where.join(' AND ') : '';
-      const orderSql = `ORDER BY [${orderCol}] ${orderDir}`;
+      // Prefer: count=exact|estimated|planned -> total for Content-Range
+      const mode = countMode(parsePrefer(req));
+      const total = mode ? await countRows(tableMeta, mode, bindWhere, grouping) : null;
+      if (mode === 'exact' && offset > 0 && offset >= total) {
+        res.set('Content-Range', contentRange(offset, 0, total));
+        throw httpError(416, `Offset ${offset} is past the last of ${total} rows`);
+      }
+
+      const whereSql = (where.length ? 'WHERE ' + where.join(' AND ') : '') + (grouping ? grouping(request) : '');
 
       // 3) Build SQL (SQL Server requires ORDER BY for OFFSET/FETCH)
       let sqlText;
       if (limit < 0 && offset === 0) {
         // no limit, no offset
-        sqlText = `SELECT * FROM ${qName(schema, table)} ${whereSql} ${orderSql}`;
+        sqlText = `SELECT ${cols} FROM ${qName(schema, table)} ${whereSql} ${orderSql}`;
       } else if (limit < 0 && offset >= 0) {
         // offset only
         request.input('offset', sql.Int, offset);
-        sqlText = `SELECT * FROM ${qName(schema, table)} ${whereSql} ${orderSql} OFFSET @offset ROWS`;
+        sqlText = `SELECT ${cols} FROM ${qName(schema, table)} ${whereSql} ${orderSql} OFFSET @offset ROWS`;
       } else {
         // limit >= 0
         request.input('offset', sql.Int, offset);
         request.input('limit', sql.Int, limit);
-        sqlText = `SELECT * FROM ${qName(schema, table)} ${whereSql} ${orderSql} OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY`;
+        sqlText = `SELECT ${cols} FROM ${qName(schema, table)} ${whereSql} ${orderSql} OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY`;
       }
 
       if (process.env.DEBUG_LIST) {
-        logger.info(`[LIST] ${base} order=${orderCol}.${orderDir.toLowerCase()} limit=${limit} offset=${offset}`);
+        logger.info(`[LIST] ${base} ${orderSql} limit=${limit} offset=${offset}`);
       }
 
-      logger.verbose('Executing SQL:', sqlText, 'params=', request.parameters);
-      const result = await request.query(sqlText);
-      res.json(result.recordset);
+      // Content-Range from the total when counted, else from the rows returned;
+      // 206 when the page is only part of the counted total
+      // a full held page links to the next one by cursor
+      const head = (returned, last) => {
+        const rows = total !== null ? pageSize(offset, limit, total) : returned;
+        const headers = { 'Range-Unit': 'items' };
+        if (rows !== null) headers['Content-Range'] = contentRange(offset, rows, total);
+        if (keyset && !aggregate && last && limit > 0 && returned === limit) {
+          const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+          params.delete('offset');
+          params.set('limit', String(limit));
+          params.set('cursor', encodeCursor(keyset, last));
+          headers.Link = `<${req.baseUrl}${req.path}?${params}>; rel="next"`;
+        }
+        if (mode) headers['Preference-Applied'] = `count=${mode}`;
+        const partial = total !== null && (offset > 0 || offset + rows < total);
+        return { status: partial ? 206 : 200, headers };
+      };
+
+      // rows go straight to the response as they arrive, never buffered as a whole;
+      // a small page is held so its Content-Range is exact and it gets an ETag
+      await streamRows(req, res, request, sqlText, {
+        plan, format, filename: name, head, bufferPage: limit >= 0 && limit <= MAX_BUFFERED_PAGE,
+        mask: rows => maskRows(tableMeta, rows, plan)
+      });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      sendError(res, err);
     }
   });
 
 
-  // For tables only (not views), enable PK and write routes when PK exists
-  if (!isView && pk) {
+  // For tables only (not views), enable PK and write routes when PK exists.
+  // The :id segment carries every key column, comma separated for composite keys.
+  if (!isView && pk.length) {
+    // Server-sent events for the table's changes (see changes.js), registered
+    // ahead of /:id when the connection has a change feed. Events of rows
+    // outside the caller's row security are left out; ?includeRow=false sends
+    // only the key. Last-Event-ID resumes after a reconnect.
+    if (tableMeta.changes) {
+      app.get(`${base}/\\$changes`, allow('GET'), (req, res) => {
+        const includeRow = req.query.includeRow !== 'false';
+        const lastId = parseInt(req.headers['last-event-id'], 10);
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+        const send = event => {
+          try {
+            if (!rowVisible(tableMeta, req, event.image)) return;
+          } catch (err) {
+            return; // the caller's row security context cannot be resolved
+          }
+          res.write(`id: ${event.id}\nevent: change\ndata: ${JSON.stringify(eventBody(event, includeRow))}\n\n`);
+        };
+        const unsubscribe = tableMeta.changes.subscribe(tableMeta, send, Number.isFinite(lastId) ? lastId : undefined);
+        // a comment now and then keeps proxies from closing an idle stream
+        const ping = setInterval(() => res.write(': ping\n\n'), 15000);
+        res.on('close', () => {
+          clearInterval(ping);
+          unsubscribe();
+        });
+      });
+    }
+
     // GET by PK
-    app.get(`${base}/:${pk}`, async (req, res) => {
+    app.get(`${base}/:id`, allow('GET'), async (req, res) => {
       try {
-        const pool = tableMeta.pool;
-        const request = pool.request();
-        const col = tableMeta.columns.find(c => c.COLUMN_NAME === pk) || {};
-        request.input(pk, mapSqlTypeToMssqlType(col), req.params[pk]);
-        const sqlText = `SELECT * FROM ${qName(schema, table)} WHERE [${pk}] = @${pk}`;
-        logger.verbose('Executing SQL:', sqlText, 'params=', request.parameters);
-        const result = await request.query(sqlText);
-        if (result.recordset.length === 0) return res.status(404).end();
-        res.json(result.recordset[0]);
+        const request = sqlRequest(tableMeta.pool, tableMeta.limits);
+        const plan = selectPlan(req);
+        const row = await readByKey(tableMeta, req, parseKey(req.params.id, tableMeta), request, plan);
+        if (!row) return sendError(res, httpError(404, `No '${name}' row matches the key`));
+        // Express answers If-None-Match with 304 once the ETag is set
+        res.set('ETag', row[ETAG]);
+        res.json(maskRows(tableMeta, row, plan));
       } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
       }
     });
 
-    // CREATE
-    app.post(base, async (req, res) => {
+    // CREATE: one object, or an array inserted in one transaction.
+    // Prefer: resolution=merge-duplicates|ignore-duplicates upserts on the PK via MERGE.
+    app.post(base, allow('POST'), async (req, res) => {
       try {
-        const pool = tableMeta.pool;
-        const request = pool.request();
-        const cols = [];
-        const vals = [];
-
-        for (const col of tableMeta.columns) {
-          if (req.body[col.COLUMN_NAME] !== undefined) {
-            cols.push(`[${col.COLUMN_NAME}]`);
-            vals.push(`@${col.COLUMN_NAME}`);
-            request.input(col.COLUMN_NAME, mapSqlTypeToMssqlType(col), req.body[col.COLUMN_NAME]);
-          }
-        }
-
-        let sqlText;
-        if (tableMeta.hasTriggers) {
-          if (tableMeta.identity) {
-            // Best path: insert then reselect by SCOPE_IDENTITY on the identity column
-            sqlText = `
-              SET NOCOUNT ON;
-              INSERT INTO ${qName(schema, table)} (${cols.join(',')})
-              VALUES (${vals.join(',')});
-              DECLARE @id numeric(38,0) = SCOPE_IDENTITY();
-              SELECT * FROM ${qName(schema, table)} WHERE [${tableMeta.identity}] = @id;
-            `;
-          } else if (tableMeta.pk && req.body[tableMeta.pk[0]] !== undefined) {
-            // No identity but PK provided in body -> reselect by PK
-            sqlText = `
-              SET NOCOUNT ON;
-              INSERT INTO ${qName(schema, table)} (${cols.join(',')})
-              VALUES (${vals.join(',')});
-              SELECT * FROM ${qName(schema, table)} WHERE [${tableMeta.pk[0]}] = @${tableMeta.pk[0]};
-            `;
-          } else {
-            // Fallback: create #out without identity using expression on identity (if any)
-            const outSelect = tableMeta.columns.map(c => {
-              return c.COLUMN_NAME === tableMeta.identity
-                ? `t.[${c.COLUMN_NAME}] + 0 AS [${c.COLUMN_NAME}]`
-                : `t.[${c.COLUMN_NAME}]`;
-            }).join(', ');
-            sqlText = `
-              SET NOCOUNT ON;
-              IF OBJECT_ID('tempdb..#out') IS NOT NULL DROP TABLE #out;
-              SELECT TOP 0 ${outSelect} INTO #out FROM ${qName(schema, table)} AS t WHERE 1 = 0;
-
-              INSERT INTO ${qName(schema, table)} (${cols.join(',')})
-              OUTPUT inserted.* INTO #out
-              VALUES (${vals.join(',')});
-
-              SELECT * FROM #out;
-              DROP TABLE #out;
-            `;
-          }
-        } else {
-          sqlText = `INSERT INTO ${qName(schema, table)} (${cols.join(',')}) OUTPUT inserted.* VALUES (${vals.join(',')})`;
-        }
-
-        logger.verbose('Executing SQL:', sqlText, 'params=', request.parameters);
-        const r = await request.query(sqlText);
-        const out = Array.isArray(r.recordsets) && r.recordsets[r.recordsets.length - 1] || r.recordset;
-        res.status(201).json(out && out[0] || {});
+        const bulk = Array.isArray(req.body);
+        const out = await createRows(tableMeta, req, bulk ? req.body : [req.body], {
+          resolution: parsePrefer(req).resolution,
+          newRequest: () => sqlRequest(tableMeta.pool, tableMeta.limits)
+        });
+        if (!bulk && out[0]) res.set('ETag', out[0][ETAG]);
+        res.status(201).json(maskRows(tableMeta, bulk ? out : (out[0] || {})));
       } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
       }
     });
 
-    // UPDATE by PK
-    app.put(`${base}/:${pk}`, async (req, res) => {
+    // UPDATE by PK. PUT replaces the row (omitted nullable columns become NULL);
+    // PATCH changes only the columns present in the body. If-Match makes it
+    // conditional: 412 when the row changed since its ETag was read.
+    const update = replace => async (req, res) => {
       try {
-        const pool = tableMeta.pool;
-        const request = pool.request();
-        const sets = [];
-
-        for (const col of tableMeta.columns) {
-          if (col.COLUMN_NAME === pk) continue;
-          if (req.body[col.COLUMN_NAME] !== undefined) {
-            sets.push(`[${col.COLUMN_NAME}] = @${col.COLUMN_NAME}`);
-            request.input(col.COLUMN_NAME, mapSqlTypeToMssqlType(col), req.body[col.COLUMN_NAME]);
-          }
-        }
-
-        const pkCol = tableMeta.columns.find(c => c.COLUMN_NAME === pk) || {};
-        request.input(pk, mapSqlTypeToMssqlType(pkCol), req.params[pk]);
-
-        if (sets.length === 0) return res.status(400).json({ error: 'No updatable fields provided' });
-
-        let sqlText;
-        if (tableMeta.hasTriggers) {
-          sqlText = `
-            SET NOCOUNT ON;
-            UPDATE ${qName(schema, table)} SET ${sets.join(', ')} WHERE [${pk}] = @${pk};
-            SELECT * FROM ${qName(schema, table)} WHERE [${pk}] = @${pk};
-          `;
-        } else {
-          // Original (no triggers)【24-1】
-          sqlText = `UPDATE ${qName(schema, table)} SET ${sets.join(', ')} OUTPUT inserted.* WHERE [${pk}] = @${pk}`;
-        }
-
-        logger.verbose('Executing SQL:', sqlText, 'params=', request.parameters);
-        const r = await request.query(sqlText);
-        const out = Array.isArray(r.recordsets) && r.recordsets[r.recordsets.length - 1] || r.recordset;
-        if (!out || out.length === 0) return res.status(404).end();
-        res.json(out[0]);
+        const row = await updateByKey(tableMeta, req, parseKey(req.params.id, tableMeta), req.body, {
+          replace,
+          newRequest: () => sqlRequest(tableMeta.pool, tableMeta.limits),
+          ifMatch: parseIfMatch(req.headers['if-match'])
+        });
+        if (!row) return sendError(res, httpError(404, `No '${name}' row matches the key`));
+        res.set('ETag', row[ETAG]);
+        res.json(maskRows(tableMeta, row));
       } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
       }
-    });
+    };
+    app.put(`${base}/:id`, allow('PUT'), update(true));
+    app.patch(`${base}/:id`, allow('PATCH'), update(false));
 
-    // DELETE by PK
-    app.delete(`${base}/:${pk}`, async (req, res) => {
+    // DELETE by PK (conditional with If-Match, like updates)
+    app.delete(`${base}/:id`, allow('DELETE'), async (req, res) => {
       try {
-        const pool = tableMeta.pool;
-        const request = pool.request();
-        const pkCol = tableMeta.columns.find(c => c.COLUMN_NAME === pk) || {};
-        request.input(pk, mapSqlTypeToMssqlType(pkCol), req.params[pk]);
-
-        let sqlText;
-        if (tableMeta.hasTriggers) {
-          const outSelect = tableMeta.columns.map(c => {
-            return c.COLUMN_NAME === tableMeta.identity
-              ? `t.[${c.COLUMN_NAME}] + 0 AS [${c.COLUMN_NAME}]`
-              : `t.[${c.COLUMN_NAME}]`;
-          }).join(', ');
-          sqlText = `
-            SET NOCOUNT ON;
-            IF OBJECT_ID('tempdb..#out') IS NOT NULL DROP TABLE #out;
-            SELECT TOP 0 ${outSelect} INTO #out FROM ${qName(schema, table)} AS t WHERE 1 = 0;
-
-            DELETE FROM ${qName(schema, table)}
-            OUTPUT deleted.* INTO #out
-            WHERE [${pk}] = @${pk};
-
-            SELECT * FROM #out;
-            DROP TABLE #out;
-          `;
-        } else {
-          // Original (no triggers)【24-1】
-          sqlText = `DELETE FROM ${qName(schema, table)} OUTPUT deleted.* WHERE [${pk}] = @${pk}`;
-        }
-
-        logger.verbose('Executing SQL:', sqlText, 'params=', request.parameters);
-        const r = await request.query(sqlText);
-        const out = Array.isArray(r.recordsets) && r.recordsets[r.recordsets.length - 1] || r.recordset;
-        if (!out || out.length === 0) return res.status(404).end();
-        res.json(out[0]);
+        const row = await deleteByKey(tableMeta, req, parseKey(req.params.id, tableMeta), {
+          newRequest: () => sqlRequest(tableMeta.pool, tableMeta.limits),
+          ifMatch: parseIfMatch(req.headers['if-match'])
+        });
+        if (!row) return sendError(res, httpError(404, `No '${name}' row matches the key`));
+        res.json(maskRows(tableMeta, row));
       } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
       }
     });
-    
+
+    // Audit records of one row, newest first (?limit= caps them like a list);
+    // records of rows outside the caller's row security are left out
+    if (tableMeta.audit) {
+      app.get(`${base}/:id/\\$history`, allow('GET'), async (req, res) => {
+        try {
+          const keyValues = parseKey(req.params.id, tableMeta);
+          const requested = Number.isFinite(parseInt(req.query.limit, 10)) ? parseInt(req.query.limit, 10) : undefined;
+          const limit = pageLimit(tableMeta.limits, requested);
+          const records = await tableMeta.audit.history(tableMeta, keyValues, sqlRequest(tableMeta.pool, tableMeta.limits), limit);
+          res.json(records.filter(r => rowVisible(tableMeta, req, r.after || r.before)));
+        } catch (err) {
+          sendError(res, err);
+        }
+      });
+    }
   }
 }
 
-async function setupDynamicRoutes(app, pool, endpointConfig) {
-  const filter = endpointConfig.filter || '%';
-  // convert regex-like ^MI -> MI% for SQL LIKE
-  const sqlLike = filter.replace(/^\^/, '').replace(/\$/, '') + '%';
-
+// Discover the endpoint's objects and register their routes on `router`
+// (a fresh express.Router per discovery run); returns the OpenAPI schemas
+async function setupDynamicRoutes(router, pool, endpointConfig, services = {}) {
   const endpoint = endpointConfig.endpoint || 'api';
+  // filter / include / exclude / schemas / objects
+  const select = createObjectFilter(endpointConfig);
+  // defaults, caps and timeouts (resolved with the top-level defaults by server.js)
+  const guardrails = endpointConfig.guardrails || {};
 
   if (process.env.DEBUG_DISCOVERY) {
-    logger.info(`[DISCOVERY] endpoint=${endpoint} filter='${filter}' like='${sqlLike}'`);
+    logger.info(`[DISCOVERY] endpoint=${endpoint} filter='${endpointConfig.filter || ''}'`);
   }
 
   // FIX: initialize accumulator
   const openApiSchemas = {};
 
-  // discover tables + views
-  const objects = await discoverObjects(pool, sqlLike);
+  // discover tables + views, named for their routes
+  const changeTracked = await getChangeTrackedTables(pool);
+  const selected = [];
+  for (const t of await discoverObjects(pool)) {
+    if (services.audit && services.audit.isTrail(t.TABLE_SCHEMA, t.TABLE_NAME)) {
+      logger.verbose(`Skipping ${t.TABLE_SCHEMA}.${t.TABLE_NAME}: it is the audit table`);
+      continue;
+    }
+    const picked = select(t.TABLE_SCHEMA, t.TABLE_NAME);
+    if (picked) selected.push({ schema: t.TABLE_SCHEMA, table: t.TABLE_NAME, type: t.TABLE_TYPE, alias: picked.alias });
+  }
+  const metas = [];
 
-  for (const t of objects) {
-    const schema = t.TABLE_SCHEMA;
-    const table = t.TABLE_NAME;
-    const isView = t.TABLE_TYPE === 'VIEW';
+  for (const t of assignRouteNames(selected, 'table or view')) {
+    const { schema, table, name } = t;
+    const isView = t.type === 'VIEW';
 
     if (process.env.DEBUG_DISCOVERY) {
-      logger.info('[DISCOVERY] object', { schema, table, type: t.TABLE_TYPE });
+      logger.info('[DISCOVERY] object', { schema, table, name, type: t.type });
     }
 
     const columns = await getColumns(pool, schema, table);
@@ -390,32 +428,73 @@ async function setupDynamicRoutes(app, pool, endpointConfig) {
     const pk = isView ? [] : await getPrimaryKey(pool, schema, table);
     const hasTriggers = await hasEnabledTriggers(pool, schema, table);
     const identity = await getIdentityColumn(pool, schema, table);
-    const meta = { schema, table, columns, pk, pool, isView, hasTriggers, identity };
-    registerRoutes(app, meta, endpoint);
+    const rowversion = versionColumn(columns);
+    const changeTracking = changeTracked.has(`${schema}.${table}`);
+    const meta = { schema, table, name, columns, pk, pool, isView, hasTriggers, identity, rowversion, changeTracking };
+    meta.rowSecurity = rulesFor(endpointConfig, meta);
+    meta.limits = limitsFor(guardrails, meta);
+    // the connection's audit trail (server.js), when it covers this table
+    meta.audit = !isView && services.audit && services.audit.covers(meta) ? services.audit : null;
+    // the connection's change feed (server.js)
+    meta.changes = !isView && pk.length && services.changes ? services.changes : null;
+    metas.push(meta);
+  }
+
+  // relationships for ?select= embedding, limited to the objects discovered above
+  attachRelations(metas, await getForeignKeys(pool));
+  // column policies leave the relationship columns above alone
+  for (const meta of metas) applyColumnPolicies(endpointConfig, meta);
+  // Change Tracking is polled for the tables of this discovery
+  if (services.changes) services.changes.track(metas.filter(m => m.changes));
+
+  for (const meta of metas) {
+    const { schema, table, columns, pk, isView } = meta;
+    registerRoutes(router, meta, endpoint, services);
 
     if (process.env.DEBUG_ROUTES) {
-      logger.info(`[ROUTES] base=/${endpoint}/${table} isView=${isView} pk=${pk[0] || 'none'}`);
+      logger.info(`[ROUTES] base=/${endpoint}/${meta.name} isView=${isView} pk=${pk.join(',') || 'none'}`);
     }
 
     // build OpenAPI schema for this object (namespaced by endpoint)
-    const name = `${endpointConfig.endpoint}_${table}`;
+    const name = `${endpoint}_${meta.name}`;
     const props = {};
     const required = [];
     for (const c of columns) {
+      if (c.hidden) continue;
       props[c.COLUMN_NAME] = toOpenApiType(c);
-      if (c.IS_NULLABLE === 'NO') required.push(c.COLUMN_NAME);
+      if (c.IS_NULLABLE === 'NO' && !c.writeOnly) required.push(c.COLUMN_NAME);
     }
     openApiSchemas[name] = {
       type: 'object',
       properties: props,
       required,
       // capability hints for Swagger generation
+      'x-msabon-object': `${schema}.${table}`,
+      'x-msabon-entity': meta.name,
       'x-msabon-isView': isView,
-      'x-msabon-hasPk': !!(pk && pk.length)
+      'x-msabon-hasPk': !!(pk && pk.length),
+      'x-msabon-pk': pk,
+      'x-msabon-relations': [...new Set(meta.relations.map(r => r.name))],
+      'x-msabon-limits': meta.limits,
+      'x-msabon-audited': !!meta.audit,
+      'x-msabon-changes': !!meta.changes,
+      'x-msabon-changeTracking': meta.changeTracking
     };
 
   }
 
+  // cross-table transactions for this endpoint
+  registerBatchRoute(router, endpoint, metas, pool, services, limitsFor(guardrails));
+
+  // the same objects over GraphQL, rebuilt with every discovery run
+  registerGraphqlRoute(router, endpoint, metas, services);
+
+  // stored procedures and table-valued functions as /{endpoint}/rpc/{name}
+  Object.assign(openApiSchemas, await setupRoutines(router, pool, select, endpoint, services, guardrails));
+
+  // configured SQL queries as /{endpoint}/query/{name} (checked by server.js)
+  Object.assign(openApiSchemas, setupQueries(router, pool, endpointConfig.queries || [], endpoint, services, guardrails));
+
   return openApiSchemas;
 }
 
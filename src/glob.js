@@ -0,0 +1,7 @@
+// Case-insensitive glob ("MI*", "Order?") -> RegExp anchored on the whole name
+function globToRegex(glob) {
+  const src = String(glob).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${src}$`, 'i');
+}
+
+module.exports = { globToRegex };
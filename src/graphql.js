@@ -0,0 +1,406 @@
+const path = require('path');
+const sql = require('mssql');
+const {
+  GraphQLSchema, GraphQLObjectType, GraphQLInputObjectType, GraphQLEnumType, GraphQLList, GraphQLNonNull,
+  GraphQLString, GraphQLInt, GraphQLFloat, GraphQLBoolean, parse, validate, execute, getOperationAST
+} = require('graphql');
+const logger = require('./logger');
+const { httpError, describeError, sendError } = require('./errors');
+const { qName, toOpenApiType, isReadable } = require('./sqlutil');
+const { buildWhere } = require('./filters');
+const { selectList, fetchRelated } = require('./select');
+const { rowPredicates } = require('./rowsecurity');
+const { isGenerated } = require('./validate');
+const { maskValue } = require('./columns');
+const { readByKey, createRows, updateByKey, deleteByKey } = require('./operations');
+const { pageLimit, sqlRequest } = require('./guardrails');
+
+// GraphQL over the objects one discovery run found, served at /{endpoint}/graphql.
+// Per table or view, with T its (sanitized) route name:
+//   query     T(where, orderBy, limit, offset): [T!]!
+//   query     T_by_pk(<key columns>): T                   (PK tables)
+//   mutation  create_T(input), update_T(<key>, input), delete_T(<key>)
+// `where` takes the list filters of the REST API per column ({ Qty: "gt.5" },
+// plus or/and groups). Relationship fields follow the discovered foreign keys
+// and are loaded one query per relationship and level, never one per row.
+
+// GraphQL names allow letters, digits and "_" only, and "__" is reserved
+function graphqlName(text) {
+  let name = String(text).replace(/[^_0-9A-Za-z]/g, '_');
+  if (!/^[_A-Za-z]/.test(name)) name = `_${name}`;
+  return name.startsWith('__') ? `x${name}` : name;
+}
+
+// graphqlName(text), suffixed until it is not in `taken` (which then holds it)
+function claimName(text, taken) {
+  const base = graphqlName(text);
+  let name = base;
+  for (let i = 2; taken.has(name); i++) name = `${base}_${i}`;
+  taken.add(name);
+  return name;
+}
+
+function scalarFor(col) {
+  const t = toOpenApiType(col);
+  if (t.type === 'integer') return GraphQLInt;
+  if (t.type === 'number') return GraphQLFloat;
+  if (t.type === 'boolean') return GraphQLBoolean;
+  return GraphQLString;
+}
+
+// Column values as the String scalar accepts them
+function outputValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  return value;
+}
+
+// Collect the keys asked for while one level of a query resolves and load them
+// with one loadMany(keys) call once that level is done (the DataLoader pattern)
+function createBatchLoader(loadMany) {
+  let pending = null;
+  return key => new Promise((resolve, reject) => {
+    if (!pending) {
+      const batch = pending = [];
+      Promise.resolve().then(() => process.nextTick(() => {
+        pending = null;
+        loadMany(batch.map(p => p.key)).then(
+          results => batch.forEach((p, i) => p.resolve(results[i])),
+          err => batch.forEach(p => p.reject(err))
+        );
+      }));
+    }
+    pending.push({ key, resolve, reject });
+  });
+}
+
+// Rows of `relation.target` for each tuple of local key values, in one fetch
+async function loadRelated(relation, tuples, req) {
+  const unique = new Map(tuples.map(t => [JSON.stringify(t), t]));
+  const rows = unique.size ? await fetchRelated(relation, null, [...unique.values()], req) : [];
+  const byKey = new Map();
+  for (const r of rows) {
+    const k = JSON.stringify(relation.remoteColumns.map(c => r[c]));
+    if (!byKey.has(k)) byKey.set(k, []);
+    byKey.get(k).push(r);
+  }
+  return tuples.map(t => byKey.get(JSON.stringify(t)) || []);
+}
+
+// The schema for `metas` (tables and views with their relations)
+function buildSchema(metas, endpoint, services = {}) {
+  const { auth } = services;
+  const taken = new Set(['Query', 'Mutation', 'SortDirection', 'String', 'Int', 'Float', 'Boolean', 'ID']);
+  const sortDirection = new GraphQLEnumType({ name: 'SortDirection', values: { ASC: { value: 'ASC' }, DESC: { value: 'DESC' } } });
+
+  const permit = (req, meta, verb) => {
+    if (!auth || auth.can(req.identity, endpoint, meta.name, meta.isView ? 'view' : 'table', verb)) return;
+    throw req.identity
+      ? httpError(403, `${verb} on '${meta.name}' is not permitted`)
+      : httpError(401, 'Authentication required');
+  };
+
+  // per object: its type name and a GraphQL field name per column
+  const shapes = new Map();
+  for (const meta of metas) {
+    const fieldNames = new Set();
+    // hidden columns (column policies) have no field at all
+    const fields = meta.columns.filter(c => !c.hidden).map(c => ({ col: c, field: claimName(c.COLUMN_NAME, fieldNames) }));
+    // the filter's or/and fields, clear of the column fields
+    const filterNames = new Set(fieldNames);
+    const groups = { [claimName('or', filterNames)]: 'or', [claimName('and', filterNames)]: 'and' };
+    // writeOnly and masked columns can be neither filtered nor ordered by
+    const sortable = fields.filter(f => isReadable(f.col) && f.col.mask === undefined);
+    shapes.set(meta, { typeName: claimName(meta.name, taken), fields, sortable, fieldNames, groups });
+  }
+  const fieldOf = (meta, column) => shapes.get(meta).fields.find(f => f.col.COLUMN_NAME === column).field;
+
+  const types = new Map();
+  for (const meta of metas) {
+    const shape = shapes.get(meta);
+    types.set(meta, new GraphQLObjectType({
+      name: shape.typeName,
+      description: `${meta.isView ? 'View' : 'Table'} ${meta.schema}.${meta.table}`,
+      fields: () => {
+        const out = {};
+        for (const { col, field } of shape.fields.filter(f => isReadable(f.col))) {
+          const type = scalarFor(col);
+          out[field] = {
+            type: col.IS_NULLABLE === 'NO' ? new GraphQLNonNull(type) : type,
+            resolve: row => outputValue(col.mask === undefined ? row[col.COLUMN_NAME] : maskValue(col, row[col.COLUMN_NAME]))
+          };
+        }
+        // relationship fields, named for the related object (and the FK when
+        // there are several to it)
+        const names = new Set(shape.fieldNames);
+        for (const relation of meta.relations || []) {
+          const target = types.get(relation.target);
+          if (!target) continue;
+          const several = meta.relations.filter(r => r.name === relation.name).length > 1;
+          const name = claimName(several ? `${relation.name}_by_${relation.fk}` : relation.name, names);
+          out[name] = {
+            type: relation.kind === 'one' ? target : new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(target))),
+            description: `Through foreign key ${relation.fk}`,
+            resolve: async (row, args, context) => {
+              permit(context.req, relation.target, 'GET');
+              const values = relation.localColumns.map(c => row[c]);
+              if (values.some(v => v === null || v === undefined)) return relation.kind === 'one' ? null : [];
+              if (!context.loaders.has(relation)) {
+                context.loaders.set(relation, createBatchLoader(tuples => loadRelated(relation, tuples, context.req)));
+              }
+              const matches = await context.loaders.get(relation)(values);
+              return relation.kind === 'one' ? (matches[0] || null) : matches;
+            }
+          };
+        }
+        return out;
+      }
+    }));
+  }
+
+  const query = {};
+  const mutation = {};
+  for (const meta of metas) {
+    const shape = shapes.get(meta);
+    const type = types.get(meta);
+    const T = shape.typeName;
+
+    const filter = new GraphQLInputObjectType({
+      name: claimName(`${T}Filter`, taken),
+      description: 'Filters as in the REST API, per column: "eq.5", "in.(1,2)", "like.A*", "is.null", ...',
+      fields: () => {
+        const out = {};
+        for (const { field } of shape.sortable) out[field] = { type: GraphQLString };
+        for (const [field, group] of Object.entries(shape.groups)) {
+          out[field] = { type: GraphQLString, description: `${group}=(...) group, e.g. "(Qty.gt.5,Name.is.null)"` };
+        }
+        return out;
+      }
+    });
+    const column = new GraphQLEnumType({
+      name: claimName(`${T}Column`, taken),
+      values: Object.fromEntries(shape.sortable.map(f => [f.field, { value: f.col.COLUMN_NAME }]))
+    });
+    const orderBy = new GraphQLInputObjectType({
+      name: claimName(`${T}OrderBy`, taken),
+      fields: { field: { type: new GraphQLNonNull(column) }, direction: { type: sortDirection, defaultValue: 'ASC' } }
+    });
+
+    query[T] = {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(type))),
+      description: `Rows of ${meta.schema}.${meta.table}`,
+      args: {
+        where: { type: filter },
+        orderBy: { type: new GraphQLList(new GraphQLNonNull(orderBy)) },
+        limit: { type: GraphQLInt, description: 'Rows to return (-1 for all, capped by the guardrails)' },
+        offset: { type: GraphQLInt }
+      },
+      resolve: (root, args, context) => {
+        permit(context.req, meta, 'GET');
+        return listRows(meta, shape, args, context.req);
+      }
+    };
+
+    const pk = meta.pk || [];
+    if (meta.isView || pk.length === 0) continue;
+
+    // key arguments, in key order
+    const keyArgs = Object.fromEntries(pk.map(k => {
+      const col = meta.columns.find(c => c.COLUMN_NAME === k);
+      return [fieldOf(meta, k), { type: new GraphQLNonNull(scalarFor(col)) }];
+    }));
+    const keyValues = args => pk.map(k => args[fieldOf(meta, k)]);
+    const newRequest = () => sqlRequest(meta.pool, meta.limits);
+
+    query[`${T}_by_pk`] = {
+      type,
+      args: keyArgs,
+      resolve: (root, args, context) => {
+        permit(context.req, meta, 'GET');
+        return readByKey(meta, context.req, keyValues(args), newRequest());
+      }
+    };
+
+    // writable columns; generated (identity, computed, rowversion) and
+    // read-only ones are left out. Masked columns take their unmasked type.
+    const inputFields = shape.fields.filter(f => !isGenerated(meta, f.col) && !f.col.readOnly);
+    const input = new GraphQLInputObjectType({
+      name: claimName(`${T}Input`, taken),
+      fields: Object.fromEntries(inputFields.map(f => [f.field, { type: scalarFor({ ...f.col, mask: undefined }) }]))
+    });
+    // input object -> body keyed by column name
+    const body = values => Object.fromEntries(inputFields
+      .filter(f => values[f.field] !== undefined)
+      .map(f => [f.col.COLUMN_NAME, values[f.field]]));
+
+    if (inputFields.length) {
+      mutation[`create_${T}`] = {
+        type,
+        args: { input: { type: new GraphQLNonNull(input) } },
+        resolve: async (root, args, context) => {
+          permit(context.req, meta, 'POST');
+          const [row] = await createRows(meta, context.req, [body(args.input)], { newRequest });
+          return row || null;
+        }
+      };
+      mutation[`update_${T}`] = {
+        type,
+        description: 'Changes only the given columns (PATCH); null when no row matches',
+        args: { ...keyArgs, input: { type: new GraphQLNonNull(input) } },
+        resolve: (root, args, context) => {
+          permit(context.req, meta, 'PATCH');
+          return updateByKey(meta, context.req, keyValues(args), body(args.input), { replace: false, newRequest });
+        }
+      };
+    }
+    mutation[`delete_${T}`] = {
+      type,
+      description: 'The deleted row; null when no row matches',
+      args: keyArgs,
+      resolve: (root, args, context) => {
+        permit(context.req, meta, 'DELETE');
+        return deleteByKey(meta, context.req, keyValues(args), { newRequest });
+      }
+    };
+  }
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({ name: 'Query', fields: query }),
+    mutation: Object.keys(mutation).length ? new GraphQLObjectType({ name: 'Mutation', fields: mutation }) : undefined
+  });
+}
+
+// The list query: filters, row security, order and paging as in the REST list
+async function listRows(meta, shape, args, req) {
+  const request = sqlRequest(meta.pool, meta.limits);
+  const filters = {};
+  for (const [field, value] of Object.entries(args.where || {})) {
+    if (value === null || value === undefined) continue;
+    const f = shape.sortable.find(x => x.field === field);
+    filters[f ? f.col.COLUMN_NAME : shape.groups[field]] = value;
+  }
+  const where = [...buildWhere(filters, meta.columns, request, meta.limits), ...rowPredicates(meta, req, request)];
+  const order = args.orderBy && args.orderBy.length
+    ? args.orderBy.map(o => `[${o.field}] ${o.direction}`)
+    : (meta.pk && meta.pk.length ? meta.pk : [(shape.sortable[0] || shape.fields[0]).col.COLUMN_NAME]).map(c => `[${c}] ASC`);
+  const limit = pageLimit(meta.limits, args.limit === null ? undefined : args.limit);
+  request.input('offset', sql.Int, Math.max(0, args.offset || 0));
+  let sqlText = `SELECT ${selectList(meta, null)} FROM ${qName(meta.schema, meta.table)}` +
+    `${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY ${order.join(', ')} OFFSET @offset ROWS`;
+  if (limit >= 0) {
+    request.input('limit', sql.Int, limit);
+    sqlText += ' FETCH NEXT @limit ROWS ONLY';
+  }
+  logger.verbose('Executing SQL:', sqlText, 'params=', logger.sqlParams(request.parameters));
+  const result = await request.query(sqlText);
+  return result.recordset;
+}
+
+// A GraphQL error with the REST envelope's code (and status/details) as extensions
+function formatError(err) {
+  const out = { message: err.message };
+  if (err.locations) out.locations = err.locations;
+  if (err.path) out.path = err.path;
+  if (err.originalError) {
+    const e = describeError(err.originalError);
+    out.message = e.message;
+    out.extensions = { code: e.code, status: e.status, ...(e.details && { details: e.details }) };
+  } else {
+    out.extensions = { code: 'invalid_query' };
+  }
+  return out;
+}
+
+// Route handler for GET (queries only) and POST { query, variables, operationName }
+function graphqlHandler(schema) {
+  return async (req, res) => {
+    try {
+      const params = req.method === 'GET' ? req.query : (req.body || {});
+      const { query, operationName } = params;
+      let variables = params.variables;
+      if (typeof query !== 'string' || !query.trim()) throw httpError(400, "A 'query' string is required");
+      if (typeof variables === 'string') {
+        try {
+          variables = JSON.parse(variables);
+        } catch (err) {
+          throw httpError(400, "'variables' must be a JSON object");
+        }
+      }
+
+      let document;
+      try {
+        document = parse(query);
+      } catch (err) {
+        return res.status(400).json({ errors: [formatError(err)] });
+      }
+      const problems = validate(schema, document);
+      if (problems.length) return res.status(400).json({ errors: problems.map(formatError) });
+      const operation = getOperationAST(document, operationName);
+      if (req.method === 'GET' && operation && operation.operation !== 'query') {
+        res.set('Allow', 'POST');
+        throw httpError(405, 'Mutations must be sent with POST');
+      }
+
+      const result = await execute({
+        schema,
+        document,
+        variableValues: variables,
+        operationName,
+        contextValue: { req, loaders: new Map() }
+      });
+      res.json({ ...(result.errors && { errors: result.errors.map(formatError) }), data: result.data });
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+}
+
+// Serve the schema of `metas` at /{endpoint}/graphql on `router`
+function registerGraphqlRoute(router, endpoint, metas, services = {}) {
+  if (metas.length === 0) return;
+  const handler = graphqlHandler(buildSchema(metas, endpoint, services));
+  router.get(`/${endpoint}/graphql`, handler);
+  router.post(`/${endpoint}/graphql`, handler);
+}
+
+// GraphiQL pointed at one endpoint's /graphql, its scripts and styles loaded
+// from `assetPath` (the installed packages, served through graphiqlAsset)
+function graphiqlPage(endpoint, assetPath) {
+  const url = JSON.stringify(`/${endpoint}/graphql`).replace(/</g, '\\u003c');
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>MsABON GraphiQL</title>
+  <link rel="stylesheet" href="${assetPath}/graphiql.min.css">
+</head>
+<body style="margin: 0">
+  <div id="graphiql" style="height: 100vh"></div>
+  <script src="${assetPath}/react.production.min.js"></script>
+  <script src="${assetPath}/react-dom.production.min.js"></script>
+  <script src="${assetPath}/graphiql.min.js"></script>
+  <script>
+    const fetcher = GraphiQL.createFetcher({ url: ${url} });
+    ReactDOM.createRoot(document.getElementById('graphiql')).render(React.createElement(GraphiQL, { fetcher }));
+  </script>
+</body>
+</html>`;
+}
+
+// The browser files graphiqlPage loads, from the installed packages (served
+// locally, like Swagger UI): file name -> [package, path in the package]
+const GRAPHIQL_ASSETS = {
+  'react.production.min.js': ['react', 'umd/react.production.min.js'],
+  'react-dom.production.min.js': ['react-dom', 'umd/react-dom.production.min.js'],
+  'graphiql.min.js': ['graphiql', 'graphiql.min.js'],
+  'graphiql.min.css': ['graphiql', 'graphiql.min.css']
+};
+
+// The file behind a GraphiQL asset name, or null for any other name
+function graphiqlAsset(name) {
+  if (!Object.prototype.hasOwnProperty.call(GRAPHIQL_ASSETS, name)) return null;
+  const [pkg, file] = GRAPHIQL_ASSETS[name];
+  return path.join(path.dirname(require.resolve(`${pkg}/package.json`)), file);
+}
+
+module.exports = { buildSchema, registerGraphqlRoute, graphiqlPage, graphiqlAsset };
@@ -0,0 +1,130 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { httpError, sendError } = require('./errors');
+const { globToRegex } = require('./glob');
+
+// Query guardrails, set under `guardrails:` at the top level (defaults for
+// every connection) and per connection, with per-object overrides in `tables`:
+//   defaultLimit: rows a list returns when the caller asks for no limit
+//   maxLimit:     largest page a list returns; larger limits (and -1) are capped
+//   timeout:      seconds a SQL statement may run before it is cancelled
+//   maxFilters:   filter conditions allowed in one list request
+//   rateLimit:    { rate, burst } token bucket per API key / JWT subject or IP
+//                 (rate in requests per second; connection level only)
+
+const SETTINGS = ['defaultLimit', 'maxLimit', 'timeout', 'maxFilters'];
+// callers a rate limiter remembers; the least recently seen are forgotten first
+const MAX_BUCKETS = 10000;
+
+function checkPositive(where, key, value) {
+  if (value === undefined) return;
+  if (typeof value !== 'number' || !(value > 0)) throw new Error(`${where}: '${key}' must be a positive number`);
+}
+
+// A connection's guardrails with the top-level defaults applied; throws on bad settings
+function resolveGuardrails(defaults = {}, connection = {}) {
+  const merged = { ...defaults, ...connection };
+  const where = 'guardrails';
+  for (const key of SETTINGS) checkPositive(where, key, merged[key]);
+  if (merged.rateLimit) {
+    checkPositive(`${where}.rateLimit`, 'rate', merged.rateLimit.rate);
+    checkPositive(`${where}.rateLimit`, 'burst', merged.rateLimit.burst);
+    if (merged.rateLimit.rate === undefined) throw new Error(`${where}.rateLimit needs a 'rate' (requests per second)`);
+  }
+  merged.tables = [].concat(defaults.tables || [], connection.tables || []).map(rule => {
+    for (const key of SETTINGS) checkPositive(`${where}.tables`, key, rule[key]);
+    return { ...rule, objects: [].concat(rule.objects || '*').map(globToRegex) };
+  });
+  return merged;
+}
+
+// Settings for one object ({ schema, name, table | object }); `tables` rules
+// matching its route name or schema.name apply in order. With no object, the
+// connection's own settings.
+function limitsFor(guardrails, meta = null) {
+  const limits = {};
+  for (const key of SETTINGS) if (guardrails[key] !== undefined) limits[key] = guardrails[key];
+  if (meta) {
+    const qualified = `${meta.schema}.${meta.table || meta.object}`;
+    for (const rule of guardrails.tables || []) {
+      if (!rule.objects.some(o => o.test(meta.name) || o.test(qualified))) continue;
+      for (const key of SETTINGS) if (rule[key] !== undefined) limits[key] = rule[key];
+    }
+  }
+  if (guardrails.rateLimit) limits.rateLimit = guardrails.rateLimit;
+  return limits;
+}
+
+// Page size for a list: `requested` is the caller's limit (-1 for all, or
+// undefined when not given), capped by maxLimit
+function pageLimit(limits, requested) {
+  const { defaultLimit, maxLimit } = limits || {};
+  let limit = requested;
+  if (limit === undefined) limit = defaultLimit !== undefined ? defaultLimit : -1;
+  if (maxLimit !== undefined && (limit < 0 || limit > maxLimit)) limit = maxLimit;
+  return limit;
+}
+
+// SQL requests started while serving an HTTP request, so they can be cancelled
+// when the client goes away
+const active = new AsyncLocalStorage();
+
+// Middleware: cancel the request's running statements if the client disconnects
+// before the response is complete
+function cancelOnDisconnect(req, res, next) {
+  const requests = new Set();
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    for (const request of requests) request.cancel();
+  });
+  active.run(requests, next);
+}
+
+// A new mssql request on `parent` (pool or transaction) that times out after
+// the object's `timeout` and is cancelled with its HTTP request
+function sqlRequest(parent, limits) {
+  const timeout = limits && limits.timeout;
+  const request = timeout ? parent.request({ requestTimeout: timeout * 1000 }) : parent.request();
+  const requests = active.getStore();
+  if (requests) requests.add(request);
+  return request;
+}
+
+// Middleware answering 429 (with Retry-After) once a caller's bucket is empty.
+// Callers are API keys or JWT subjects when authenticated, else client IPs.
+function createRateLimiter(settings) {
+  if (!settings) return (req, res, next) => next();
+  const rate = settings.rate;
+  const burst = settings.burst || rate;
+  // by caller, least recently seen first (a Map keeps insertion order)
+  const buckets = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const caller = req.identity ? `${req.identity.method}:${req.identity.subject}` : `ip:${req.ip}`;
+    const bucket = buckets.get(caller) || { tokens: burst, at: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.at) / 1000) * rate);
+    bucket.at = now;
+    buckets.delete(caller);
+    buckets.set(caller, bucket);
+    for (const key of buckets.keys()) {
+      if (buckets.size <= MAX_BUCKETS) break;
+      buckets.delete(key);
+    }
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return next();
+    }
+    const retryAfter = Math.max(1, Math.ceil((1 - bucket.tokens) / rate));
+    res.set('Retry-After', String(retryAfter));
+    sendError(res, httpError(429, `Rate limit exceeded; retry in ${retryAfter}s`, { code: 'rate_limited' }));
+  };
+}
+
+module.exports = {
+  resolveGuardrails,
+  limitsFor,
+  pageLimit,
+  cancelOnDisconnect,
+  sqlRequest,
+  createRateLimiter
+};
@@ -0,0 +1,66 @@
+const { httpError, validationError } = require('./errors');
+const { bindInput } = require('./sqlutil');
+const { valueProblem } = require('./validate');
+
+// Split "k1,k2" into key parts; a part may be double-quoted to carry commas
+function splitKey(raw) {
+  const parts = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (quoted) {
+      if (ch === '\\' && i + 1 < raw.length) cur += raw[++i];
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      parts.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  if (quoted) throw httpError(400, `Unterminated quote in key '${raw}'`);
+  parts.push(cur);
+  return parts;
+}
+
+// Map the :id path segment onto the PK columns, in key order. A single-column
+// key takes the segment verbatim; composite keys are comma separated.
+function parseKey(raw, tableMeta) {
+  const pk = tableMeta.pk || [];
+  const values = pk.length === 1 ? [raw] : splitKey(raw);
+  if (values.length !== pk.length) {
+    throw httpError(400, `Expected ${pk.length} key values (${pk.join(',')}), got ${values.length}`);
+  }
+  return values;
+}
+
+// Key values from a JSON key: a path-style string ("1,2"), a bare scalar,
+// an array in PK order, or an object keyed by PK column
+function keyFromJson(key, tableMeta) {
+  const pk = tableMeta.pk || [];
+  let values;
+  if (typeof key === 'string') return parseKey(key, tableMeta);
+  if (Array.isArray(key)) values = key;
+  else if (key !== null && typeof key === 'object') values = pk.map(k => key[k]);
+  else values = [key];
+  if (values.length !== pk.length || values.some(v => v === undefined)) {
+    throw httpError(400, `Expected a value for each key column (${pk.join(',')})`);
+  }
+  return values;
+}
+
+// "[a] = @key0 AND [b] = @key1", binding each key value on `request`
+function keyPredicate(tableMeta, values, request) {
+  const cols = tableMeta.pk.map(name => tableMeta.columns.find(c => c.COLUMN_NAME === name) || {});
+  const problems = tableMeta.pk
+    .map((name, i) => ({ field: name, message: valueProblem(cols[i], values[i]) }))
+    .filter(p => p.message);
+  if (problems.length) throw validationError(problems);
+  return tableMeta.pk.map((name, i) => `[${name}] = ${bindInput(request, `key${i}`, cols[i], values[i])}`).join(' AND ');
+}
+
+module.exports = { parseKey, keyFromJson, keyPredicate, splitKey };
@@ -1,21 +1,121 @@
-function ts() {
-  return new Date().toISOString();
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { globToRegex } = require('./glob');
+
+// Console logger. configure() applies the config's logLevel (error, warn, info,
+// verbose), logFormat (text, or json for one object per line) and logRedact
+// (column names or globs such as "*Password*" whose values are masked in logged
+// objects, SQL parameters and query strings). Lines written while a request is
+// being served carry its ID (see run()).
+
+const LEVELS = { error: 0, warn: 1, info: 2, verbose: 3 };
+const FORMATS = ['text', 'json'];
+const REDACTED = '[REDACTED]';
+
+const settings = { level: LEVELS.info, json: false, redact: [] };
+const context = new AsyncLocalStorage();
+
+function configure({ logLevel, logFormat, logRedact } = {}) {
+  const level = String(logLevel || 'info').toLowerCase();
+  if (!(level in LEVELS)) throw new Error(`Unknown logLevel '${logLevel}' (use ${Object.keys(LEVELS).join(', ')})`);
+  const format = String(logFormat || 'text').toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error(`Unknown logFormat '${logFormat}' (use ${FORMATS.join(' or ')})`);
+  settings.level = LEVELS[level];
+  settings.json = format === 'json';
+  settings.redact = [].concat(logRedact || []).map(globToRegex);
+}
+
+function isSensitive(name) {
+  return settings.redact.some(re => re.test(name));
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+// Copy of a logged value (request body, result rows, ...) with sensitive keys masked
+function redact(value) {
+  if (settings.redact.length === 0) return value;
+  if (Array.isArray(value)) return value.map(redact);
+  if (!isPlainObject(value)) return value;
+  const out = {};
+  for (const [key, v] of Object.entries(value)) out[key] = isSensitive(key) ? REDACTED : redact(v);
+  return out;
+}
+
+// mssql request.parameters as { name: value }. bindInput records the column a
+// parameter was bound for, so filters on a sensitive column are masked too.
+function sqlParams(parameters) {
+  const out = {};
+  for (const p of Object.values(parameters || {})) {
+    out[p.name] = isSensitive(p.column || p.name) ? REDACTED : p.value;
+  }
+  return out;
+}
+
+// URL with the values of sensitive query parameters (?SSN=eq.123) masked
+function redactUrl(url) {
+  const i = url.indexOf('?');
+  if (i < 0 || settings.redact.length === 0) return url;
+  const pairs = url.slice(i + 1).split('&').map(pair => {
+    const eq = pair.indexOf('=');
+    if (eq < 0) return pair;
+    let key;
+    try {
+      key = decodeURIComponent(pair.slice(0, eq).replace(/\+/g, ' '));
+    } catch (err) {
+      key = pair.slice(0, eq);
+    }
+    return isSensitive(key) ? `${pair.slice(0, eq)}=${REDACTED}` : pair;
+  });
+  return `${url.slice(0, i)}?${pairs.join('&')}`;
+}
+
+// Run fn (and everything it awaits) with `requestId` attached to each line
+function run(requestId, fn) {
+  return context.run({ requestId }, fn);
+}
+
+function requestId() {
+  const store = context.getStore();
+  return store ? store.requestId : undefined;
+}
+
+// Write one line at `level`; `fields` are extra properties for the JSON format
+function log(level, args, fields = {}) {
+  if (LEVELS[level] > settings.level) return;
+  const id = requestId();
+  const out = level === 'error' || level === 'warn' ? console.error : console.log;
+  const values = args.map(redact);
+  if (settings.json) {
+    out(JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      ...(id && { requestId: id }),
+      msg: util.formatWithOptions({ breakLength: Infinity, colors: false }, ...values),
+      ...fields
+    }));
+  } else {
+    out(`[${level.toUpperCase()}] ${new Date().toISOString()}${id ? ` [${id}]` : ''} -`, ...values);
+  }
 }
 
 function info(...args) {
-  console.log(`[INFO] ${ts()} -`, ...args);
+  log('info', args);
 }
 
 function warn(...args) {
-  console.warn(`[WARN] ${ts()} -`, ...args);
+  log('warn', args);
 }
 
 function error(...args) {
-  console.error(`[ERROR] ${ts()} -`, ...args);
+  log('error', args);
 }
 
 function verbose(...args) {
-  console.log(`[VERBOSE] ${ts()} -`, ...args);
+  log('verbose', args);
 }
 
-module.exports = { info, warn, error, verbose };
+module.exports = { configure, run, requestId, log, info, warn, error, verbose, redact, redactUrl, sqlParams };
@@ -0,0 +1,81 @@
+// In-memory metrics served by GET /metrics in the Prometheus text format:
+// request counts and latency per endpoint/table/verb and SQL errors by number.
+// Gauges (connection state, pool stats) are read when the page is rendered.
+
+// latency histogram buckets, in seconds
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const requests = new Map(); // label key -> { labels, value }
+const durations = new Map(); // label key -> { labels, counts, sum, count }
+const sqlErrors = new Map(); // error number -> count
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelText(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+// Labels for a finished request, from the route that answered it. Requests
+// outside an endpoint's routes (health, docs, unmatched) get empty names.
+function requestLabels(req, endpointNames) {
+  const parts = req.route ? String(req.route.path).replace(/\\/g, '').split('/') : [];
+  const endpoint = endpointNames.has(parts[1]) ? parts[1] : '';
+  const table = !endpoint ? '' : (parts[2] === 'rpc' ? parts[3] : parts[2]) || '';
+  return { endpoint, table, verb: req.method };
+}
+
+function observeRequest(labels, status, seconds) {
+  const counted = { ...labels, status: String(status) };
+  const countKey = labelText(counted);
+  const counter = requests.get(countKey) || requests.set(countKey, { labels: counted, value: 0 }).get(countKey);
+  counter.value++;
+
+  const key = labelText(labels);
+  const h = durations.get(key) || durations.set(key, { labels, counts: BUCKETS.map(() => 0), sum: 0, count: 0 }).get(key);
+  BUCKETS.forEach((le, i) => {
+    if (seconds <= le) h.counts[i]++;
+  });
+  h.sum += seconds;
+  h.count++;
+}
+
+function countSqlError(number) {
+  sqlErrors.set(number, (sqlErrors.get(number) || 0) + 1);
+}
+
+// The exposition text; `gauges` are [{ name, help, samples: [{ labels, value }] }]
+function render(gauges = []) {
+  const lines = [];
+  const family = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+  family('msabon_http_requests_total', 'counter', 'HTTP requests by endpoint, table, verb and status');
+  for (const { labels, value } of requests.values()) {
+    lines.push(`msabon_http_requests_total${labelText(labels)} ${value}`);
+  }
+
+  family('msabon_http_request_duration_seconds', 'histogram', 'HTTP request latency by endpoint, table and verb');
+  for (const h of durations.values()) {
+    BUCKETS.forEach((le, i) => {
+      lines.push(`msabon_http_request_duration_seconds_bucket${labelText({ ...h.labels, le })} ${h.counts[i]}`);
+    });
+    lines.push(`msabon_http_request_duration_seconds_bucket${labelText({ ...h.labels, le: '+Inf' })} ${h.count}`);
+    lines.push(`msabon_http_request_duration_seconds_sum${labelText(h.labels)} ${h.sum}`);
+    lines.push(`msabon_http_request_duration_seconds_count${labelText(h.labels)} ${h.count}`);
+  }
+
+  family('msabon_sql_errors_total', 'counter', 'SQL Server errors by error number');
+  for (const [number, value] of sqlErrors) {
+    lines.push(`msabon_sql_errors_total${labelText({ number })} ${value}`);
+  }
+
+  for (const g of gauges) {
+    family(g.name, 'gauge', g.help);
+    for (const s of g.samples) lines.push(`${g.name}${labelText(s.labels)} ${s.value}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { requestLabels, observeRequest, countSqlError, render };
@@ -0,0 +1,203 @@
+const logger = require('./logger');
+const { httpError } = require('./errors');
+const { qName, bindInput, columnList } = require('./sqlutil');
+const { selectList, applySelect } = require('./select');
+const { keyPredicate } = require('./keys');
+const { rowPredicates, enforceRowValues } = require('./rowsecurity');
+const { validateRows, isGenerated } = require('./validate');
+const { checkWritable, applyDefaults, maskRows } = require('./columns');
+const { ETAG, tagRows, withEtagColumns, matchesIfMatch, versionValues } = require('./etag');
+const {
+  chunkRows, insertStatement, mergeStatement, updateStatement, deleteStatement, execute, withTransaction
+} = require('./statements');
+const { rowKeyText } = require('./audit');
+
+// The single-row operations behind the PK routes and $batch. Each takes the
+// key values already split per PK column, applies row security for `req`, and
+// throws httpError for caller mistakes. Returned rows carry their ETag under
+// the ETAG symbol.
+
+function rowWhere(tableMeta, req, keyValues, request) {
+  return [keyPredicate(tableMeta, keyValues, request), ...rowPredicates(tableMeta, req, request)].join(' AND ');
+}
+
+function preconditionFailed(tableMeta) {
+  return httpError(412, `The '${tableMeta.name}' row does not match If-Match; it was changed or removed`, {
+    code: 'precondition_failed'
+  });
+}
+
+// If-Match (parsed by etag.parseIfMatch) before a write. Rowversion tables get
+// a WHERE predicate, so the write itself matches nothing on a stale tag; other
+// tables have the row read under an update lock and its hash compared, which
+// the caller runs in the write's transaction (`current` is that row when the
+// caller has already read it so). Returns the extra predicates.
+async function ifMatchPredicates(tableMeta, req, keyValues, ifMatch, newRequest, request, current) {
+  if (!ifMatch) return [];
+  if (tableMeta.rowversion) {
+    if (ifMatch === '*') return [];
+    const col = tableMeta.columns.find(c => c.COLUMN_NAME === tableMeta.rowversion);
+    const params = versionValues(ifMatch).map((v, i) => bindInput(request, `ifMatch${i}`, col, v));
+    return [params.length ? `[${col.COLUMN_NAME}] IN (${params.join(', ')})` : '1 = 0'];
+  }
+  const row = current !== undefined ? current : await readByKey(tableMeta, req, keyValues, newRequest(), null, { lock: true });
+  if (!row || !matchesIfMatch(ifMatch, row[ETAG])) throw preconditionFailed(tableMeta);
+  return [];
+}
+
+// SELECT one row by key (with optional ?select= plan); null when not found.
+// `lock` holds an update lock on the row until the transaction ends.
+async function readByKey(tableMeta, req, keyValues, request, plan = null, { lock = false } = {}) {
+  // the tag columns are fetched even when ?select= leaves them out
+  const fetchPlan = withEtagColumns(tableMeta, plan);
+  const where = rowWhere(tableMeta, req, keyValues, request);
+  const hint = lock ? ' WITH (UPDLOCK, HOLDLOCK)' : '';
+  const sqlText = `SELECT ${selectList(tableMeta, fetchPlan)} FROM ${qName(tableMeta.schema, tableMeta.table)}${hint} WHERE ${where}`;
+  logger.verbose('Executing SQL:', sqlText, 'params=', logger.sqlParams(request.parameters));
+  const result = await request.query(sqlText);
+  if (result.recordset.length === 0) return null;
+  const [row] = await applySelect(tagRows(tableMeta, result.recordset), fetchPlan, req);
+  return row;
+}
+
+// Hand the changes ([{ action, before, after }]) of a write to the audit trail
+// and the change feed, images masked; both wait for `newRequest`'s transaction to commit
+async function afterWrite(tableMeta, req, newRequest, written) {
+  const changes = written.map(c => ({ ...c, before: maskRows(tableMeta, c.before), after: maskRows(tableMeta, c.after) }));
+  if (tableMeta.audit) await tableMeta.audit.record(req, newRequest, tableMeta, changes);
+  if (tableMeta.changes) tableMeta.changes.publish(tableMeta, newRequest, changes);
+}
+
+// The caller's rows stored under the keys of `rows`, read under an update lock
+// (the before images of an upsert), by rowKeyText
+async function lockedRows(tableMeta, req, rows, request) {
+  const cols = tableMeta.pk.map(k => tableMeta.columns.find(c => c.COLUMN_NAME === k));
+  const match = rows.map((row, i) => `(${cols.map((c, j) => `[${c.COLUMN_NAME}] = ${bindInput(request, `b${i}_${j}`, c, row[c.COLUMN_NAME])}`).join(' AND ')})`);
+  const where = [`(${match.join(' OR ')})`, ...rowPredicates(tableMeta, req, request)].join(' AND ');
+  const sqlText = `SELECT ${columnList(tableMeta.columns)} FROM ${qName(tableMeta.schema, tableMeta.table)} WITH (UPDLOCK, HOLDLOCK) WHERE ${where}`;
+  logger.verbose('Executing SQL:', sqlText, 'params=', logger.sqlParams(request.parameters));
+  const result = await request.query(sqlText);
+  return new Map(result.recordset.map(r => [rowKeyText(tableMeta, r), r]));
+}
+
+// INSERT (or MERGE when `resolution` is merge-/ignore-duplicates) the given
+// objects. Several statements run in one transaction unless the caller already
+// holds one (`inTransaction`), in which case `newRequest` is bound to it.
+// Audited tables always write in a transaction, with their audit records.
+async function createRows(tableMeta, req, items, { resolution, newRequest, inTransaction = false }) {
+  const pk = tableMeta.pk || [];
+  if (items.length === 0) throw httpError(400, 'Empty array');
+  if (items.some(b => !b || typeof b !== 'object' || Array.isArray(b))) {
+    throw httpError(400, 'Body must be an object or an array of objects');
+  }
+  checkWritable(tableMeta, items);
+  // row security columns are forced to the caller's values
+  const rows = items.map(b => enforceRowValues(tableMeta, req, b));
+  const defaulted = new Set(rows.flatMap(r => applyDefaults(tableMeta, req, r, 'create')));
+
+  const upsert = resolution === 'merge-duplicates' || resolution === 'ignore-duplicates';
+  validateRows(tableMeta, rows, upsert ? 'upsert' : 'insert');
+  if (upsert) {
+    const keys = Object.keys(rows[0]).sort().join(',');
+    if (rows.some(r => Object.keys(r).sort().join(',') !== keys)) {
+      throw httpError(400, 'All objects in an upsert must have the same keys');
+    }
+    const missing = pk.filter(k => rows[0][k] === undefined);
+    if (missing.length) throw httpError(400, `Upsert requires key column(s): ${missing.join(', ')}`);
+  }
+
+  const writeChunk = (request, chunk) => (upsert
+    ? mergeStatement(tableMeta, chunk, request, {
+      ignoreDuplicates: resolution === 'ignore-duplicates',
+      scope: rowPredicates(tableMeta, req, request, 't'),
+      // create-only defaults leave matched rows alone
+      insertOnly: (tableMeta.defaults || [])
+        .filter(d => !d.on.has('update') && defaulted.has(d.column.COLUMN_NAME))
+        .map(d => d.column.COLUMN_NAME)
+    })
+    : insertStatement(tableMeta, chunk, request));
+
+  const chunks = chunkRows(tableMeta, rows);
+  const audit = tableMeta.audit;
+  const runAll = async next => {
+    const all = [];
+    for (const chunk of chunks) {
+      // a merge may update existing rows, whose before images are read first
+      const before = audit && resolution === 'merge-duplicates' ? await lockedRows(tableMeta, req, chunk, next()) : null;
+      const request = next();
+      const out = await execute(request, writeChunk(request, chunk));
+      await afterWrite(tableMeta, req, next, out.map(after => {
+        // without the before images a merged row may have been either
+        if (!before) return { action: resolution === 'merge-duplicates' ? 'upsert' : 'create', before: null, after };
+        const prior = before.get(rowKeyText(tableMeta, after));
+        return { action: prior ? 'update' : 'create', before: prior || null, after };
+      }));
+      all.push(...out);
+    }
+    return tagRows(tableMeta, all);
+  };
+  if ((chunks.length === 1 && !audit) || inTransaction) return runAll(newRequest);
+  return withTransaction(tableMeta.pool, runAll, tableMeta.limits);
+}
+
+// A conditional write on a table without rowversion needs its locked read and
+// the write in one transaction, as does an audited write with its record; run
+// `write(newRequest)` in one unless the caller already holds it
+function conditional(tableMeta, ifMatch, { newRequest, inTransaction }, write) {
+  const locked = tableMeta.audit || (ifMatch && !tableMeta.rowversion);
+  if (locked && !inTransaction) return withTransaction(tableMeta.pool, write, tableMeta.limits);
+  return write(newRequest);
+}
+
+// UPDATE one row by key. `replace` (PUT) sets omitted nullable columns to NULL
+// and rejects omitted non-nullable ones; otherwise (PATCH) only given columns change.
+// `ifMatch` makes it conditional (412 on a stale tag). Returns the updated row,
+// or null when no row matched.
+async function updateByKey(tableMeta, req, keyValues, body, { replace, newRequest, inTransaction = false, ifMatch = null }) {
+  const pk = tableMeta.pk || [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw httpError(400, 'Body must be an object');
+  checkWritable(tableMeta, [body]);
+  const checked = enforceRowValues(tableMeta, req, body, { update: !replace });
+  const defaulted = applyDefaults(tableMeta, req, checked, 'update');
+  validateRows(tableMeta, [checked], replace ? 'replace' : 'update');
+
+  const values = {};
+  for (const col of tableMeta.columns) {
+    const name = col.COLUMN_NAME;
+    if (pk.includes(name) || isGenerated(tableMeta, col)) continue;
+    // PUT leaves the columns callers cannot write, or cannot read back, as they are
+    if ((col.hidden || col.readOnly || col.writeOnly) && checked[name] === undefined) continue;
+    if (checked[name] !== undefined) values[name] = checked[name];
+    else if (replace) values[name] = null;
+  }
+  if (Object.keys(values).every(n => defaulted.includes(n))) throw httpError(400, 'No updatable fields provided');
+
+  return conditional(tableMeta, ifMatch, { newRequest, inTransaction }, async next => {
+    // the audit's before image doubles as the row If-Match is checked against
+    const before = tableMeta.audit ? await readByKey(tableMeta, req, keyValues, next(), null, { lock: true }) : undefined;
+    const request = next();
+    const versioned = await ifMatchPredicates(tableMeta, req, keyValues, ifMatch, next, request, before);
+    const keyWhere = rowWhere(tableMeta, req, keyValues, request);
+    const where = [keyWhere, ...versioned].join(' AND ');
+    const out = await execute(request, updateStatement(tableMeta, values, where, request, keyWhere));
+    if (!out[0] && ifMatch) throw preconditionFailed(tableMeta);
+    if (out[0]) await afterWrite(tableMeta, req, next, [{ action: 'update', before, after: out[0] }]);
+    return out[0] ? tagRows(tableMeta, out)[0] : null;
+  });
+}
+
+// DELETE one row by key (conditional with `ifMatch`); returns the deleted row,
+// or null when no row matched
+async function deleteByKey(tableMeta, req, keyValues, { newRequest, inTransaction = false, ifMatch = null }) {
+  return conditional(tableMeta, ifMatch, { newRequest, inTransaction }, async next => {
+    const request = next();
+    const versioned = await ifMatchPredicates(tableMeta, req, keyValues, ifMatch, next, request);
+    const where = [rowWhere(tableMeta, req, keyValues, request), ...versioned].join(' AND ');
+    const out = await execute(request, deleteStatement(tableMeta, where));
+    if (!out[0] && ifMatch) throw preconditionFailed(tableMeta);
+    if (out[0]) await afterWrite(tableMeta, req, next, [{ action: 'delete', before: out[0], after: null }]);
+    return out[0] ? tagRows(tableMeta, out)[0] : null;
+  });
+}
+
+module.exports = { readByKey, createRows, updateByKey, deleteByKey };
@@ -0,0 +1,171 @@
+const sql = require('mssql');
+const logger = require('./logger');
+const { httpError } = require('./errors');
+const { qName, bindInput } = require('./sqlutil');
+const { valueProblem } = require('./validate');
+const { withTransaction } = require('./statements');
+const { sqlRequest } = require('./guardrails');
+
+const COUNT_MODES = new Set(['exact', 'estimated', 'planned']);
+
+// Uncounted pages up to this many rows are held until complete so their
+// Content-Range is exact; larger ones stream without it
+const MAX_BUFFERED_PAGE = 1000;
+
+// "Range: 0-24" (with "Range-Unit: items") or "Range: items=0-24" -> { offset, limit }.
+// Ranges in any other unit (e.g. bytes) are ignored, as HTTP allows.
+function parseRange(req) {
+  const header = req.headers.range;
+  if (!header) return null;
+  const unit = req.headers['range-unit'];
+  if (unit && unit.trim().toLowerCase() !== 'items') return null;
+  const prefixed = /^\s*(\w+)=/.exec(header);
+  if (prefixed && prefixed[1].toLowerCase() !== 'items') return null;
+
+  const m = /^\s*(?:items=)?(\d+)-(\d*)\s*$/i.exec(header);
+  if (!m) throw httpError(416, `Invalid Range '${header}'; expected e.g. "0-24"`);
+  const first = Number(m[1]);
+  const last = m[2] === '' ? null : Number(m[2]);
+  if (last !== null && last < first) throw httpError(416, `Invalid Range '${header}'; the end is before the start`);
+  return { offset: first, limit: last === null ? -1 : last - first + 1 };
+}
+
+// Prefer: count=exact|estimated|planned, or null
+function countMode(prefer) {
+  const mode = prefer.count;
+  if (mode === undefined) return null;
+  if (!COUNT_MODES.has(mode)) throw httpError(400, `Unsupported count '${mode}' (use exact, estimated or planned)`);
+  return mode;
+}
+
+// Row estimate from the optimizer: compile the query under SHOWPLAN_XML on a
+// pinned connection (nothing runs) and read StatementEstRows
+async function plannedRows(tableMeta, bindWhere, grouping) {
+  const xml = await withTransaction(tableMeta.pool, async next => {
+    await next().batch('SET SHOWPLAN_XML ON');
+    try {
+      const request = next();
+      const where = bindWhere(request);
+      const whereSql = (where.length ? 'WHERE ' + where.join(' AND ') : '') + (grouping ? grouping(request) : '');
+      const result = await request.query(`SELECT ${grouping ? '1 AS [g]' : '*'} FROM ${qName(tableMeta.schema, tableMeta.table)} ${whereSql}`);
+      const row = result.recordset && result.recordset[0];
+      return row ? String(Object.values(row)[0]) : '';
+    } finally {
+      await next().batch('SET SHOWPLAN_XML OFF');
+    }
+  }, tableMeta.limits);
+  const m = /StatementEstRows="([^"]+)"/.exec(xml);
+  return m ? Math.round(Number(m[1])) : null;
+}
+
+// Total rows matching the list query. `bindWhere(request)` binds the filter and
+// row security parameters onto a request and returns the predicates;
+// `grouping(request)`, for aggregate lists, returns the GROUP BY / HAVING
+// clause, and the groups are counted.
+// estimated: partition row counts when nothing filters the table, else planned.
+// Returns null when no estimate is available.
+async function countRows(tableMeta, mode, bindWhere, grouping = null) {
+  const target = qName(tableMeta.schema, tableMeta.table);
+  const request = sqlRequest(tableMeta.pool, tableMeta.limits);
+  const where = bindWhere(request);
+
+  if (mode === 'estimated' && where.length === 0 && !grouping && !tableMeta.isView) {
+    request.input('countObject', sql.NVarChar, target);
+    const sqlText = `SELECT SUM(p.rows) AS total FROM sys.partitions p
+                     WHERE p.object_id = OBJECT_ID(@countObject) AND p.index_id IN (0, 1)`;
+    logger.verbose('Executing SQL:', sqlText, 'params=', logger.sqlParams(request.parameters));
+    const result = await request.query(sqlText);
+    return Number(result.recordset[0]?.total || 0);
+  }
+
+  if (mode === 'exact') {
+    const whereSql = where.length ? 'WHERE ' + where.join(' AND ') : '';
+    const sqlText = grouping
+      ? `SELECT COUNT_BIG(*) AS total FROM (SELECT 1 AS [g] FROM ${target} ${whereSql}${grouping(request)}) AS groups`
+      : `SELECT COUNT_BIG(*) AS total FROM ${target} ${whereSql}`;
+    logger.verbose('Executing SQL:', sqlText, 'params=', logger.sqlParams(request.parameters));
+    const result = await request.query(sqlText);
+    return Number(result.recordset[0].total);
+  }
+
+  try {
+    return await plannedRows(tableMeta, bindWhere, grouping);
+  } catch (err) {
+    logger.warn(`Planned count for ${target} failed:`, err.message);
+    return null;
+  }
+}
+
+// Rows a page will hold given the total (null when the total is unknown)
+function pageSize(offset, limit, total) {
+  if (total === null) return null;
+  const remaining = Math.max(0, total - offset);
+  return limit < 0 ? remaining : Math.min(limit, remaining);
+}
+
+// "0-24/1234", or "*/1234" for an empty page; the size is "*" when unknown
+function contentRange(offset, returned, total) {
+  const size = total === null || total === undefined ? '*' : total;
+  return returned > 0 ? `${offset}-${offset + returned - 1}/${size}` : `*/${size}`;
+}
+
+// ?order= as [{ column, dir }]: "Name.desc,Id" -> Name DESC, Id ASC. Each
+// column must be one of `allowed` (names); an unknown column or a direction
+// other than asc or desc is a 400, wherever ?order= is taken.
+function parseOrder(text, allowed) {
+  return String(text).split(',').map(part => {
+    const [column, dir, ...rest] = part.trim().split('.');
+    if (!allowed.includes(column)) {
+      throw httpError(400, `Cannot order by '${column}'; use one of: ${allowed.join(', ')}`);
+    }
+    const d = dir === undefined ? 'ASC' : dir.toUpperCase();
+    if ((d !== 'ASC' && d !== 'DESC') || rest.length) {
+      throw httpError(400, `Invalid direction for '${column}' in order; use asc or desc`);
+    }
+    return { column, dir: d };
+  });
+}
+
+// Keyset cursors: the sort (`keyset`, [{ column, dir }] ending with the PK) and
+// the last row's values for it, as base64url JSON. Binary values travel as 0x hex.
+function encodeCursor(keyset, row) {
+  const values = keyset.map(({ column }) => {
+    const v = row[column];
+    if (Buffer.isBuffer(v)) return `0x${v.toString('hex')}`;
+    return v instanceof Date ? v.toISOString() : v;
+  });
+  return Buffer.from(JSON.stringify({ k: keyset.map(o => `${o.column}.${o.dir.toLowerCase()}`), v: values })).toString('base64url');
+}
+
+// Bind ?cursor= onto `request` and return the predicate selecting the rows
+// after it in `keyset` order: (a > @a) OR (a = @a AND b > @b) ..., with < for
+// descending columns. NULLs sort first, as in SQL Server.
+function seekCursor(text, keyset, tableMeta, request) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(text), 'base64url').toString('utf8'));
+  } catch (err) {
+    cursor = null;
+  }
+  if (!cursor || !Array.isArray(cursor.k) || !Array.isArray(cursor.v) || cursor.v.length !== cursor.k.length) {
+    throw httpError(400, 'Invalid cursor');
+  }
+  if (cursor.k.join(',') !== keyset.map(o => `${o.column}.${o.dir.toLowerCase()}`).join(',')) {
+    throw httpError(400, 'The cursor was made for a different order; keep the order of the request that returned it');
+  }
+  const refs = keyset.map(({ column, dir }, i) => {
+    const col = tableMeta.columns.find(c => c.COLUMN_NAME === column);
+    const value = cursor.v[i];
+    if (value !== null && valueProblem(col, value)) throw httpError(400, 'Invalid cursor');
+    const ref = `[${column}]`;
+    if (value === null) return { eq: `${ref} IS NULL`, after: dir === 'ASC' ? `${ref} IS NOT NULL` : '1 = 0' };
+    const p = bindInput(request, `c${i}`, col, value);
+    return { eq: `${ref} = ${p}`, after: dir === 'ASC' ? `${ref} > ${p}` : `(${ref} < ${p} OR ${ref} IS NULL)` };
+  });
+  const terms = refs.map((r, i) => [...refs.slice(0, i).map(x => x.eq), r.after].join(' AND '));
+  return `(${terms.map(t => `(${t})`).join(' OR ')})`;
+}
+
+module.exports = {
+  MAX_BUFFERED_PAGE, parseRange, countMode, countRows, pageSize, contentRange, parseOrder, encodeCursor, seekCursor
+};
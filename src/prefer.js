@@ -0,0 +1,11 @@
+// Parse a Prefer header ("resolution=merge-duplicates, count=exact") into an object
+function parsePrefer(req) {
+  const out = {};
+  for (const part of String(req.headers.prefer || '').split(/[,;]/)) {
+    const [key, value] = part.split('=').map(s => s && s.trim());
+    if (key) out[key.toLowerCase()] = value === undefined ? true : value.toLowerCase();
+  }
+  return out;
+}
+
+module.exports = { parsePrefer };
@@ -0,0 +1,254 @@
+const sql = require('mssql');
+const logger = require('./logger');
+const { httpError, validationError, sendError } = require('./errors');
+const { valueProblem } = require('./validate');
+const { limitsFor, pageLimit, sqlRequest } = require('./guardrails');
+const { bindInput, toOpenApiType } = require('./sqlutil');
+const { negotiateFormat, streamRows } = require('./export');
+const { MAX_BUFFERED_PAGE, parseRange, contentRange, parseOrder } = require('./paging');
+
+// Custom SQL endpoints, configured per connection:
+//   queries:
+//     - name: OpenOrders
+//       sql: SELECT Id, Customer, Total FROM dbo.Orders WHERE Status = 'Open' AND Region = @region
+//       params:
+//         region: nvarchar(20)           # or { type, required, default, description }
+//       result:                          # optional, for OpenAPI and ?order=
+//         Id: int
+//         Total: decimal(18,2)
+//       order: Id DESC                   # default sort for paging
+// Read-only queries (the default) are served as GET /{endpoint}/query/{name}
+// with the list's limit/offset/Range/format handling; `readOnly: false` lets
+// the text write and serves it as POST, with the parameters in the body.
+
+const NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// query-string parameters the paging itself uses
+const RESERVED = ['limit', 'offset', 'order', 'format'];
+const TYPES = new Set([
+  'bigint', 'int', 'smallint', 'tinyint', 'bit', 'decimal', 'numeric', 'money', 'smallmoney', 'float', 'real',
+  'date', 'time', 'datetime', 'smalldatetime', 'datetime2', 'datetimeoffset', 'uniqueidentifier',
+  'char', 'varchar', 'nchar', 'nvarchar', 'text', 'ntext', 'binary', 'varbinary', 'image',
+  'xml', 'sql_variant', 'geography', 'geometry', 'hierarchyid'
+]);
+// statements a read-only query may not contain
+const WRITES = /\b(INSERT|UPDATE|DELETE|MERGE|EXEC|EXECUTE|INTO|DROP|ALTER|CREATE|TRUNCATE|GRANT|REVOKE|DENY|BACKUP|RESTORE|DBCC|KILL|SHUTDOWN|RECONFIGURE|WAITFOR|OPENROWSET|OPENQUERY|OPENDATASOURCE|BULK)\b/i;
+
+// "decimal(18,2)", "nvarchar(max)", "datetime2(3)" -> the INFORMATION_SCHEMA-like
+// column shape the sqlutil mappings expect
+function parseType(name, text, nullable = true) {
+  const m = /^\s*(\w+)\s*(?:\(\s*(max|\d+)\s*(?:,\s*(\d+)\s*)?\))?\s*$/i.exec(String(text || ''));
+  if (!m || !TYPES.has(m[1].toLowerCase())) throw new Error(`'${name}' has an unknown SQL type '${text}'`);
+  const t = m[1].toLowerCase();
+  const size = m[2] === undefined ? null : (m[2].toLowerCase() === 'max' ? -1 : Number(m[2]));
+  const temporal = /^(time|datetime2|datetimeoffset)$/.test(t);
+  const numeric = t === 'decimal' || t === 'numeric';
+  return {
+    COLUMN_NAME: name,
+    DATA_TYPE: t,
+    CHARACTER_MAXIMUM_LENGTH: !temporal && !numeric ? size : null,
+    NUMERIC_PRECISION: numeric ? size : null,
+    NUMERIC_SCALE: numeric ? (m[3] === undefined ? 0 : Number(m[3])) : null,
+    DATETIME_PRECISION: temporal ? size : null,
+    IS_NULLABLE: nullable ? 'YES' : 'NO'
+  };
+}
+
+// The SQL text with comments, string literals and [quoted] names blanked out,
+// so keywords and semicolons are only found in the statement itself
+function bareText(text) {
+  return text.replace(/--[^\n]*|\/\*[\s\S]*?\*\/|N?'(?:[^']|'')*'|\[(?:[^\]]|\]\])*\]|"(?:[^"]|"")*"/g, ' ');
+}
+
+// A single SELECT (or WITH ... SELECT) statement with nothing that writes,
+// and no ORDER BY of its own at the end (paging appends one)
+function readOnlyProblem(text) {
+  const bare = bareText(text).trim().replace(/;\s*$/, '');
+  if (!/^(SELECT|WITH)\b/i.test(bare)) return 'must be a SELECT statement (or WITH ... SELECT); set readOnly: false for queries that write';
+  if (bare.includes(';')) return 'must be a single statement';
+  const write = WRITES.exec(bare);
+  if (write) return `must not contain ${write[1].toUpperCase()} (set readOnly: false for queries that write)`;
+  // an ORDER BY outside parentheses ends the statement; move it to `order`
+  let depth = 0;
+  let top = '';
+  for (const ch of bare) {
+    if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+    else if (depth === 0) top += ch;
+  }
+  if (/\bORDER\s+BY\b/i.test(top)) return "must not end with ORDER BY; set the query's 'order' instead";
+  return null;
+}
+
+// Validate the `queries` of one connection and bring them into the shape the
+// routes use; throws on bad settings
+function compileQueries(entries, endpoint) {
+  const seen = new Set();
+  return [].concat(entries || []).map(q => {
+    if (!q || !NAME.test(String(q.name || ''))) throw new Error(`each query of '${endpoint}' needs a 'name' of letters, digits and _`);
+    const label = `query '${q.name}'`;
+    if (seen.has(q.name)) throw new Error(`${label} is defined twice`);
+    seen.add(q.name);
+    if (typeof q.sql !== 'string' || !q.sql.trim()) throw new Error(`${label}: 'sql' is required`);
+    const readOnly = q.readOnly !== false;
+    if (readOnly) {
+      const problem = readOnlyProblem(q.sql);
+      if (problem) throw new Error(`${label}: a read-only query ${problem}`);
+    }
+
+    const params = Object.entries(q.params || {}).map(([name, spec]) => {
+      if (!NAME.test(name)) throw new Error(`${label}: invalid parameter name '${name}'`);
+      if (readOnly && RESERVED.includes(name)) throw new Error(`${label}: '${name}' is used for paging; rename the parameter`);
+      const s = typeof spec === 'object' && spec !== null ? spec : { type: spec };
+      const param = { ...parseType(name, s.type, !s.required), required: !!s.required, default: s.default, description: s.description };
+      if (param.default !== undefined) {
+        const problem = valueProblem(param, param.default);
+        if (problem) throw new Error(`${label}: default of '${name}' ${problem}`);
+      }
+      return param;
+    });
+    const result = Object.entries(q.result || {}).map(([name, type]) => parseType(name, type));
+
+    return {
+      name: q.name,
+      sql: q.sql.trim().replace(/;\s*$/, ''),
+      description: q.description,
+      readOnly,
+      params,
+      result,
+      order: q.order ? String(q.order) : null
+    };
+  });
+}
+
+// Bind every declared parameter (omitted ones take their default, else NULL)
+function bindParams(query, args, request) {
+  const known = new Set(query.params.map(p => p.COLUMN_NAME));
+  const unknown = Object.keys(args).filter(k => !known.has(k));
+  if (unknown.length) throw httpError(400, `Unknown parameter(s): ${unknown.join(', ')}`);
+
+  const values = {};
+  const problems = [];
+  for (const p of query.params) {
+    const value = args[p.COLUMN_NAME] !== undefined ? args[p.COLUMN_NAME] : p.default;
+    if (value === undefined && p.required) {
+      problems.push({ field: p.COLUMN_NAME, message: 'is required' });
+      continue;
+    }
+    const message = value !== undefined && valueProblem(p, value);
+    if (message) problems.push({ field: p.COLUMN_NAME, message });
+    values[p.COLUMN_NAME] = value === undefined ? null : value;
+  }
+  if (problems.length) throw validationError(problems);
+  for (const p of query.params) bindInput(request, p.COLUMN_NAME, p, values[p.COLUMN_NAME]);
+}
+
+// ?order=col.asc|col.desc over the declared result columns, else the query's
+// `order`, else no particular order (OFFSET needs an ORDER BY)
+function orderClause(query, requested) {
+  if (requested !== undefined) {
+    if (!query.result.length) throw httpError(400, `Query '${query.name}' declares no result columns to order by`);
+    return 'ORDER BY ' + parseOrder(requested, query.result.map(c => c.COLUMN_NAME))
+      .map(({ column, dir }) => `[${column}] ${dir}`).join(', ');
+  }
+  return `ORDER BY ${query.order || '(SELECT NULL)'}`;
+}
+
+// GET (read-only) or POST /{endpoint}/query/{name}
+function registerQueryRoute(app, query, pool, endpoint, services = {}) {
+  const path = `/${endpoint}/query/${query.name}`;
+  const { auth } = services;
+  const meta = { name: query.name, kind: 'query' };
+  const allow = verb => (auth ? auth.authorize(endpoint, meta, verb) : (req, res, next) => next());
+
+  logger.verbose('Registering query route for', endpoint, query.name, 'under', path);
+
+  if (!query.readOnly) {
+    app.post(path, allow('POST'), async (req, res) => {
+      try {
+        const args = req.body || {};
+        if (typeof args !== 'object' || Array.isArray(args)) throw httpError(400, 'Arguments must be an object');
+        const request = sqlRequest(pool, query.limits);
+        bindParams(query, args, request);
+        logger.verbose('Executing SQL:', query.sql, 'params=', logger.sqlParams(request.parameters));
+        const result = await request.query(query.sql);
+        res.json({ resultSets: result.recordsets || [], rowsAffected: result.rowsAffected });
+      } catch (err) {
+        sendError(res, err);
+      }
+    });
+    return;
+  }
+
+  app.get(path, allow('GET'), async (req, res) => {
+    try {
+      const format = negotiateFormat(req);
+      const request = sqlRequest(pool, query.limits);
+      const q = req.query;
+      bindParams(query, Object.fromEntries(Object.entries(q).filter(([k]) => !RESERVED.includes(k))), request);
+
+      // the same limit/offset/Range handling as table lists
+      let limit = Number.isFinite(parseInt(q.limit, 10)) ? parseInt(q.limit, 10) : undefined;
+      let offset = Number.isFinite(parseInt(q.offset, 10)) ? parseInt(q.offset, 10) : 0;
+      const range = parseRange(req);
+      if (range && q.limit === undefined && q.offset === undefined) ({ offset, limit } = range);
+      limit = pageLimit(query.limits, limit);
+      if (offset < 0) offset = 0;
+
+      let sqlText = `${query.sql}\n${orderClause(query, q.order)}`;
+      if (limit >= 0 || offset > 0) {
+        request.input('offset', sql.Int, offset);
+        sqlText += ' OFFSET @offset ROWS';
+      }
+      if (limit >= 0) {
+        request.input('limit', sql.Int, limit);
+        sqlText += ' FETCH NEXT @limit ROWS ONLY';
+      }
+
+      const head = returned => {
+        const headers = { 'Range-Unit': 'items' };
+        if (returned !== null) headers['Content-Range'] = contentRange(offset, returned, null);
+        return { status: 200, headers };
+      };
+      await streamRows(req, res, request, sqlText, {
+        format, filename: query.name, head, bufferPage: limit >= 0 && limit <= MAX_BUFFERED_PAGE
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+}
+
+// Register the connection's configured queries (compiled by compileQueries) and
+// return their OpenAPI schemas. `guardrails` supplies each query's limits;
+// `tables` rules match the query name.
+function setupQueries(app, pool, queries, endpoint, services = {}, guardrails = {}) {
+  const schemas = {};
+  for (const q of queries) {
+    const query = { ...q, limits: limitsFor(guardrails, { schema: 'query', object: q.name, name: q.name }) };
+    registerQueryRoute(app, query, pool, endpoint, services);
+    schemas[`${endpoint}_query_${query.name}`] = querySchema(query);
+  }
+  return schemas;
+}
+
+// OpenAPI schema of a query's result rows, with its parameters as hints for
+// Swagger generation
+function querySchema(query) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(query.result.map(c => [c.COLUMN_NAME, toOpenApiType(c)])),
+    ...(query.description && { description: query.description }),
+    'x-msabon-kind': 'query',
+    'x-msabon-query': query.name,
+    'x-msabon-readOnly': query.readOnly,
+    'x-msabon-params': query.params.map(p => ({
+      name: p.COLUMN_NAME,
+      required: p.required,
+      ...(p.description && { description: p.description }),
+      schema: { ...toOpenApiType(p), ...(p.default !== undefined && { default: p.default }) }
+    })),
+    'x-msabon-limits': query.limits
+  };
+}
+
+module.exports = { compileQueries, setupQueries };
@@ -0,0 +1,236 @@
+const sql = require('mssql');
+const logger = require('./logger');
+const { httpError, validationError, sendError } = require('./errors');
+const { valueProblem } = require('./validate');
+const { assignRouteNames } = require('./discovery');
+const { limitsFor, pageLimit, sqlRequest } = require('./guardrails');
+const { parseRange, contentRange } = require('./paging');
+const { qName, mapSqlTypeToMssqlType, toSqlValue, bindInput, toOpenApiType } = require('./sqlutil');
+
+const KINDS = { P: 'procedure', IF: 'function', TF: 'function' };
+// query string names that page the returned rows (unless a parameter has the name)
+const PAGING = ['limit', 'offset'];
+
+async function discoverRoutines(pool) {
+  const res = await pool.request()
+    .query(`SELECT SCHEMA_NAME(o.schema_id) AS ROUTINE_SCHEMA, o.name AS ROUTINE_NAME, RTRIM(o.type) AS OBJECT_TYPE
+            FROM sys.objects o
+            WHERE o.type IN ('P','IF','TF') AND o.is_ms_shipped = 0`);
+  return res.recordset;
+}
+
+// sys.parameters reports byte lengths and keeps the fractional-second digits of
+// temporal types in `scale`; turn a parameter or column row into the
+// INFORMATION_SCHEMA-like shape the sqlutil mappings expect
+function asColumn(row) {
+  const t = row.DATA_TYPE.toLowerCase();
+  const len = row.MAX_LENGTH === -1 ? -1 : (t === 'nchar' || t === 'nvarchar' ? row.MAX_LENGTH / 2 : row.MAX_LENGTH);
+  const temporal = /^(time|datetime2|datetimeoffset)$/.test(t);
+  return {
+    COLUMN_NAME: row.NAME,
+    DATA_TYPE: row.DATA_TYPE,
+    CHARACTER_MAXIMUM_LENGTH: len,
+    NUMERIC_PRECISION: row.PRECISION,
+    NUMERIC_SCALE: temporal ? null : row.SCALE,
+    DATETIME_PRECISION: temporal ? row.SCALE : null,
+    IS_NULLABLE: 'YES'
+  };
+}
+
+async function getParameters(pool, schema, name) {
+  const res = await pool.request()
+    .input('object', sql.NVarChar, `${qName(schema, name)}`)
+    .query(`SELECT p.name AS NAME, TYPE_NAME(p.user_type_id) AS DATA_TYPE, SCHEMA_NAME(t.schema_id) AS TYPE_SCHEMA,
+                   p.max_length AS MAX_LENGTH, p.precision AS PRECISION, p.scale AS SCALE, p.is_output AS IS_OUTPUT, t.is_table_type AS IS_TABLE_TYPE,
+                   p.user_type_id AS TYPE_ID
+            FROM sys.parameters p
+            JOIN sys.types t ON t.user_type_id = p.user_type_id
+            WHERE p.object_id = OBJECT_ID(@object) AND p.parameter_id > 0
+            ORDER BY p.parameter_id`);
+  const params = [];
+  for (const p of res.recordset) {
+    const param = { ...asColumn({ ...p, NAME: p.NAME.replace(/^@/, '') }), isOutput: !!p.IS_OUTPUT, tableType: null };
+    if (p.IS_TABLE_TYPE) {
+      const cols = await pool.request()
+        .input('typeId', sql.Int, p.TYPE_ID)
+        .query(`SELECT c.name AS NAME, TYPE_NAME(c.user_type_id) AS DATA_TYPE, c.max_length AS MAX_LENGTH,
+                       c.precision AS PRECISION, c.scale AS SCALE, c.is_nullable AS IS_NULLABLE
+                FROM sys.table_types tt
+                JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+                WHERE tt.user_type_id = @typeId
+                ORDER BY c.column_id`);
+      param.tableType = {
+        name: `${p.TYPE_SCHEMA}.${p.DATA_TYPE}`,
+        columns: cols.recordset.map(c => ({ ...asColumn(c), IS_NULLABLE: c.IS_NULLABLE ? 'YES' : 'NO' }))
+      };
+    }
+    params.push(param);
+  }
+  return params;
+}
+
+// Build a table-valued parameter from an array of objects keyed by column
+function toTvp(param, rows) {
+  if (!Array.isArray(rows)) throw httpError(400, `Parameter '${param.COLUMN_NAME}' expects an array of rows`);
+  const tvp = new sql.Table(param.tableType.name);
+  for (const c of param.tableType.columns) {
+    tvp.columns.add(c.COLUMN_NAME, mapSqlTypeToMssqlType(c), { nullable: c.IS_NULLABLE === 'YES' });
+  }
+  for (const row of rows) {
+    tvp.rows.add(...param.tableType.columns.map(c => (row[c.COLUMN_NAME] === undefined ? null : toSqlValue(c, row[c.COLUMN_NAME]))));
+  }
+  return tvp;
+}
+
+// Bind `args` onto `request`. Procedures skip omitted inputs (so their
+// defaults apply); functions take every argument positionally, DEFAULT if omitted.
+function bindArgs(routine, args, request) {
+  const known = new Set(routine.params.map(p => p.COLUMN_NAME));
+  const unknown = Object.keys(args).filter(k => !known.has(k));
+  if (unknown.length) throw httpError(400, `Unknown parameter(s): ${unknown.join(', ')}`);
+
+  const problems = routine.params
+    .filter(p => !p.tableType && args[p.COLUMN_NAME] !== undefined)
+    .map(p => ({ field: p.COLUMN_NAME, message: valueProblem(p, args[p.COLUMN_NAME]) }))
+    .filter(p => p.message);
+  if (problems.length) throw validationError(problems);
+
+  const positional = [];
+  for (const p of routine.params) {
+    const name = p.COLUMN_NAME;
+    const value = args[name];
+    if (p.isOutput) {
+      request.output(name, mapSqlTypeToMssqlType(p), value === undefined ? null : toSqlValue(p, value));
+    } else if (p.tableType) {
+      if (value !== undefined) request.input(name, sql.TVP, toTvp(p, value));
+    } else if (value !== undefined) {
+      bindInput(request, name, p, value);
+    }
+    positional.push(value === undefined ? 'DEFAULT' : `@${name}`);
+  }
+  return positional;
+}
+
+// The page of rows to return, like a table list: `limit`/`offset` from the
+// query string (those in `names`) or a Range header, capped by the guardrails
+function rpcPage(req, names, limits) {
+  const number = name => {
+    const n = names.includes(name) ? parseInt(req.query[name], 10) : NaN;
+    return Number.isFinite(n) ? n : undefined;
+  };
+  let limit = number('limit');
+  let offset = number('offset') || 0;
+  const range = parseRange(req);
+  if (range && limit === undefined && number('offset') === undefined) ({ offset, limit } = range);
+  return { offset: Math.max(offset, 0), limit: pageLimit(limits, limit) };
+}
+
+// POST (and, for functions, GET) /{endpoint}/rpc/{name}
+function registerRoutineRoutes(app, routine, endpoint, services = {}) {
+  const path = `/${endpoint}/rpc/${routine.name}`;
+  const { auth } = services;
+  const meta = { name: routine.name, kind: routine.kind };
+  const allow = verb => (auth ? auth.authorize(endpoint, meta, verb) : (req, res, next) => next());
+  const target = qName(routine.schema, routine.object);
+  const paging = PAGING.filter(name => !routine.params.some(p => p.COLUMN_NAME === name));
+
+  const run = source => async (req, res) => {
+    try {
+      const args = source(req) || {};
+      if (typeof args !== 'object' || Array.isArray(args)) throw httpError(400, 'Arguments must be an object');
+      const { offset, limit } = rpcPage(req, paging, routine.limits);
+      const request = sqlRequest(routine.pool, routine.limits);
+      const positional = bindArgs(routine, args, request);
+
+      if (routine.kind === 'function') {
+        let sqlText = `SELECT * FROM ${target}(${positional.join(', ')})`;
+        if (limit >= 0 || offset > 0) {
+          request.input('pageOffset', sql.Int, offset);
+          sqlText += ' ORDER BY (SELECT NULL) OFFSET @pageOffset ROWS';
+        }
+        if (limit >= 0) {
+          request.input('pageLimit', sql.Int, limit);
+          sqlText += ' FETCH NEXT @pageLimit ROWS ONLY';
+        }
+        logger.verbose('Executing SQL:', sqlText, 'params=', logger.sqlParams(request.parameters));
+        const result = await request.query(sqlText);
+        res.set({ 'Range-Unit': 'items', 'Content-Range': contentRange(offset, result.recordset.length, null) });
+        return res.json(result.recordset);
+      }
+
+      // a procedure's result sets cannot be paged in SQL; each one is cut here
+      logger.verbose('Executing procedure:', target, 'params=', logger.sqlParams(request.parameters));
+      const result = await request.execute(target);
+      res.json({
+        resultSets: (result.recordsets || []).map(rows => rows.slice(offset, limit >= 0 ? offset + limit : undefined)),
+        output: result.output || {},
+        returnValue: result.returnValue
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+
+  logger.verbose('Registering RPC route for', endpoint, routine.name, 'under', path);
+  app.post(path, allow('POST'), run(req => req.body));
+  if (routine.kind === 'function') {
+    app.get(path, allow('GET'), run(req => Object.fromEntries(Object.entries(req.query).filter(([k]) => !paging.includes(k)))));
+  }
+}
+
+// Discover the procedures and table-valued functions the endpoint's
+// `select(schema, name)` filter keeps (see discovery.js), register their routes
+// and return their OpenAPI schemas. `guardrails` supplies each routine's timeout.
+async function setupRoutines(app, pool, select, endpoint, services = {}, guardrails = {}) {
+  const selected = [];
+  for (const r of await discoverRoutines(pool)) {
+    const picked = select(r.ROUTINE_SCHEMA, r.ROUTINE_NAME);
+    if (picked) selected.push({ schema: r.ROUTINE_SCHEMA, table: r.ROUTINE_NAME, type: r.OBJECT_TYPE, alias: picked.alias });
+  }
+
+  const schemas = {};
+  for (const r of assignRouteNames(selected, 'routine')) {
+    // `object` is the SQL name, `name` the route name
+    const routine = {
+      schema: r.schema,
+      object: r.table,
+      name: r.name,
+      kind: KINDS[r.type],
+      pool,
+      params: await getParameters(pool, r.schema, r.table)
+    };
+    routine.limits = limitsFor(guardrails, routine);
+    if (process.env.DEBUG_DISCOVERY) {
+      logger.info('[DISCOVERY] routine', { schema: routine.schema, object: routine.object, name: routine.name, type: r.type });
+    }
+    registerRoutineRoutes(app, routine, endpoint, services);
+    schemas[`${endpoint}_rpc_${routine.name}`] = routineSchema(routine);
+  }
+  return schemas;
+}
+
+// OpenAPI schema describing a routine's arguments, with hints for Swagger generation
+function routineSchema(routine) {
+  const properties = {};
+  for (const p of routine.params) {
+    properties[p.COLUMN_NAME] = p.tableType
+      ? {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: Object.fromEntries(p.tableType.columns.map(c => [c.COLUMN_NAME, toOpenApiType(c)]))
+        }
+      }
+      : { ...toOpenApiType(p), ...(p.isOutput && { description: 'OUTPUT parameter (optional initial value)' }) };
+  }
+  return {
+    type: 'object',
+    properties,
+    'x-msabon-kind': routine.kind,
+    'x-msabon-routine': routine.name,
+    'x-msabon-outputs': routine.params.filter(p => p.isOutput).map(p => p.COLUMN_NAME),
+    'x-msabon-limits': routine.limits
+  };
+}
+
+module.exports = { setupRoutines };
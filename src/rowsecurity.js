@@ -0,0 +1,114 @@
+const { httpError } = require('./errors');
+const { globToRegex } = require('./glob');
+const { bindInput } = require('./sqlutil');
+const logger = require('./logger');
+
+const PLACEHOLDER = /\{([^{}]+)\}/g;
+const SCOPES = new Set(['claims', 'claim', 'header', 'headers', 'identity']);
+
+// Resolve "claims.site", "header.x-site-code" or "identity.subject" from the request
+function contextValue(req, ref) {
+  const [scope, ...rest] = ref.trim().split('.');
+  const key = rest.join('.');
+  const identity = req.identity || {};
+  let source;
+  if (scope === 'claims' || scope === 'claim') source = identity.claims || {};
+  else if (scope === 'header' || scope === 'headers') return req.headers[key.toLowerCase()];
+  else source = identity;
+  return key.split('.').reduce((o, k) => (o == null ? undefined : o[k]), source);
+}
+
+// Expand a value template. A template that is exactly one placeholder keeps the
+// resolved value as-is; anything else is interpolated. Undefined when a
+// placeholder has no value for this caller.
+function expandTemplate(template, req) {
+  const t = String(template);
+  const whole = /^\{([^{}]+)\}$/.exec(t);
+  if (whole) return contextValue(req, whole[1]);
+  let missing = false;
+  const value = t.replace(PLACEHOLDER, (m, ref) => {
+    const v = contextValue(req, ref);
+    if (v === undefined || v === null) missing = true;
+    return v;
+  });
+  return missing ? undefined : value;
+}
+
+// The allowed values of a row security template (arrays become IN lists)
+function resolveTemplate(template, req) {
+  const value = expandTemplate(template, req);
+  const values = [].concat(value === undefined || value === null ? [] : value);
+  if (values.length === 0) throw httpError(403, `Row security context '${template}' is not available for this caller`);
+  return values;
+}
+
+// Throw (at startup) when a template uses a placeholder scope contextValue
+// does not know; `what` names the setting in the message
+function checkTemplate(template, what) {
+  for (const [, ref] of String(template).matchAll(PLACEHOLDER)) {
+    if (!SCOPES.has(ref.trim().split('.')[0])) {
+      throw new Error(`${what} '${template}' uses unknown context '${ref}' (use claims., header. or identity.)`);
+    }
+  }
+}
+
+// Pick the connection's rowSecurity rules that apply to one discovered object.
+// A rule naming a column the object does not have fails closed: it is kept
+// with a null column, which matches no row (and is logged).
+function rulesFor(endpointConfig, tableMeta) {
+  const out = [];
+  for (const rule of endpointConfig.rowSecurity || []) {
+    const objects = [].concat(rule.objects || '*').map(globToRegex);
+    const qualified = `${tableMeta.schema}.${tableMeta.table}`;
+    if (!objects.some(o => o.test(tableMeta.name) || o.test(qualified))) continue;
+    const col = tableMeta.columns.find(c => c.COLUMN_NAME.toLowerCase() === String(rule.column).toLowerCase());
+    checkTemplate(rule.value, 'rowSecurity value');
+    if (!col) logger.warn(`rowSecurity column '${rule.column}' not found on ${qualified}; no rows of it are served`);
+    out.push({ column: col || null, value: rule.value, name: rule.column });
+  }
+  return out;
+}
+
+// WHERE predicates restricting `tableMeta` to the caller's rows (columns
+// qualified with `alias` when given, e.g. inside a MERGE)
+function rowPredicates(tableMeta, req, request, alias) {
+  return (tableMeta.rowSecurity || []).map((rule, i) => {
+    if (!rule.column) return '1 = 0';
+    const values = resolveTemplate(rule.value, req);
+    const names = values.map((v, j) => bindInput(request, `rls${i}_${j}`, rule.column, v));
+    const ref = `${alias ? `${alias}.` : ''}[${rule.column.COLUMN_NAME}]`;
+    return names.length === 1 ? `${ref} = ${names[0]}` : `${ref} IN (${names.join(', ')})`;
+  });
+}
+
+// Force the row security columns of a write body to the caller's values.
+// A value already in the allowed set is kept; anything else is rejected.
+// Updates only check the columns they set (the WHERE clause covers the rest).
+function enforceRowValues(tableMeta, req, body, { update = false } = {}) {
+  const out = { ...body };
+  for (const rule of tableMeta.rowSecurity || []) {
+    if (!rule.column) throw httpError(403, `'${tableMeta.name}' has no '${rule.name}' column for its row security rule`);
+    const name = rule.column.COLUMN_NAME;
+    const allowed = resolveTemplate(rule.value, req);
+    if (out[name] === undefined) {
+      if (update) continue;
+      if (allowed.length > 1) throw httpError(400, `'${name}' is required and must be one of the caller's values`);
+      out[name] = allowed[0];
+    } else if (!allowed.some(v => String(v) === String(out[name]))) {
+      throw httpError(403, `'${name}' must match the caller's row security value`);
+    }
+  }
+  return out;
+}
+
+// Does a row already read (an audit image, say) lie within the caller's rows?
+// The in-memory twin of rowPredicates.
+function rowVisible(tableMeta, req, row) {
+  return (tableMeta.rowSecurity || []).every(rule => {
+    if (!rule.column) return false;
+    const allowed = resolveTemplate(rule.value, req);
+    return allowed.some(v => String(v) === String(row[rule.column.COLUMN_NAME]));
+  });
+}
+
+module.exports = { rulesFor, rowPredicates, enforceRowValues, rowVisible, expandTemplate, checkTemplate };
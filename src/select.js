@@ -0,0 +1,196 @@
+const { httpError } = require('./errors');
+const { splitTopLevel } = require('./filters');
+const { qName, bindInput, columnList, isReadable } = require('./sqlutil');
+const { rowPredicates } = require('./rowsecurity');
+const { sqlRequest } = require('./guardrails');
+const logger = require('./logger');
+
+// SQL Server accepts at most 2100 parameters per request; stay well below it
+const MAX_PARAMS = 2000;
+
+// "Id,Name,Customer(Name,Region),Lines!FK_Lines_Order(*)" -> select tree
+function parseSelect(str) {
+  return splitTopLevel(String(str))
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(item => {
+      const m = /^([^!(]+)(?:!([^(]+))?\(([\s\S]*)\)$/.exec(item);
+      if (m) return { embed: m[1].trim(), hint: m[2] && m[2].trim(), children: parseSelect(m[3]) };
+      if (/[()!]/.test(item)) throw httpError(400, `Invalid select item '${item}'`);
+      return { column: item };
+    });
+}
+
+// Pick the relationship an embed refers to, optionally disambiguated by
+// "!hint" (the FK constraint name or one of its columns)
+function findRelation(tableMeta, item) {
+  let candidates = (tableMeta.relations || []).filter(r => r.name === item.embed);
+  if (item.hint) {
+    candidates = candidates.filter(r =>
+      r.fk === item.hint || r.localColumns.includes(item.hint) || r.remoteColumns.includes(item.hint));
+  }
+  if (candidates.length === 0) {
+    throw httpError(400, `No relationship between '${tableMeta.name}' and '${item.embed}'`);
+  }
+  if (candidates.length > 1) {
+    const names = candidates.map(r => `${item.embed}!${r.fk}`).join(', ');
+    throw httpError(400, `Ambiguous relationship '${item.embed}'; use one of: ${names}`);
+  }
+  return candidates[0];
+}
+
+// Validate a select tree against the table metadata. `fetch` is what must be
+// queried (requested columns plus join keys); `extra` is stripped afterwards.
+function planSelect(items, tableMeta, mustInclude = []) {
+  const all = tableMeta.columns.filter(isReadable).map(c => c.COLUMN_NAME);
+  const known = new Set(all);
+  const wanted = [];
+  const embeds = [];
+
+  const columnItems = items.filter(i => i.column);
+  if (columnItems.length === 0 || columnItems.some(i => i.column === '*')) {
+    wanted.push(...all);
+  }
+  for (const i of columnItems) {
+    if (i.column === '*') continue;
+    if (!known.has(i.column)) throw httpError(400, `Unknown column '${i.column}' in select`);
+    if (!wanted.includes(i.column)) wanted.push(i.column);
+  }
+
+  for (const i of items.filter(i => i.embed)) {
+    const relation = findRelation(tableMeta, i);
+    embeds.push({
+      key: i.embed,
+      relation,
+      plan: planSelect(i.children, relation.target, relation.remoteColumns)
+    });
+  }
+
+  const fetch = [...wanted];
+  for (const c of [...mustInclude, ...embeds.flatMap(e => e.relation.localColumns)]) {
+    if (!fetch.includes(c)) fetch.push(c);
+  }
+  return { columns: wanted, fetch, extra: fetch.filter(c => !wanted.includes(c)), embeds };
+}
+
+// Build the plan for ?select=..., or null when the caller wants every column.
+// `mustInclude` columns are fetched even when not selected.
+function planFromQuery(query, tableMeta, mustInclude = []) {
+  if (query.select === undefined) return null;
+  if (typeof query.select !== 'string') throw httpError(400, "Invalid value for query parameter 'select'");
+  return planSelect(parseSelect(query.select), tableMeta, mustInclude);
+}
+
+// SELECT list for the plan's columns (all readable columns without a plan)
+function selectList(tableMeta, plan) {
+  const columns = plan
+    ? plan.fetch.map(name => tableMeta.columns.find(c => c.COLUMN_NAME === name))
+    : tableMeta.columns;
+  return columnList(columns);
+}
+
+// Every table reached through the plan's embeds, at any depth
+function embeddedTables(plan) {
+  if (!plan) return [];
+  return plan.embeds.flatMap(e => [e.relation.target, ...embeddedTables(e.plan)]);
+}
+
+// Load the rows of `relation.target` matching the given key tuples, in chunks
+async function fetchRelated(relation, plan, tuples, req) {
+  const target = relation.target;
+  const keyCols = relation.remoteColumns.map(name => target.columns.find(c => c.COLUMN_NAME === name));
+  const perChunk = Math.max(1, Math.floor(MAX_PARAMS / keyCols.length));
+  const order = (target.pk && target.pk.length ? target.pk : relation.remoteColumns).map(c => `[${c}]`).join(', ');
+  const rows = [];
+
+  for (let i = 0; i < tuples.length; i += perChunk) {
+    const request = sqlRequest(target.pool, target.limits);
+    const chunk = tuples.slice(i, i + perChunk);
+    let n = 0;
+    const params = chunk.map(values => keyCols.map((col, j) => bindInput(request, `k${n++}`, col, values[j])));
+    const where = keyCols.length === 1
+      ? `[${keyCols[0].COLUMN_NAME}] IN (${params.map(p => p[0]).join(', ')})`
+      : params.map(p => `(${keyCols.map((col, j) => `[${col.COLUMN_NAME}] = ${p[j]}`).join(' AND ')})`).join(' OR ');
+    // embedded rows obey the related table's row security too
+    const scoped = [`(${where})`, ...rowPredicates(target, req, request)].join(' AND ');
+    const sqlText = `SELECT ${selectList(target, plan)} FROM ${qName(target.schema, target.table)} WHERE ${scoped} ORDER BY ${order}`;
+    logger.verbose('Executing SQL:', sqlText, 'params=', logger.sqlParams(request.parameters));
+    const result = await request.query(sqlText);
+    rows.push(...result.recordset);
+  }
+  return rows;
+}
+
+// Attach embedded resources to `rows` (one query per relationship and level,
+// never one per row), then drop the join columns the caller did not ask for
+async function applySelect(rows, plan, req) {
+  if (!plan) return rows;
+  for (const e of plan.embeds) {
+    const { relation } = e;
+    const tuples = new Map();
+    for (const row of rows) {
+      const values = relation.localColumns.map(c => row[c]);
+      if (values.some(v => v === null || v === undefined)) continue;
+      tuples.set(JSON.stringify(values), values);
+    }
+
+    const related = tuples.size ? await fetchRelated(relation, e.plan, [...tuples.values()], req) : [];
+    const byKey = new Map();
+    for (const r of related) {
+      const k = JSON.stringify(relation.remoteColumns.map(c => r[c]));
+      if (!byKey.has(k)) byKey.set(k, []);
+      byKey.get(k).push(r);
+    }
+    await applySelect(related, e.plan, req);
+
+    for (const row of rows) {
+      const matches = byKey.get(JSON.stringify(relation.localColumns.map(c => row[c]))) || [];
+      row[e.key] = relation.kind === 'one' ? (matches[0] || null) : matches;
+    }
+  }
+  for (const row of rows) {
+    for (const c of plan.extra) delete row[c];
+  }
+  return rows;
+}
+
+// Wire foreign keys (rows from sys.foreign_keys) into `relations` on each
+// discovered table: many-to-one on the referencing side, one-to-many on the other
+function attachRelations(metas, fkRows) {
+  const byName = new Map(metas.map(m => [`${m.schema}.${m.table}`, m]));
+  const fks = new Map();
+  for (const r of fkRows) {
+    // constraint names are only unique within a schema
+    const id = `${r.PARENT_SCHEMA}.${r.FK_NAME}`;
+    if (!fks.has(id)) {
+      fks.set(id, {
+        name: r.FK_NAME,
+        parent: byName.get(`${r.PARENT_SCHEMA}.${r.PARENT_TABLE}`),
+        referenced: byName.get(`${r.REF_SCHEMA}.${r.REF_TABLE}`),
+        parentColumns: [],
+        refColumns: []
+      });
+    }
+    const fk = fks.get(id);
+    fk.parentColumns.push(r.PARENT_COLUMN);
+    fk.refColumns.push(r.REF_COLUMN);
+  }
+
+  for (const m of metas) m.relations = [];
+  for (const fk of fks.values()) {
+    // only relationships between objects this endpoint exposes
+    if (!fk.parent || !fk.referenced) continue;
+    fk.parent.relations.push({
+      name: fk.referenced.name, fk: fk.name, kind: 'one', target: fk.referenced,
+      localColumns: fk.parentColumns, remoteColumns: fk.refColumns
+    });
+    fk.referenced.relations.push({
+      name: fk.parent.name, fk: fk.name, kind: 'many', target: fk.parent,
+      localColumns: fk.refColumns, remoteColumns: fk.parentColumns
+    });
+  }
+}
+
+module.exports = {
+  parseSelect, planSelect, planFromQuery, selectList, fetchRelated, applySelect, attachRelations, embeddedTables
+};
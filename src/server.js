@@ -1,17 +1,47 @@
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
 const yaml = require('js-yaml');
 const sql = require('mssql');
 const { setupDynamicRoutes } = require('./generator');
 const swaggerUi = require('swagger-ui-express');
 const logger = require('./logger');
+const metrics = require('./metrics');
+const { createAuth } = require('./auth');
+const { httpError, sendError } = require('./errors');
+const { resolveGuardrails, pageLimit, createRateLimiter, cancelOnDisconnect } = require('./guardrails');
+const { createAudit } = require('./audit');
+const { createChangeFeed } = require('./changes');
+const { compileQueries } = require('./queries');
+const { graphiqlPage, graphiqlAsset } = require('./graphql');
 let openApi = null;
 
 process.on('unhandledRejection', (e) => logger.error('UnhandledRejection:', e.stack || e));
 process.on('uncaughtException', (e) => logger.error('UncaughtException:', e.stack || e));
 
-async function connectAndSetupWithRetry(app, components, c, attempt = 0) {
+// Added, removed and changed object names between two sets of endpoint schemas
+function diffSchemas(endpoint, before, after) {
+  const strip = name => name.slice(endpoint.length + 1);
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const diff = { added: [], removed: [], changed: [] };
+  for (const name of [...names].sort()) {
+    if (!before[name]) diff.added.push(strip(name));
+    else if (!after[name]) diff.removed.push(strip(name));
+    else if (JSON.stringify(before[name]) !== JSON.stringify(after[name])) diff.changed.push(strip(name));
+  }
+  return diff;
+}
+
+// Connect one `connections` entry (retrying every 30s) and serve its routes.
+// The routes live on a per-endpoint router that a refresh rebuilds from fresh
+// discovery and swaps in one step: requests already running finish on the old
+// routes, removed objects 404 and changed columns apply to the next request.
+// `publish(endpoint, schemas)` replaces the endpoint's OpenAPI schemas and
+// returns the diff. Returns the endpoint's connection status, which
+// /health/ready and /metrics report.
+function setupEndpoint(app, c, services, publish) {
   const endpoint = c.endpoint || 'api';
   const poolConfig = {
     user: c.username,
@@ -21,36 +51,152 @@ async function connectAndSetupWithRetry(app, components, c, attempt = 0) {
     database: c.database,
     options: { encrypt: false, enableArithAbort: true }
   };
-  const doAttempt = async () => {
+  let pool = null;
+  let router = null;
+  let refreshing = null;
+  const status = { endpoint, state: 'connecting', attempts: 0, objects: 0, connectedAt: null, lastError: null, lastErrorAt: null };
+  // the live pool, for the pool gauges (not part of the readiness body)
+  Object.defineProperty(status, 'pool', { get: () => pool });
+
+  // rate limits and cancel-on-disconnect for everything under /{endpoint}
+  app.use(`/${endpoint}`, createRateLimiter(c.guardrails.rateLimit), cancelOnDisconnect);
+
+  // mounted once, so reconnects and refreshes never stack duplicate handlers
+  app.use((req, res, next) => (router ? router(req, res, next) : next()));
+
+  // concurrent refreshes (interval and $refresh) share one discovery run
+  const refresh = () => {
+    if (!refreshing) {
+      refreshing = (async () => {
+        const next = express.Router();
+        const schemas = await setupDynamicRoutes(next, pool, c, services);
+        router = next;
+        status.objects = Object.keys(schemas).length;
+        return publish(endpoint, schemas);
+      })().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  };
+
+  // POST /{endpoint}/$refresh re-runs discovery now (needs an `admin` rule when auth is on)
+  const { auth } = services;
+  app.post(`/${endpoint}/\\$refresh`, auth.authorize(endpoint, { name: '$refresh', kind: 'admin' }, 'POST'), async (req, res) => {
     try {
-      const pool = await new sql.ConnectionPool(poolConfig).connect();
+      if (!pool) throw httpError(503, `Endpoint '${endpoint}' is not connected yet`);
+      res.json({ endpoint, ...(await refresh()) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  const failed = err => {
+    status.lastError = err.message;
+    status.lastErrorAt = new Date().toISOString();
+  };
+
+  const connect = async (attempt = 0) => {
+    status.attempts = attempt + 1;
+    try {
+      pool = await new sql.ConnectionPool(poolConfig).connect();
       logger.info(`Connected to ${endpoint}`);
-      const schemas = await setupDynamicRoutes(app, pool, c);
-      components.schemas = { ...components.schemas, ...schemas };
+      await refresh();
+      status.state = 'connected';
+      status.connectedAt = new Date().toISOString();
       if (process.env.DEBUG_SWAGGER) {
-        console.log(`[RETRY] endpoint='${endpoint}' routes registered on attempt ${attempt + 1}`);
+        logger.info(`[RETRY] endpoint='${endpoint}' routes registered on attempt ${attempt + 1}`);
       }
     } catch (err) {
       logger.error(`Connection failed for endpoint '${endpoint}':`, err.stack || err.message);
+      failed(err);
+      if (pool) pool.close().catch(() => {});
+      pool = null;
       const delayMs = 30000;
       logger.warn(`[RETRY] endpoint='${endpoint}' in ${Math.round(delayMs/1000)}s (attempt ${attempt + 1})`);
-      setTimeout(() => connectAndSetupWithRetry(app, components, c, attempt + 1), delayMs);
+      setTimeout(() => connect(attempt + 1), delayMs);
+      return;
+    }
+
+    // periodic re-discovery; a failed run keeps the current routes
+    const seconds = Number(c.refreshInterval) || 0;
+    if (seconds > 0) {
+      setInterval(() => {
+        refresh().catch(err => {
+          failed(err);
+          logger.warn(`Schema refresh for '${endpoint}' failed:`, err.message);
+        });
+      }, seconds * 1000).unref();
     }
   };
-  await doAttempt();
+  connect();
+  return status;
 }
 
 async function start() {
   const app = express();
+  // connection status of each endpoint (filled once the config is loaded)
+  const endpoints = [];
+  const endpointNames = new Set();
+
+  // request IDs (taken from X-Request-Id or generated) and one line per finished request
+  app.use((req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && /^[\w.:@-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    const started = process.hrtime.bigint();
+    res.on('close', () => logger.run(req.id, () => {
+      const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+      const url = logger.redactUrl(req.originalUrl);
+      const status = res.writableFinished ? res.statusCode : 'aborted';
+      logger.log('info', [`${req.method} ${url} ${status} ${durationMs}ms`], { method: req.method, url, status, durationMs });
+      metrics.observeRequest(metrics.requestLabels(req, endpointNames), status, durationMs / 1000);
+    }));
+    logger.run(req.id, next);
+  });
   app.use(cors());
-  app.use(express.json());
+  app.use(express.json({ limit: process.env.BODY_LIMIT || '10mb' }));
+  // malformed or oversized JSON bodies get the same error envelope as everything else
+  app.use((err, req, res, next) => sendError(res, err));
+  // body parsing ends in the socket's async context; re-enter the request's
+  app.use((req, res, next) => logger.run(req.id, next));
 
   // health check
   app.get('/', (req, res) => res.json({ ok: true }));
 
+  // liveness: the process answers; readiness: every endpoint is connected and routed
+  app.get('/health/live', (req, res) => res.json({ status: 'ok' }));
+  app.get('/health/ready', (req, res) => {
+    const ready = endpoints.every(e => e.state === 'connected');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', endpoints });
+  });
+
+  // Prometheus scrape target
+  app.get('/metrics', (req, res) => {
+    const gauge = (name, help, value) => ({
+      name,
+      help,
+      samples: endpoints.map(e => ({ labels: { endpoint: e.endpoint }, value: value(e) }))
+    });
+    const pooled = (name, help, key) => ({
+      name,
+      help,
+      samples: endpoints.filter(e => e.pool && e.pool.connected).map(e => ({ labels: { endpoint: e.endpoint }, value: e.pool[key] || 0 }))
+    });
+    res.type('text/plain; version=0.0.4').send(metrics.render([
+      gauge('msabon_endpoint_up', 'Whether the endpoint is connected and serving routes', e => (e.state === 'connected' ? 1 : 0)),
+      gauge('msabon_endpoint_connect_attempts', 'Connection attempts so far', e => e.attempts),
+      gauge('msabon_endpoint_objects', 'Tables, views and routines discovered', e => e.objects),
+      pooled('msabon_pool_size', 'Open connections in the pool', 'size'),
+      pooled('msabon_pool_available', 'Idle connections in the pool', 'available'),
+      pooled('msabon_pool_borrowed', 'Connections in use', 'borrowed'),
+      pooled('msabon_pool_pending', 'Requests waiting for a connection', 'pending')
+    ]));
+  });
+
   // request logging middleware
   app.use((req, res, next) => {
-    logger.info(`${req.method} ${req.originalUrl}`);
+    logger.verbose(`${req.method} ${logger.redactUrl(req.originalUrl)}`);
     if (req.method !== 'GET' && req.body && Object.keys(req.body).length) {
       logger.verbose('  body=', req.body);
     }
@@ -63,6 +209,11 @@ async function start() {
   try {
     const raw = fs.readFileSync(cfgPath, 'utf8');
     cfg = yaml.load(raw);
+    logger.configure({
+      logLevel: process.env.LOG_LEVEL || cfg.logLevel,
+      logFormat: process.env.LOG_FORMAT || cfg.logFormat,
+      logRedact: cfg.logRedact
+    });
     logger.info('Loaded config', cfgPath);
   } catch (err) {
     logger.error('Failed to load config.yaml:', err.message);
@@ -71,8 +222,82 @@ async function start() {
 
   const port = process.env.PORT || cfg.port || 3000;
 
-  // collect all schemas across endpoints
-  const components = { schemas: {} };
+  // authentication (API keys / JWT) and per-table authorization; open when `auth:` is absent
+  let auth;
+  try {
+    auth = createAuth(cfg.auth, path.dirname(path.resolve(cfgPath)));
+  } catch (err) {
+    logger.error('Failed to set up auth:', err.message);
+    process.exit(1);
+  }
+  app.use(auth.authenticate);
+  const services = { auth };
+
+  // collect all schemas across endpoints; every error shares one envelope
+  const errorResponse = description => ({
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: {
+            error: { type: 'string' },
+            code: { type: 'string', example: 'validation_failed' },
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, message: { type: 'string' }, row: { type: 'integer' } }
+              }
+            }
+          }
+        }
+      }
+    }
+  });
+  const components = {
+    schemas: {},
+    responses: {
+      Invalid: errorResponse('Invalid values; `details` lists each field'),
+      Conflict: errorResponse('Duplicate key or foreign key violation')
+    }
+  };
+  const writeErrors = {
+    '400': { $ref: '#/components/responses/Invalid' },
+    '409': { $ref: '#/components/responses/Conflict' }
+  };
+  // ETags (rowversion, or a row hash) for conditional reads and writes
+  const etagHeader = { ETag: { schema: { type: 'string' }, description: 'Version of the row or page' } };
+  const ifNoneMatch = {
+    in: 'header',
+    name: 'If-None-Match',
+    description: 'ETag of a cached copy; 304 when it is still current.',
+    schema: { type: 'string' }
+  };
+  const ifMatch = {
+    in: 'header',
+    name: 'If-Match',
+    description: 'ETag from a previous read; the change only applies if the row still has it (else 412).',
+    schema: { type: 'string' }
+  };
+  const conditionalWrite = {
+    '412': errorResponse('The row changed (or is gone) since the If-Match ETag was read')
+  };
+  // guardrails, published by discovery as x-msabon-limits
+  components.responses.RateLimited = errorResponse('Rate limit exceeded; Retry-After gives the seconds to wait');
+  const throttled = limits => (limits.rateLimit ? { '429': { $ref: '#/components/responses/RateLimited' } } : {});
+  const timeoutNote = limits => (limits.timeout ? ` Statements are cancelled after ${limits.timeout}s.` : '');
+  const limitParam = limits => {
+    const fallback = pageLimit(limits, undefined);
+    return {
+      in: 'query',
+      name: 'limit',
+      description: limits.maxLimit !== undefined
+        ? `Rows to return, at most ${limits.maxLimit} (larger values and -1 are capped). Default ${fallback}.`
+        : `Rows to return (-1 returns all). Default ${fallback}.`,
+      schema: { type: 'integer', default: fallback, ...(limits.maxLimit !== undefined && { maximum: limits.maxLimit }) }
+    };
+  };
 
   // Build a mutable OpenAPI object once, then refresh paths when routes register
   let openApi = {
@@ -83,113 +308,563 @@ async function start() {
     paths: {},
     tags: [
       { name: 'Views', description: 'Read-only SQL views' },
-      { name: 'Tables', description: 'Tables (CRUD where applicable)' }
+      { name: 'Tables', description: 'Tables (CRUD where applicable)' },
+      { name: 'Procedures', description: 'Stored procedures and table-valued functions' },
+      { name: 'Queries', description: 'SQL queries configured under `queries`' }
     ]
   };
 
+  // let Swagger UI send API keys / bearer tokens
+  const security = auth.openApiSecurity();
+  if (security) {
+    components.securitySchemes = security.securitySchemes;
+    openApi.security = security.security;
+  }
+
   // Helper: rebuild paths from components.schemas
+  // POST /{endpoint}/rpc/{name}; functions are also callable with GET
+  function addRoutinePaths(name, sch) {
+    const endpoint = sch['x-msabon-endpoint'];
+    const routine = sch['x-msabon-routine'];
+    const isFunction = sch['x-msabon-kind'] === 'function';
+    const outputs = sch['x-msabon-outputs'] || [];
+    const limits = sch['x-msabon-limits'] || {};
+    const rpcPath = `/${endpoint}/rpc/${routine}`;
+    // limit/offset page the rows (of each result set), unless a parameter has the name
+    const paging = [
+      limitParam(limits),
+      {
+        in: 'query',
+        name: 'offset',
+        description: 'Rows to skip before starting the rows returned. Default 0.',
+        schema: { type: 'integer', default: 0 }
+      }
+    ].filter(p => !(sch.properties || {})[p.name]);
+    openApi.paths[rpcPath] = {
+      post: {
+        tags: ['Procedures'],
+        summary: `${isFunction ? 'Call function' : 'Execute procedure'} ${routine}`,
+        description: isFunction
+          ? 'Arguments are passed by name; omitted ones use the parameter default. Returns the rows of the function.'
+          : 'Arguments are passed by name; omitted ones use the parameter default. Returns every result set, ' +
+            `the OUTPUT parameters${outputs.length ? ` (${outputs.join(', ')})` : ''} and the return value.` +
+          timeoutNote(limits),
+        parameters: paging,
+        requestBody: {
+          content: { 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } }
+        },
+        responses: { '200': { description: 'OK' }, '400': { description: 'Invalid arguments' }, ...throttled(limits) }
+      }
+    };
+    if (isFunction) {
+      openApi.paths[rpcPath].get = {
+        tags: ['Procedures'],
+        summary: `Call function ${routine}`,
+        parameters: [
+          ...Object.entries(sch.properties || {})
+            .filter(([, p]) => p.type !== 'array')
+            .map(([param, schema]) => ({ in: 'query', name: param, schema })),
+          ...paging
+        ],
+        responses: { '200': { description: 'OK' }, '400': { description: 'Invalid arguments' }, ...throttled(limits) }
+      };
+    }
+  }
+
+  // GET /{endpoint}/query/{name} for read-only queries, else POST
+  function addQueryPaths(name, sch) {
+    const endpoint = sch['x-msabon-endpoint'];
+    const query = sch['x-msabon-query'];
+    const params = sch['x-msabon-params'] || [];
+    const limits = sch['x-msabon-limits'] || {};
+    const queryPath = `/${endpoint}/query/${query}`;
+    if (!sch['x-msabon-readOnly']) {
+      openApi.paths[queryPath] = {
+        post: {
+          tags: ['Queries'],
+          summary: `Run query ${query}`,
+          description: (sch.description ? `${sch.description} ` : '') +
+            'Parameters are passed by name; omitted ones take their default, else NULL. Returns every result set and the rows affected.' +
+            timeoutNote(limits),
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: Object.fromEntries(params.map(p => [p.name, p.schema])),
+                  required: params.filter(p => p.required).map(p => p.name)
+                }
+              }
+            }
+          },
+          responses: { '200': { description: 'OK' }, '400': { description: 'Invalid parameters' }, ...throttled(limits) }
+        }
+      };
+      return;
+    }
+    const columns = Object.keys(sch.properties || {});
+    openApi.paths[queryPath] = {
+      get: {
+        tags: ['Queries'],
+        summary: `Run query ${query}`,
+        description: (sch.description ? `${sch.description} ` : '') +
+          'Omitted parameters take their default, else NULL.' + timeoutNote(limits),
+        parameters: [
+          ...params.map(p => ({ in: 'query', ...p })),
+          ...(columns.length ? [{
+            in: 'query',
+            name: 'order',
+            description: `Sort as "column.asc" or "column.desc", by one of: ${columns.join(', ')}.`,
+            schema: { type: 'string' }
+          }] : []),
+          limitParam(limits),
+          {
+            in: 'query',
+            name: 'offset',
+            description: 'Rows to skip before starting the result set. Default 0.',
+            schema: { type: 'integer', default: 0 }
+          },
+          {
+            in: 'query',
+            name: 'format',
+            description: 'Output format; overrides the Accept header. csv/tsv/ndjson are sent as downloads.',
+            schema: { type: 'string', enum: ['json', 'ndjson', 'csv', 'tsv'] }
+          },
+          {
+            in: 'header',
+            name: 'Range',
+            description: 'Rows to return as "first-last" (e.g. "0-24"), used when neither limit nor offset is given.',
+            schema: { type: 'string' }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Rows, streamed in the negotiated format',
+            content: {
+              'application/json': { schema: { type: 'array', items: { $ref: `#/components/schemas/${name}` } } },
+              'application/x-ndjson': { schema: { type: 'string' } },
+              'text/csv': { schema: { type: 'string' } },
+              'text/tab-separated-values': { schema: { type: 'string' } }
+            }
+          },
+          '400': { description: 'Invalid parameters' },
+          '406': { description: 'None of the Accept types is supported' },
+          '416': { description: 'Invalid Range' },
+          ...throttled(limits)
+        }
+      }
+    };
+  }
+
   function buildPathsFromComponents() {
     openApi.paths = {};
     for (const name of Object.keys(openApi.components.schemas)) {
       const sch = openApi.components.schemas[name] || {};
+      if (sch['x-msabon-kind'] === 'query') {
+        addQueryPaths(name, sch);
+        continue;
+      }
+      if (sch['x-msabon-kind']) {
+        addRoutinePaths(name, sch);
+        continue;
+      }
       const isView = sch['x-msabon-isView'] === true;
       const hasPk = sch['x-msabon-hasPk'] === true;
+      const limits = sch['x-msabon-limits'] || {};
 
-      const parts = name.split('_');
-      const endpoint = parts[0];
-      const table = parts.slice(1).join('_');
+      const endpoint = sch['x-msabon-endpoint'];
+      const table = sch['x-msabon-entity'];
       const base = `/${endpoint}/${table}`;
 
       const tag = isView ? 'Views' : 'Tables';
+      const relations = sch['x-msabon-relations'] || [];
+      const selectParam = {
+        in: 'query',
+        name: 'select',
+        description: 'Columns to return, with related rows embedded as "Relation(cols)", e.g. "Id,Name"' +
+          (relations.length ? `. Relations: ${relations.join(', ')}.` : '.') +
+          ' In lists, count(), count(col), sum(col), avg(col), min(col) and max(col) aggregate the rows, e.g. "Status,count(),sum(Qty)".',
+        schema: { type: 'string' }
+      };
 
       // Always list
       openApi.paths[base] = {
         get: {
           tags: [tag],
           summary: `List ${table}`,
+          description: 'Filter by any column with PostgREST operators: `?col=eq.v`, `neq`, `gt`, `gte`, `lt`, `lte`, ' +
+            '`like.*v*`, `ilike.*v*`, `in.(a,b)`, `is.null`, prefixed with `not.` to negate. A bare `?col=v` means equality.' +
+            (limits.maxFilters ? ` At most ${limits.maxFilters} filter conditions per request.` : '') + timeoutNote(limits),
           parameters: [
+            selectParam,
             {
               in: 'query',
               name: 'order',
-              description: 'Sort as "column.asc" or "column.desc".',
+              description: 'Sort as "column.asc" or "column.desc", comma separated for several columns.' +
+                (hasPk ? ' The primary key breaks ties.' : ''),
               schema: { type: 'string', example: 'id.asc' }
             },
-            {
-              in: 'query',
-              name: 'limit',
-              description: 'Rows to return (-1 returns all). Default -1.',
-              schema: { type: 'integer', default: -1 }
-            },
+            limitParam(limits),
             {
               in: 'query',
               name: 'offset',
               description: 'Rows to skip before starting the result set. Default 0.',
               schema: { type: 'integer', default: 0 }
-            }
+            },
+            ...(hasPk ? [{
+              in: 'query',
+              name: 'cursor',
+              description: 'Continue after the last row of a previous page (keyset paging). Full pages of up to 1000 rows ' +
+                'link to the next one in the Link header; keep the same order and filters.',
+              schema: { type: 'string' }
+            }] : []),
+            {
+              in: 'query',
+              name: 'or',
+              description: 'Any-of filter group, e.g. "(Status.eq.Open,Qty.gt.10)". Groups nest with or(...)/and(...).',
+              schema: { type: 'string' }
+            },
+            {
+              in: 'query',
+              name: 'and',
+              description: 'All-of filter group, e.g. "(Qty.gte.1,Qty.lte.10)".',
+              schema: { type: 'string' }
+            },
+            {
+              in: 'query',
+              name: 'groupby',
+              description: 'Columns to group the aggregates in select by, e.g. "Status". Defaults to the plain columns in select.',
+              schema: { type: 'string' }
+            },
+            {
+              in: 'query',
+              name: 'having',
+              description: 'Conditions on aggregates, e.g. "count().gt.5,sum(Qty).gte.100" (eq, neq, gt, gte, lt, lte).',
+              schema: { type: 'string' }
+            },
+            {
+              in: 'query',
+              name: 'format',
+              description: 'Output format; overrides the Accept header. csv/tsv/ndjson are sent as downloads.',
+              schema: { type: 'string', enum: ['json', 'ndjson', 'csv', 'tsv'] }
+            },
+            {
+              in: 'header',
+              name: 'Prefer',
+              description: 'count=exact (COUNT of the filtered rows), count=estimated (table row count when unfiltered, ' +
+                'else planned) or count=planned (optimizer estimate). The total is returned in Content-Range.',
+              schema: { type: 'string', enum: ['count=exact', 'count=estimated', 'count=planned'] }
+            },
+            {
+              in: 'header',
+              name: 'Range',
+              description: 'Rows to return as "first-last" (e.g. "0-24"), used when neither limit nor offset is given.',
+              schema: { type: 'string' }
+            },
+            {
+              in: 'header',
+              name: 'Range-Unit',
+              description: 'Unit of Range; only "items" is supported.',
+              schema: { type: 'string', default: 'items' }
+            },
+            { ...ifNoneMatch, description: 'ETag of a cached page (pages of up to 1000 rows carry one); 304 when current.' }
           ],
-          responses: { '200': { description: 'OK' } }
+          responses: {
+            '200': {
+              description: 'Rows, streamed in the negotiated format',
+              headers: {
+                ...etagHeader,
+                ...(hasPk && {
+                  Link: { description: 'URL of the next page by cursor (rel="next"), on full pages', schema: { type: 'string' } }
+                })
+              },
+              content: {
+                'application/json': { schema: { type: 'array', items: { $ref: `#/components/schemas/${name}` } } },
+                'application/x-ndjson': { schema: { type: 'string' } },
+                'text/csv': { schema: { type: 'string' } },
+                'text/tab-separated-values': { schema: { type: 'string' } }
+              }
+            },
+            '206': {
+              description: 'Part of the counted rows; Content-Range holds "first-last/total"',
+              headers: { 'Content-Range': { schema: { type: 'string', example: '0-24/1234' } } }
+            },
+            '304': { description: 'The page matches If-None-Match' },
+            '406': { description: 'None of the Accept types is supported' },
+            '416': { description: 'Invalid Range, or an offset past the exact count' },
+            ...throttled(limits)
+          }
         }
       };
 
       // Create only for tables with PK
       if (!isView && hasPk) {
+        const ref = { $ref: `#/components/schemas/${name}` };
         openApi.paths[base].post = {
           tags: [tag],
           summary: `Create ${table}`,
+          description: 'Send an array to insert many rows in one transaction (the response is then an array). ' +
+            'With `Prefer: resolution=merge-duplicates` rows are upserted on the primary key; ' +
+            '`resolution=ignore-duplicates` skips rows whose key already exists.',
+          parameters: [
+            {
+              in: 'header',
+              name: 'Prefer',
+              description: 'resolution=merge-duplicates | resolution=ignore-duplicates',
+              schema: { type: 'string' }
+            }
+          ],
           requestBody: {
-            content: { 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } }
+            content: { 'application/json': { schema: { oneOf: [ref, { type: 'array', items: ref }] } } }
           },
-          responses: { '201': { description: 'Created' } }
+          responses: {
+            '201': { description: 'Created (a single row carries its ETag)', headers: etagHeader },
+            ...writeErrors,
+            ...throttled(limits)
+          }
         };
       }
 
-      // ID routes only when PK exists
+      // ID routes only when PK exists; composite keys are addressed as /{k1},{k2}
       if (hasPk) {
-        const idPath = `${base}/{id}`;
+        const pkCols = sch['x-msabon-pk'] || ['id'];
+        const idPath = `${base}/${pkCols.map(k => `{${k}}`).join(',')}`;
         openApi.paths[idPath] = {
-          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          parameters: pkCols.map(k => ({
+            name: k,
+            in: 'path',
+            required: true,
+            ...(pkCols.length > 1 && { description: 'Key column; double-quote values that contain commas.' }),
+            schema: (sch.properties && sch.properties[k]) || { type: 'string' }
+          })),
           get: {
             tags: [tag],
             summary: `Get ${table} by id`,
-            responses: { '200': { description: 'OK' }, '404': { description: 'Not Found' } }
+            parameters: [selectParam, ifNoneMatch],
+            responses: {
+              '200': { description: 'OK', headers: etagHeader },
+              '304': { description: 'The row matches If-None-Match' },
+              '404': { description: 'Not Found' },
+              ...throttled(limits)
+            }
           }
         };
 
         // Update/Delete ONLY for tables (not views)
         if (!isView) {
           openApi.paths[idPath].put = {
+            tags: [tag],
+            summary: `Replace ${table}`,
+            description: 'Full replacement: omitted nullable columns are set to NULL; omitted non-nullable columns are an error.',
+            requestBody: {
+              content: { 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } }
+            },
+            parameters: [ifMatch],
+            responses: {
+              '200': { description: 'Updated', headers: etagHeader },
+              '404': { description: 'Not Found' },
+              ...writeErrors,
+              ...conditionalWrite,
+              ...throttled(limits)
+            }
+          };
+          openApi.paths[idPath].patch = {
             tags: [tag],
             summary: `Update ${table}`,
+            description: 'Partial update: only the columns present in the body change.',
             requestBody: {
               content: { 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } }
             },
-            responses: { '200': { description: 'Updated' } }
+            parameters: [ifMatch],
+            responses: {
+              '200': { description: 'Updated', headers: etagHeader },
+              '404': { description: 'Not Found' },
+              ...writeErrors,
+              ...conditionalWrite,
+              ...throttled(limits)
+            }
           };
           openApi.paths[idPath].delete = {
             tags: [tag],
             summary: `Delete ${table}`,
-            responses: { '200': { description: 'Deleted' }, '404': { description: 'Not Found' } }
+            parameters: [ifMatch],
+            responses: {
+              '200': { description: 'Deleted' },
+              '404': { description: 'Not Found' },
+              '409': { $ref: '#/components/responses/Conflict' },
+              ...conditionalWrite,
+              ...throttled(limits)
+            }
+          };
+        }
+
+        if (sch['x-msabon-changes']) {
+          openApi.paths[`${base}/$changes`] = {
+            get: {
+              tags: [tag],
+              summary: `Stream ${table} changes (server-sent events)`,
+              description: 'One `change` event per create, update or delete made through the API' +
+                (sch['x-msabon-changeTracking'] ? ' or, through Change Tracking, by anyone else' : '') +
+                '. Each event\'s data is `{ id, at, endpoint, table, operation, key, row, source }`. ' +
+                'Send Last-Event-ID to resume after a reconnect.',
+              parameters: [{
+                in: 'query',
+                name: 'includeRow',
+                description: 'Send the new row with each event (false sends only the key).',
+                schema: { type: 'boolean', default: true }
+              }],
+              responses: {
+                '200': { description: 'An event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+                ...throttled(limits)
+              }
+            }
+          };
+        }
+
+        if (sch['x-msabon-audited']) {
+          openApi.paths[`${idPath}/$history`] = {
+            parameters: openApi.paths[idPath].parameters,
+            get: {
+              tags: [tag],
+              summary: `Audit history of a ${table} row`,
+              description: 'Audit records of the creates, updates and deletes made to this row through the API, ' +
+                'newest first, each with the caller and the row before and after the change.',
+              parameters: [limitParam(limits)],
+              responses: {
+                '200': { description: 'Audit records, newest first' },
+                ...throttled(limits)
+              }
+            }
           };
         }
       }
 
+      // one $refresh and one $batch operation per endpoint
+      if (!openApi.paths[`/${endpoint}/$refresh`]) {
+        openApi.paths[`/${endpoint}/$refresh`] = {
+          post: {
+            tags: ['Tables'],
+            summary: `Re-discover ${endpoint} objects and swap in their routes`,
+            description: 'Objects dropped since the last discovery stop being served; new objects and changed ' +
+              'columns take effect immediately.',
+            responses: {
+              '200': {
+                description: 'Object names added, removed and changed by this refresh',
+                content: {
+                  'application/json': {
+                    schema: {
+                      type: 'object',
+                      properties: {
+                        endpoint: { type: 'string' },
+                        added: { type: 'array', items: { type: 'string' } },
+                        removed: { type: 'array', items: { type: 'string' } },
+                        changed: { type: 'array', items: { type: 'string' } }
+                      }
+                    }
+                  }
+                }
+              },
+              '503': { description: 'The endpoint is not connected yet' }
+            }
+          }
+        };
+      }
+      if (!openApi.paths[`/${endpoint}/$batch`]) {
+        openApi.paths[`/${endpoint}/$batch`] = {
+          post: {
+            tags: ['Tables'],
+            summary: `Run several ${endpoint} operations in one transaction`,
+            description: 'Operations run in order and roll back together. Methods: get, create, update (PATCH), ' +
+              'replace (PUT), delete. Use {"$ref": "<id>.<column>"} to reuse a value returned by an earlier step.',
+            requestBody: {
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      operations: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          required: ['method', 'table'],
+                          properties: {
+                            id: { type: 'string' },
+                            method: { type: 'string', enum: ['get', 'create', 'update', 'replace', 'delete'] },
+                            table: { type: 'string' },
+                            key: {},
+                            body: {},
+                            resolution: { type: 'string', enum: ['merge-duplicates', 'ignore-duplicates'] }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            responses: {
+              '200': { description: 'Per-operation results' },
+              '400': { description: 'Invalid operation; "step" identifies it' },
+              '404': { description: 'A step matched no row; nothing was committed' },
+              ...throttled(limits)
+            }
+          }
+        };
+      }
+
       if (process.env.DEBUG_SWAGGER) {
-        console.log(`[SWAGGER] ${name} tag=${tag} isView=${isView} hasPk=${hasPk} base=${base}`);
+        logger.info(`[SWAGGER] ${name} tag=${tag} isView=${isView} hasPk=${hasPk} base=${base}`);
       }
     }
   }
 
-  // setup each connection (non-blocking; routes will register on success or retry)
-  for (const c of cfg.connections || []) {
-    const endpoint = c.endpoint || 'api';
+  // Swap in an endpoint's freshly discovered schemas (dropping stale ones) and rebuild the spec.
+  // Each schema records its endpoint, since endpoint names may contain '_' themselves.
+  function publish(endpoint, schemas) {
+    for (const sch of Object.values(schemas)) sch['x-msabon-endpoint'] = endpoint;
+    const before = {};
+    for (const name of Object.keys(components.schemas)) {
+      if (components.schemas[name]['x-msabon-endpoint'] !== endpoint) continue;
+      before[name] = components.schemas[name];
+      delete components.schemas[name];
+    }
+    Object.assign(components.schemas, schemas);
+    buildPathsFromComponents();
+    const diff = diffSchemas(endpoint, before, schemas);
+    if (Object.keys(before).length && diff.added.length + diff.removed.length + diff.changed.length) {
+      logger.info(`Schema refresh for '${endpoint}': added [${diff.added}], removed [${diff.removed}], changed [${diff.changed}]`);
+    }
+    return diff;
+  }
+
+  // setup each connection (non-blocking; routes register on success or retry)
+  for (const entry of cfg.connections || []) {
+    const endpoint = entry.endpoint || 'api';
+    let c;
+    try {
+      c = { ...entry, guardrails: resolveGuardrails(cfg.guardrails, entry.guardrails) };
+    } catch (err) {
+      logger.error(`Invalid guardrails for endpoint '${endpoint}':`, err.message);
+      process.exit(1);
+    }
+    try {
+      c.queries = compileQueries(entry.queries, endpoint);
+    } catch (err) {
+      logger.error(`Invalid queries for endpoint '${endpoint}':`, err.message);
+      process.exit(1);
+    }
+    // the audit trail and change feed outlive refreshes, so they are made once here
+    let audit, changes;
+    try {
+      audit = createAudit(entry.audit, endpoint, path.dirname(path.resolve(cfgPath)));
+      changes = createChangeFeed(entry.changes, endpoint);
+    } catch (err) {
+      logger.error(`Invalid audit or changes settings for endpoint '${endpoint}':`, err.message);
+      process.exit(1);
+    }
     logger.info(`Connecting to ${c.server}:${(c.port || 1433)}/${c.database} as ${c.username} (endpoint='${endpoint}')`);
-    // Wrap the original retry function to rebuild spec after merge
-    connectAndSetupWithRetry(app, components, c).then(() => {
-      // The retry function merges schemas on success; rebuild paths now
-      buildPathsFromComponents();
-    }).catch(() => {
-      // Error already logged in connectAndSetupWithRetry; do nothing here
-    });
+    endpointNames.add(endpoint);
+    endpoints.push(setupEndpoint(app, c, { ...services, audit, changes }, publish));
   }
 
   // serve swagger: load spec from URL so UI reflects updates in /swagger.json
@@ -204,20 +879,53 @@ async function start() {
     })
   );
 
+  // GraphiQL for /{endpoint}/graphql (?endpoint= picks one; default the first)
+  const graphiqlPath = cfg.graphiqlPath || '/graphiql';
+  app.get(graphiqlPath, (req, res) => {
+    const endpoint = endpointNames.has(req.query.endpoint) ? req.query.endpoint : [...endpointNames][0];
+    if (!endpoint) return sendError(res, httpError(404, 'No endpoints are configured'));
+    res.type('html').send(graphiqlPage(endpoint, graphiqlPath));
+  });
+  // its scripts and styles, from the installed graphiql, react and react-dom
+  app.get(`${graphiqlPath}/:asset`, (req, res, next) => {
+    const file = graphiqlAsset(req.params.asset);
+    if (!file) return next();
+    res.sendFile(file, { maxAge: '1d' });
+  });
+
   // List tables under an endpoint: e.g., http://localhost:PORT/ENDPOINT/
   app.get('/:endpoint([A-Za-z0-9_-]+)/', (req, res) => {
     const endpoint = req.params.endpoint;
     const schemas = openApi.components?.schemas || {};
 
-    const names = Object.keys(schemas).filter(name => name.startsWith(`${endpoint}_`));
+    const names = Object.keys(schemas).filter(name => schemas[name]['x-msabon-endpoint'] === endpoint);
     const tables = [];
     const views = [];
+    const procedures = [];
+    const functions = [];
+    const queries = [];
 
     for (const name of names) {
       const sch = schemas[name] || {};
-      const entity = name.split('_').slice(1).join('_'); // strip "<endpoint>_"
+      const kind = sch['x-msabon-kind'];
+      if (kind === 'query') {
+        const query = sch['x-msabon-query'];
+        if (auth.can(req.identity, endpoint, query, kind, sch['x-msabon-readOnly'] ? 'GET' : 'POST')) queries.push(query);
+        continue;
+      }
+      if (kind) {
+        const routine = sch['x-msabon-routine'];
+        if (!auth.can(req.identity, endpoint, routine, kind, 'POST')) continue;
+        (kind === 'function' ? functions : procedures).push(routine);
+        continue;
+      }
+      const entity = sch['x-msabon-entity'];
+      const isView = sch['x-msabon-isView'] === true;
+
+      // only list what the caller may read
+      if (!auth.can(req.identity, endpoint, entity, isView ? 'view' : 'table', 'GET')) continue;
 
-      if (sch['x-msabon-isView'] === true) {
+      if (isView) {
         views.push(entity);
       } else {
         tables.push(entity);
@@ -227,27 +935,39 @@ async function start() {
     // Optional: sort alphabetically
     tables.sort();
     views.sort();
+    procedures.sort();
+    functions.sort();
+    queries.sort();
 
-    if (tables.length === 0 && views.length === 0) {
-      return res.status(404).json({ error: `No objects found for endpoint '${endpoint}'.` });
+    if (tables.length + views.length + procedures.length + functions.length + queries.length === 0) {
+      return sendError(res, httpError(404, `No objects found for endpoint '${endpoint}'.`));
     }
 
-    res.json({ endpoint, tables, views });
+    res.json({ endpoint, tables, views, procedures, functions, queries });
   });
 
   // JSON endpoint serving the current spec
   app.get('/swagger.json', (req, res) => res.json(openApi));
 
+  // anything unmatched (including objects dropped by a refresh) gets the JSON envelope
+  app.use((req, res) => sendError(res, httpError(404, `No route for ${req.method} ${req.path}`)));
+
   // initial build (empty until a connection succeeds)
   buildPathsFromComponents();
 
   app.listen(port, () => {
     logger.info(`Server listening on http://localhost:${port}`);
     logger.info(`If you would like to use the swagger to test your endpoints, go to http://localhost:${port}${cfg.swaggerPath || '/api-docs'}`);
+    logger.info(`GraphiQL is at http://localhost:${port}${graphiqlPath}`);
+  });
+}
+
+// `node src/server.js` starts the server; tests require the pieces below
+if (require.main === module) {
+  start().catch(err => {
+    logger.error(err);
+    process.exit(1);
   });
 }
 
-start().catch(err => {
-  logger.error(err);
-  process.exit(1);
-});
+module.exports = { diffSchemas, setupEndpoint };
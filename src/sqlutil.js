@@ -0,0 +1,245 @@
+const sql = require('mssql');
+
+// Binary columns are returned as base64 strings rather than Buffer objects
+for (const type of [sql.TYPES.VarBinary, sql.TYPES.Binary, sql.TYPES.Image]) {
+  sql.valueHandler.set(type, value => (Buffer.isBuffer(value) ? value.toString('base64') : value));
+}
+
+// JavaScript numbers hold about 15 significant digits; wider decimals travel as text
+const MAX_NUMBER_PRECISION = 15;
+
+const BINARY_TYPES = new Set(['binary', 'varbinary', 'image', 'timestamp', 'rowversion']);
+// temporal types with more precision than a Date, bound from strings as text
+const TEXT_TEMPORAL_TYPES = new Set(['time', 'datetime2', 'datetimeoffset']);
+
+function qName(schema, table) {
+  return `[${schema}].[${table}]`;
+}
+
+// Column metadata comes from INFORMATION_SCHEMA.COLUMNS (or an equivalent shape):
+// DATA_TYPE, CHARACTER_MAXIMUM_LENGTH (-1 for MAX), NUMERIC_PRECISION,
+// NUMERIC_SCALE, DATETIME_PRECISION and IS_NULLABLE.
+
+function dataType(col) {
+  return String(col.DATA_TYPE).toLowerCase();
+}
+
+function maxLength(col) {
+  const len = col.CHARACTER_MAXIMUM_LENGTH;
+  return len && len > 0 ? len : null;
+}
+
+function precisionOf(col, fallback) {
+  return col.NUMERIC_PRECISION === null || col.NUMERIC_PRECISION === undefined ? fallback : col.NUMERIC_PRECISION;
+}
+
+function scaleOf(col) {
+  return col.NUMERIC_SCALE === null || col.NUMERIC_SCALE === undefined ? 0 : col.NUMERIC_SCALE;
+}
+
+function fractionOf(col) {
+  return col.DATETIME_PRECISION === null || col.DATETIME_PRECISION === undefined ? 7 : col.DATETIME_PRECISION;
+}
+
+// Decimals wider than a JavaScript number can hold exactly (money included)
+function isWideNumber(col) {
+  const t = dataType(col);
+  if (t === 'money') return true;
+  return (t === 'decimal' || t === 'numeric') && precisionOf(col, 18) > MAX_NUMBER_PRECISION;
+}
+
+function mapSqlTypeToMssqlType(col) {
+  const t = dataType(col);
+  const len = maxLength(col);
+  switch (t) {
+    case 'bigint': return sql.BigInt;
+    case 'int': return sql.Int;
+    case 'smallint': return sql.SmallInt;
+    case 'tinyint': return sql.TinyInt;
+    case 'bit': return sql.Bit;
+    case 'decimal':
+    case 'numeric':
+      return isWideNumber(col) ? sql.VarChar(50) : sql.Decimal(precisionOf(col, 18), scaleOf(col));
+    case 'money': return sql.VarChar(50);
+    case 'smallmoney': return sql.SmallMoney;
+    case 'float': return sql.Float;
+    case 'real': return sql.Real;
+    case 'date': return sql.Date;
+    case 'time': return sql.Time(fractionOf(col));
+    case 'datetime': return sql.DateTime;
+    case 'smalldatetime': return sql.SmallDateTime;
+    case 'datetime2': return sql.DateTime2(fractionOf(col));
+    case 'datetimeoffset': return sql.DateTimeOffset(fractionOf(col));
+    case 'uniqueidentifier': return sql.UniqueIdentifier;
+    case 'char':
+    case 'varchar':
+      return sql.VarChar(len || sql.MAX);
+    case 'nchar':
+    case 'nvarchar':
+      return sql.NVarChar(len || sql.MAX);
+    case 'binary':
+    case 'varbinary':
+      return sql.VarBinary(len || sql.MAX);
+    case 'image': return sql.VarBinary(sql.MAX);
+    case 'timestamp':
+    case 'rowversion':
+      return sql.Binary(8);
+    case 'sql_variant': return sql.NVarChar(4000);
+    // text, ntext, xml, geography (WKT), geometry (WKT), hierarchyid ("/1/2/")
+    // convert implicitly from a string
+    default: return sql.NVarChar(sql.MAX);
+  }
+}
+
+// Turn a JSON or query-string value into what the driver expects for `col`:
+// base64 (or 0x hex) strings become Buffers, "true"/"false" become booleans,
+// wide decimals stay text
+function toSqlValue(col, value) {
+  if (value === null || value === undefined) return value;
+  const t = dataType(col);
+  if (BINARY_TYPES.has(t)) {
+    if (Buffer.isBuffer(value)) return value;
+    if (value && value.type === 'Buffer' && Array.isArray(value.data)) return Buffer.from(value.data);
+    const s = String(value);
+    return /^0x([0-9a-f]{2})*$/i.test(s) ? Buffer.from(s.slice(2), 'hex') : Buffer.from(s, 'base64');
+  }
+  if (t === 'bit' && typeof value === 'string') {
+    const v = value.toLowerCase();
+    if (v === 'true' || v === '1') return true;
+    if (v === 'false' || v === '0') return false;
+  }
+  if (isWideNumber(col)) return String(value);
+  return value;
+}
+
+// Bind `value` for `col` as parameter `name` on `request` and return "@name".
+// Strings for temporal types finer than a millisecond are bound as text so SQL
+// Server parses them at full precision ("Z" is dropped where there is no offset).
+function bindInput(request, name, col, value) {
+  const t = dataType(col);
+  if (TEXT_TEMPORAL_TYPES.has(t) && typeof value === 'string') {
+    request.input(name, sql.NVarChar(64), t === 'datetimeoffset' ? value : value.replace(/Z$/i, ''));
+  } else {
+    request.input(name, mapSqlTypeToMssqlType(col), toSqlValue(col, value));
+  }
+  // lets the logger mask values bound for sensitive columns
+  if (col.COLUMN_NAME) request.parameters[name].column = col.COLUMN_NAME;
+  return `@${name}`;
+}
+
+// Column policies (see columns.js) flag hidden and writeOnly columns, which no
+// SELECT returns
+function isReadable(col) {
+  return !col.hidden && !col.writeOnly;
+}
+
+// `expr` (a value of `col`'s type) converted to its JSON form: wide decimals,
+// dates, times and sub-millisecond timestamps as text, spatial values as WKT
+function valueExpr(col, expr) {
+  switch (dataType(col)) {
+    case 'decimal':
+    case 'numeric':
+    case 'money':
+      return isWideNumber(col) ? `CONVERT(varchar(50), ${expr})` : expr;
+    case 'date': return `CONVERT(char(10), ${expr}, 23)`;
+    case 'time': return `CONVERT(varchar(16), ${expr})`;
+    case 'datetime2':
+      return fractionOf(col) > 3 ? `CONVERT(varchar(27), ${expr}, 126) + 'Z'` : expr;
+    case 'datetimeoffset': return `CONVERT(varchar(34), ${expr}, 127)`;
+    case 'geography':
+    case 'geometry':
+      return `${expr}.STAsText()`;
+    case 'hierarchyid': return `${expr}.ToString()`;
+    default: return expr;
+  }
+}
+
+// SELECT expression returning `col` in its JSON form (optionally qualified by
+// `alias`), named for the column
+function selectExpr(col, alias) {
+  const ref = `${alias ? `${alias}.` : ''}[${col.COLUMN_NAME}]`;
+  const expr = valueExpr(col, ref);
+  return expr === ref ? ref : `${expr} AS [${col.COLUMN_NAME}]`;
+}
+
+// Comma-separated selectExpr for each readable column of `columns`
+function columnList(columns, alias) {
+  return columns.filter(isReadable).map(c => selectExpr(c, alias)).join(', ');
+}
+
+// OpenAPI schema for a column, matching what selectExpr returns
+function toOpenApiType(col) {
+  const t = dataType(col);
+  const len = maxLength(col);
+  let schema;
+  switch (t) {
+    case 'bigint':
+      // the driver returns bigint as a string so no digit is lost
+      schema = { type: 'string', format: 'int64', pattern: '^-?\\d+$' };
+      break;
+    case 'int': schema = { type: 'integer', format: 'int32' }; break;
+    case 'smallint': schema = { type: 'integer', format: 'int32', minimum: -32768, maximum: 32767 }; break;
+    case 'tinyint': schema = { type: 'integer', format: 'int32', minimum: 0, maximum: 255 }; break;
+    case 'bit': schema = { type: 'boolean' }; break;
+    case 'decimal':
+    case 'numeric':
+    case 'money':
+    case 'smallmoney':
+      schema = isWideNumber(col)
+        ? { type: 'string', format: 'decimal', pattern: '^-?\\d+(\\.\\d+)?$' }
+        : { type: 'number', format: 'decimal' };
+      if (!t.endsWith('money')) schema.description = `${t}(${precisionOf(col, 18)},${scaleOf(col)})`;
+      break;
+    case 'float': schema = { type: 'number', format: 'double' }; break;
+    case 'real': schema = { type: 'number', format: 'float' }; break;
+    case 'date': schema = { type: 'string', format: 'date' }; break;
+    case 'time': schema = { type: 'string', format: 'time', example: '13:45:00' }; break;
+    case 'datetime':
+    case 'smalldatetime':
+    case 'datetime2':
+    case 'datetimeoffset':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    case 'uniqueidentifier': schema = { type: 'string', format: 'uuid' }; break;
+    case 'binary':
+    case 'varbinary':
+    case 'image':
+      schema = { type: 'string', format: 'byte' };
+      break;
+    case 'timestamp':
+    case 'rowversion':
+      schema = { type: 'string', format: 'byte', readOnly: true };
+      break;
+    case 'xml': schema = { type: 'string', format: 'xml' }; break;
+    case 'geography':
+    case 'geometry':
+      schema = { type: 'string', format: 'wkt', example: 'POINT(-122.35 47.65)' };
+      break;
+    case 'char':
+    case 'varchar':
+    case 'nchar':
+    case 'nvarchar':
+      schema = { type: 'string', ...(len && { maxLength: len }) };
+      break;
+    default: schema = { type: 'string' };
+  }
+  if (col.mask !== undefined) {
+    schema = { type: 'string', description: col.mask ? `Masked: only the last ${col.mask} character(s) are shown` : 'Masked' };
+  }
+  if (col.IS_NULLABLE === 'YES') schema.nullable = true;
+  if (col.readOnly) schema.readOnly = true;
+  if (col.writeOnly) schema.writeOnly = true;
+  return schema;
+}
+
+module.exports = {
+  qName,
+  mapSqlTypeToMssqlType,
+  toSqlValue,
+  bindInput,
+  isReadable,
+  valueExpr,
+  selectExpr,
+  columnList,
+  toOpenApiType
+};
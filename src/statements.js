@@ -0,0 +1,229 @@
+const sql = require('mssql');
+const logger = require('./logger');
+const { qName, bindInput, columnList } = require('./sqlutil');
+const { sqlRequest } = require('./guardrails');
+
+// SQL Server caps a request at 2100 parameters and a VALUES list at 1000 rows
+const MAX_PARAMS = 2000;
+const MAX_VALUES_ROWS = 1000;
+
+// Writes to tables with Change Tracking carry this context (the bytes of
+// "msabon"), so the change feed's poll can skip the writes it already published
+const CHANGE_CONTEXT = '0x6D7361626F6E';
+
+// "WITH CHANGE_TRACKING_CONTEXT (...) " before a write to a tracked table
+function tracked(tableMeta) {
+  return tableMeta.changeTracking ? `WITH CHANGE_TRACKING_CONTEXT (${CHANGE_CONTEXT}) ` : '';
+}
+
+// Tables with enabled triggers reject a bare OUTPUT clause, so results go
+// through #out. The identity column is copied as an expression ("+ 0") so the
+// temp table does not inherit the IDENTITY property, and the rowversion as
+// binary(8), since a timestamp column cannot be inserted into.
+function outTableSql(tableMeta) {
+  const outSelect = tableMeta.columns.map(c => {
+    if (c.COLUMN_NAME === tableMeta.identity) return `t.[${c.COLUMN_NAME}] + 0 AS [${c.COLUMN_NAME}]`;
+    if (c.COLUMN_NAME === tableMeta.rowversion) return `CONVERT(binary(8), t.[${c.COLUMN_NAME}]) AS [${c.COLUMN_NAME}]`;
+    return `t.[${c.COLUMN_NAME}]`;
+  }).join(', ');
+  return `
+    IF OBJECT_ID('tempdb..#out') IS NOT NULL DROP TABLE #out;
+    SELECT TOP 0 ${outSelect} INTO #out FROM ${qName(tableMeta.schema, tableMeta.table)} AS t WHERE 1 = 0;`;
+}
+
+// Columns written by any of `rows`, in table order
+function writtenColumns(tableMeta, rows) {
+  return tableMeta.columns.filter(c => rows.some(r => r[c.COLUMN_NAME] !== undefined));
+}
+
+// Split rows so that each INSERT/MERGE stays within the parameter and VALUES limits
+function chunkRows(tableMeta, rows) {
+  const width = writtenColumns(tableMeta, rows).length;
+  // rows without any column are inserted one by one with DEFAULT VALUES
+  const size = width === 0 ? 1 : Math.max(1, Math.min(MAX_VALUES_ROWS, Math.floor(MAX_PARAMS / width)));
+  const chunks = [];
+  for (let i = 0; i < rows.length; i += size) chunks.push(rows.slice(i, i + size));
+  return chunks;
+}
+
+// INSERT one or more rows; omitted columns take their DEFAULT
+function insertStatement(tableMeta, rows, request) {
+  const target = qName(tableMeta.schema, tableMeta.table);
+  const cols = writtenColumns(tableMeta, rows);
+  const params = rows.map((row, i) => cols.map((c, j) => {
+    if (row[c.COLUMN_NAME] === undefined) return 'DEFAULT';
+    return bindInput(request, `v${i}_${j}`, c, row[c.COLUMN_NAME]);
+  }));
+  const head = tracked(tableMeta) + (cols.length
+    ? `INSERT INTO ${target} (${cols.map(c => `[${c.COLUMN_NAME}]`).join(',')})`
+    : `INSERT INTO ${target}`);
+  const values = cols.length ? `VALUES ${params.map(p => `(${p.join(',')})`).join(', ')}` : 'DEFAULT VALUES';
+
+  if (!tableMeta.hasTriggers) {
+    return `${head} OUTPUT ${columnList(tableMeta.columns, 'inserted')} ${values}`;
+  }
+
+  const pk = tableMeta.pk || [];
+  if (rows.length === 1 && tableMeta.identity) {
+    // Best path: insert then reselect by SCOPE_IDENTITY on the identity column
+    return `
+      SET NOCOUNT ON;
+      ${head}
+      ${values};
+      DECLARE @id numeric(38,0) = SCOPE_IDENTITY();
+      SELECT ${columnList(tableMeta.columns)} FROM ${target} WHERE [${tableMeta.identity}] = @id;
+    `;
+  }
+  if (rows.length === 1 && pk.length && pk.every(k => rows[0][k] !== undefined)) {
+    // No identity but full PK provided in body -> reselect by PK
+    const keyWhere = pk.map(k => `[${k}] = ${params[0][cols.findIndex(c => c.COLUMN_NAME === k)]}`).join(' AND ');
+    return `
+      SET NOCOUNT ON;
+      ${head}
+      ${values};
+      SELECT ${columnList(tableMeta.columns)} FROM ${target} WHERE ${keyWhere};
+    `;
+  }
+  // Fallback (and every multi-row insert): capture inserted rows through #out
+  return `
+    SET NOCOUNT ON;
+    ${outTableSql(tableMeta)}
+
+    ${head}
+    OUTPUT inserted.* INTO #out
+    ${values};
+
+    SELECT ${columnList(tableMeta.columns)} FROM #out;
+    DROP TABLE #out;
+  `;
+}
+
+// MERGE rows on the primary key: update matches (unless ignoreDuplicates) and
+// insert the rest. `scope` is extra ON predicates over alias "t" (row security),
+// so rows outside the caller's scope are never matched. `insertOnly` columns
+// are not updated on a match.
+function mergeStatement(tableMeta, rows, request, { ignoreDuplicates = false, scope = [], insertOnly = [] } = {}) {
+  const target = qName(tableMeta.schema, tableMeta.table);
+  const pk = tableMeta.pk || [];
+  const cols = writtenColumns(tableMeta, rows);
+  const names = cols.map(c => c.COLUMN_NAME);
+  const params = rows.map((row, i) => cols.map((c, j) => bindInput(request, `v${i}_${j}`, c, row[c.COLUMN_NAME])));
+  const on = [...pk.map(k => `t.[${k}] = s.[${k}]`), ...scope].join(' AND ');
+  const updatable = names.filter(n => !pk.includes(n) && n !== tableMeta.identity && !insertOnly.includes(n));
+  // identity values cannot be inserted; new rows get a generated one
+  const insertable = names.filter(n => n !== tableMeta.identity);
+
+  const clauses = [];
+  if (!ignoreDuplicates && updatable.length) {
+    clauses.push(`WHEN MATCHED THEN UPDATE SET ${updatable.map(n => `t.[${n}] = s.[${n}]`).join(', ')}`);
+  }
+  clauses.push(insertable.length
+    ? `WHEN NOT MATCHED THEN INSERT (${insertable.map(n => `[${n}]`).join(',')}) VALUES (${insertable.map(n => `s.[${n}]`).join(',')})`
+    : 'WHEN NOT MATCHED THEN INSERT DEFAULT VALUES');
+
+  const merge = `
+    ${tracked(tableMeta)}MERGE ${target} WITH (HOLDLOCK) AS t
+    USING (VALUES ${params.map(p => `(${p.join(',')})`).join(', ')}) AS s (${names.map(n => `[${n}]`).join(',')})
+    ON ${on}
+    ${clauses.join('\n    ')}`;
+
+  if (!tableMeta.hasTriggers) return `${merge}\n    OUTPUT ${columnList(tableMeta.columns, 'inserted')};`;
+  return `
+    SET NOCOUNT ON;
+    ${outTableSql(tableMeta)}
+    ${merge}
+    OUTPUT inserted.* INTO #out;
+
+    SELECT ${columnList(tableMeta.columns)} FROM #out;
+    DROP TABLE #out;
+  `;
+}
+
+// UPDATE the rows matching `where` with `values` ({ column: value }; null clears).
+// Tables with triggers reselect the rows by `keyWhere` after the triggers ran
+// (`where` may test a rowversion the update just changed); #out only records
+// whether anything matched.
+function updateStatement(tableMeta, values, where, request, keyWhere = where) {
+  const target = qName(tableMeta.schema, tableMeta.table);
+  const sets = tableMeta.columns
+    .filter(c => values[c.COLUMN_NAME] !== undefined)
+    .map((c, j) => {
+      return `[${c.COLUMN_NAME}] = ${bindInput(request, `u${j}`, c, values[c.COLUMN_NAME])}`;
+    });
+
+  if (tableMeta.hasTriggers) {
+    return `
+      SET NOCOUNT ON;
+      ${outTableSql(tableMeta)}
+
+      ${tracked(tableMeta)}UPDATE ${target} SET ${sets.join(', ')}
+      OUTPUT inserted.* INTO #out
+      WHERE ${where};
+
+      IF EXISTS (SELECT 1 FROM #out) SELECT ${columnList(tableMeta.columns)} FROM ${target} WHERE ${keyWhere};
+      DROP TABLE #out;
+    `;
+  }
+  return `${tracked(tableMeta)}UPDATE ${target} SET ${sets.join(', ')} OUTPUT ${columnList(tableMeta.columns, 'inserted')} WHERE ${where}`;
+}
+
+// DELETE the rows matching `where`, returning them
+function deleteStatement(tableMeta, where) {
+  const target = qName(tableMeta.schema, tableMeta.table);
+  if (tableMeta.hasTriggers) {
+    return `
+      SET NOCOUNT ON;
+      ${outTableSql(tableMeta)}
+
+      ${tracked(tableMeta)}DELETE FROM ${target}
+      OUTPUT deleted.* INTO #out
+      WHERE ${where};
+
+      SELECT ${columnList(tableMeta.columns)} FROM #out;
+      DROP TABLE #out;
+    `;
+  }
+  return `${tracked(tableMeta)}DELETE FROM ${target} OUTPUT ${columnList(tableMeta.columns, 'deleted')} WHERE ${where}`;
+}
+
+// Run a write and return the rows of its last result set
+async function execute(request, sqlText) {
+  logger.verbose('Executing SQL:', sqlText, 'params=', logger.sqlParams(request.parameters));
+  const r = await request.query(sqlText);
+  return (Array.isArray(r.recordsets) && r.recordsets[r.recordsets.length - 1]) || r.recordset || [];
+}
+
+// Run fn(newRequest) inside one transaction on `pool`, rolling back on error;
+// `limits` carries the statement timeout. newRequest.afterCommit(hook) queues
+// work that must only happen once the transaction has committed.
+async function withTransaction(pool, fn, limits = null) {
+  const tx = new sql.Transaction(pool);
+  const hooks = [];
+  const newRequest = () => sqlRequest(tx, limits);
+  newRequest.afterCommit = hook => hooks.push(hook);
+  await tx.begin();
+  try {
+    const result = await fn(newRequest);
+    await tx.commit();
+    for (const hook of hooks) hook();
+    return result;
+  } catch (err) {
+    try {
+      await tx.rollback();
+    } catch (rollbackErr) {
+      logger.warn('Rollback failed:', rollbackErr.message);
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  CHANGE_CONTEXT,
+  chunkRows,
+  insertStatement,
+  mergeStatement,
+  updateStatement,
+  deleteStatement,
+  execute,
+  withTransaction
+};
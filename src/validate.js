@@ -0,0 +1,166 @@
+const { validationError } = require('./errors');
+
+// Check request values against the discovered column metadata before any SQL
+// runs, so callers get every field problem at once instead of a database error.
+
+const INT_RANGES = {
+  tinyint: [0, 255],
+  smallint: [-32768, 32767],
+  int: [-2147483648, 2147483647]
+};
+const BIGINT_MIN = -(2n ** 63n);
+const BIGINT_MAX = 2n ** 63n - 1n;
+
+const NUMERIC = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const DECIMAL = /^[+-]?(\d*)(?:\.(\d*))?$/;
+const UUID = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+const TIME = /^\d{1,2}:\d{2}(:\d{2}(\.\d{1,7})?)?$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const HEX = /^0x([0-9a-f]{2})*$/i;
+
+function dataType(col) {
+  return String(col.DATA_TYPE).toLowerCase();
+}
+
+function isRowversion(col) {
+  const t = dataType(col);
+  return t === 'timestamp' || t === 'rowversion';
+}
+
+// Columns SQL Server computes itself and never accepts a value for
+function isGenerated(tableMeta, col) {
+  return !!col.IS_COMPUTED || isRowversion(col) || col.COLUMN_NAME === tableMeta.identity;
+}
+
+function isNumeric(value) {
+  return (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && NUMERIC.test(value.trim()));
+}
+
+// Why `value` cannot be stored in (or compared with) `col`, or null when it can.
+// Strings are accepted for every type, since query-string values are strings.
+function valueProblem(col, value) {
+  if (value === null) return col.IS_NULLABLE === 'NO' ? 'must not be null' : null;
+  if (typeof value === 'object') return 'must be a single value, not an object or array';
+  const t = dataType(col);
+  const s = String(value);
+
+  if (INT_RANGES[t]) {
+    const [min, max] = INT_RANGES[t];
+    if (!/^[+-]?\d+$/.test(s.trim())) return 'must be an integer';
+    const n = Number(s);
+    return n < min || n > max ? `must be between ${min} and ${max}` : null;
+  }
+  switch (t) {
+    case 'bigint': {
+      if (!/^[+-]?\d+$/.test(s.trim())) return 'must be an integer';
+      const n = BigInt(s.trim());
+      return n < BIGINT_MIN || n > BIGINT_MAX ? 'must fit in a 64-bit integer' : null;
+    }
+    case 'bit':
+      return typeof value === 'boolean' || /^(true|false|0|1)$/i.test(s) ? null : 'must be true or false';
+    case 'decimal':
+    case 'numeric':
+    case 'money':
+    case 'smallmoney': {
+      if (!isNumeric(value)) return 'must be a number';
+      const m = DECIMAL.exec(s.trim());
+      // exponent notation is left to SQL Server; plain digits are counted here
+      if (!m || col.NUMERIC_PRECISION === null || col.NUMERIC_PRECISION === undefined) return null;
+      const whole = m[1].replace(/^0+/, '').length;
+      const allowed = col.NUMERIC_PRECISION - (col.NUMERIC_SCALE || 0);
+      return whole > allowed ? `must have at most ${allowed} digit(s) before the decimal point` : null;
+    }
+    case 'float':
+    case 'real':
+      return isNumeric(value) ? null : 'must be a number';
+    case 'date':
+      return DATE.test(s) && !Number.isNaN(Date.parse(s)) ? null : 'must be a date (YYYY-MM-DD)';
+    case 'time':
+      return TIME.test(s) ? null : 'must be a time (hh:mm:ss[.fffffff])';
+    case 'datetime':
+    case 'smalldatetime':
+    case 'datetime2':
+    case 'datetimeoffset':
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(s) && !Number.isNaN(Date.parse(s.replace(/(\.\d{3})\d+/, '$1')))
+        ? null
+        : 'must be an ISO 8601 date-time';
+    case 'uniqueidentifier':
+      return UUID.test(s) ? null : 'must be a UUID';
+    case 'binary':
+    case 'varbinary':
+    case 'image':
+    case 'timestamp':
+    case 'rowversion': {
+      if (typeof value !== 'string' || !(HEX.test(s) || BASE64.test(s))) return 'must be base64 or 0x-prefixed hex';
+      const bytes = HEX.test(s) ? (s.length - 2) / 2 : Buffer.from(s, 'base64').length;
+      const max = col.CHARACTER_MAXIMUM_LENGTH;
+      return max > 0 && bytes > max ? `must be at most ${max} byte(s)` : null;
+    }
+    case 'char':
+    case 'varchar':
+    case 'nchar':
+    case 'nvarchar': {
+      const max = col.CHARACTER_MAXIMUM_LENGTH;
+      return max > 0 && s.length > max ? `must be at most ${max} character(s)` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Validate a write body. `mode` is insert, upsert (identity values allowed, to
+// match existing rows), replace (PUT: every writable non-null column required)
+// or update (PATCH). Key and identity columns are ignored on updates.
+// Returns the problems as [{ field, message }].
+function bodyProblems(tableMeta, body, mode) {
+  const problems = [];
+  const pk = tableMeta.pk || [];
+  const byName = new Map(tableMeta.columns.map(c => [c.COLUMN_NAME, c]));
+  const updating = mode === 'replace' || mode === 'update';
+
+  for (const [field, value] of Object.entries(body)) {
+    const col = byName.get(field);
+    if (!col) {
+      problems.push({ field, message: 'is not a column of this table' });
+    } else if (col.IS_COMPUTED) {
+      problems.push({ field, message: 'is a computed column and cannot be written' });
+    } else if (isRowversion(col)) {
+      problems.push({ field, message: 'is a rowversion column and cannot be written' });
+    } else if (updating && (pk.includes(field) || field === tableMeta.identity)) {
+      continue;
+    } else if (mode === 'insert' && field === tableMeta.identity) {
+      problems.push({ field, message: 'is an identity column; its value is generated' });
+    } else if (value !== undefined) {
+      const problem = valueProblem(col, value);
+      if (problem) problems.push({ field, message: problem });
+    }
+  }
+
+  if (mode === 'insert' || mode === 'upsert' || mode === 'replace') {
+    for (const col of tableMeta.columns) {
+      const name = col.COLUMN_NAME;
+      if (col.IS_NULLABLE !== 'NO' || isGenerated(tableMeta, col) || body[name] !== undefined) continue;
+      // callers cannot send these (column policies); defaults were filled already
+      if (col.hidden || col.readOnly) continue;
+      // nor read these back, so PUT keeps them when omitted
+      if (mode === 'replace' && col.writeOnly) continue;
+      if (mode === 'replace' && !pk.includes(name)) {
+        problems.push({ field: name, message: 'is required; PUT replaces the whole row' });
+      } else if (mode !== 'replace' && !col.HAS_DEFAULT) {
+        problems.push({ field: name, message: 'is required' });
+      }
+    }
+  }
+  return problems;
+}
+
+// Throw a validation error listing the problems of every row in `rows`
+// (each problem carries its `row` index when there is more than one)
+function validateRows(tableMeta, rows, mode) {
+  const problems = rows.flatMap((body, row) =>
+    bodyProblems(tableMeta, body, mode).map(p => (rows.length > 1 ? { row, ...p } : p)));
+  if (problems.length) throw validationError(problems);
+}
+
+module.exports = { valueProblem, validateRows, isGenerated, isRowversion };
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sql = require('mssql');
+const { planAggregate } = require('../src/aggregate');
+
+const lines = {
+  columns: [
+    { COLUMN_NAME: 'Status', DATA_TYPE: 'nvarchar', CHARACTER_MAXIMUM_LENGTH: 10, IS_NULLABLE: 'YES' },
+    { COLUMN_NAME: 'Qty', DATA_TYPE: 'int', IS_NULLABLE: 'YES' },
+    { COLUMN_NAME: 'Price', DATA_TYPE: 'decimal', NUMERIC_PRECISION: 10, NUMERIC_SCALE: 2, IS_NULLABLE: 'YES' },
+    { COLUMN_NAME: 'Notes', DATA_TYPE: 'ntext', IS_NULLABLE: 'YES' },
+    { COLUMN_NAME: 'Shipped', DATA_TYPE: 'bit', IS_NULLABLE: 'YES' },
+    { COLUMN_NAME: 'Card', DATA_TYPE: 'nvarchar', CHARACTER_MAXIMUM_LENGTH: 20, IS_NULLABLE: 'YES', mask: 4 },
+    { COLUMN_NAME: 'Secret', DATA_TYPE: 'int', IS_NULLABLE: 'YES', hidden: true }
+  ],
+  // an embeddable relationship named like an aggregate
+  relations: [{ name: 'max' }]
+};
+
+const plan = (query, options) => planAggregate(query, lines, options);
+
+test('requests without aggregates or groupby are plain lists', () => {
+  assert.strictEqual(plan({}), null);
+  assert.strictEqual(plan({ select: 'Status,Qty' }), null);
+  assert.strictEqual(plan({ select: 'Status,max(Qty)' }), null);
+  assert.throws(() => plan({ having: 'count().gt.1' }), { status: 400 });
+});
+
+test('selected columns become the groups', () => {
+  const p = plan({ select: 'Status,count(),sum(Qty),avg(Price)' });
+  assert.strictEqual(p.select,
+    '[Status], CAST(COUNT_BIG(*) AS decimal(19,0)) AS [count], SUM(CAST([Qty] AS decimal(38,0))) AS [sum_Qty], AVG([Price]) AS [avg_Price]');
+  assert.strictEqual(p.clause(new sql.Request()), ' GROUP BY [Status]');
+  assert.strictEqual(p.order(), 'ORDER BY [Status] ASC');
+});
+
+test('groupby alone returns the distinct groups, and must cover the selected columns', () => {
+  const p = plan({ groupby: 'Status,Shipped' });
+  assert.strictEqual(p.select, '[Status], [Shipped]');
+  assert.strictEqual(p.clause(new sql.Request()), ' GROUP BY [Status], [Shipped]');
+  assert.throws(() => plan({ select: 'Status,Qty,count()', groupby: 'Status' }), { status: 400, message: /'Qty' must be in groupby/ });
+});
+
+test('having binds its values as parameters', () => {
+  const p = plan({ select: 'Status,count()', having: 'count().gt.5,sum(Qty).lte.100' });
+  const request = new sql.Request();
+  assert.strictEqual(p.clause(request), ' GROUP BY [Status] HAVING COUNT_BIG(*) > @h0 AND SUM(CAST([Qty] AS decimal(38,0))) <= @h1');
+  assert.deepStrictEqual(Object.values(request.parameters).map(x => x.value), ['5', '100']);
+  assert.throws(() => plan({ select: 'count()', having: 'count().like.5' }), { status: 400 });
+  assert.throws(() => plan({ select: 'count()', having: 'count().gt.many' }), { code: 'validation_failed' });
+  assert.throws(() => plan({ select: 'count()', having: 'count().gt.1,count().lt.9' }, { maxFilters: 1 }), { code: 'too_many_filters' });
+});
+
+test('aggregates check their column', () => {
+  for (const select of ['sum(Status)', 'min(Shipped)', 'min(Notes)', 'sum()', 'avg(Nope)', 'sum(Secret)', 'min(Card)']) {
+    assert.throws(() => plan({ select }), { status: 400 }, select);
+  }
+  assert.strictEqual(plan({ select: 'count(Card)' }).select, 'CAST(COUNT_BIG([Card]) AS decimal(19,0)) AS [count_Card]');
+  assert.throws(() => plan({ groupby: 'Card' }), { status: 400, message: /masked/ });
+  assert.throws(() => plan({ groupby: 'Notes' }), { status: 400 });
+  assert.throws(() => plan({ select: 'count(),count(*)' }), { status: 400, message: /selected twice/ });
+});
+
+test('order takes several result names and rejects unknown directions', () => {
+  const p = plan({ select: 'Status,count(),sum(Qty)' });
+  assert.strictEqual(p.order('count.desc,Status'), 'ORDER BY [count] DESC, [Status] ASC');
+  assert.throws(() => p.order('Qty.desc'), { status: 400, message: /Cannot order by 'Qty'/ });
+  assert.throws(() => p.order('count.down'), { status: 400, message: /Invalid direction/ });
+  assert.strictEqual(plan({ select: 'count()' }).order(), 'ORDER BY (SELECT NULL)');
+});
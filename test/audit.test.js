@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/logger');
+const { createAudit } = require('../src/audit');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const fixture = () => ({ tables: [
+  { name: 'Orders', pk: ['Id'], columns: ['Id int identity', 'Qty int'] },
+  { name: 'Notes', pk: ['Id'], columns: ['Id int identity', 'Text nvarchar(50)'] },
+  { schema: 'audit', name: 'ChangeLog', pk: ['AuditId'], columns: ['AuditId bigint identity', 'At datetime2(3)'] }
+] });
+
+// writes to Orders return the row as written; the audit table returns nothing
+function orders(text, params) {
+  if (/ChangeLog/.test(text)) return [];
+  return [{ Id: 7, Qty: params.u0 !== undefined ? params.u0 : params.v0_0 !== undefined ? params.v0_0 : 1 }];
+}
+
+const verbs = statements => statements.map(s => s.sql.split(' ').slice(0, 3).join(' '));
+
+async function audited(t, config) {
+  const db = createFakeDb(fixture());
+  db.respond = orders;
+  const api = await serveEndpoint(db, {}, { audit: createAudit(config, 'api') });
+  t.after(() => api.close());
+  return { db, api };
+}
+
+test('the audit table records each write in its transaction and is not exposed', async t => {
+  const { db, api } = await audited(t, { table: 'audit.ChangeLog', objects: ['Orders'] });
+  assert.deepStrictEqual(Object.keys(api.schemas).sort(), ['api_Notes', 'api_Orders']);
+
+  assert.strictEqual((await api.call('POST', '/api/Orders', { body: { Qty: 3 } })).status, 201);
+  let statements = db.take();
+  assert.deepStrictEqual(verbs(statements), ['BEGIN TRANSACTION', 'INSERT INTO [dbo].[Orders]', 'INSERT INTO [audit].[ChangeLog]', 'COMMIT']);
+  const { a0_0: at, ...created } = statements[2].params;
+  assert.ok(at instanceof Date);
+  assert.deepStrictEqual(created, {
+    a0_1: 'api', a0_2: 'dbo.Orders', a0_3: 'create', a0_4: '["7"]', a0_5: null, a0_6: '127.0.0.1', a0_7: 'req-1',
+    a0_8: null, a0_9: '{"Id":7,"Qty":3}'
+  });
+
+  // an update reads its before image under an update lock first
+  assert.strictEqual((await api.call('PATCH', '/api/Orders/7', { body: { Qty: 4 } })).status, 200);
+  statements = db.take();
+  assert.deepStrictEqual(verbs(statements), ['BEGIN TRANSACTION', 'SELECT [Id], [Qty]', 'UPDATE [dbo].[Orders] SET', 'INSERT INTO [audit].[ChangeLog]', 'COMMIT']);
+  assert.match(statements[1].sql, /WITH \(UPDLOCK, HOLDLOCK\) WHERE \[Id\] = @key0$/);
+  assert.deepStrictEqual([statements[3].params.a0_3, statements[3].params.a0_8, statements[3].params.a0_9],
+    ['update', '{"Id":7,"Qty":1}', '{"Id":7,"Qty":4}']);
+
+  // tables the trail does not cover write without it
+  assert.strictEqual((await api.call('POST', '/api/Notes', { body: { Text: 'x' } })).status, 201);
+  assert.deepStrictEqual(verbs(db.take()), ['INSERT INTO [dbo].[Notes]']);
+});
+
+test('a failed audit insert rolls the change back', async t => {
+  const { db, api } = await audited(t, { table: 'audit.ChangeLog' });
+  db.respond = (text, params) => {
+    if (/ChangeLog/.test(text)) throw Object.assign(new Error('Lock request time out'), { number: 1222 });
+    return orders(text, params);
+  };
+  const res = await api.call('DELETE', '/api/Orders/7');
+  assert.strictEqual(res.status, 503);
+  // a delete's before image comes from its OUTPUT clause
+  assert.deepStrictEqual(verbs(db.take()), ['BEGIN TRANSACTION', 'DELETE FROM [dbo].[Orders]', 'INSERT INTO [audit].[ChangeLog]', 'ROLLBACK']);
+});
+
+test('$history lists a row\'s records, newest first', async t => {
+  const { db, api } = await audited(t, { table: 'audit.ChangeLog' });
+  db.respond = () => [{
+    At: new Date('2024-05-01T10:00:00Z'), Action: 'update', KeyValue: '["7"]', Actor: 'ann', ClientIp: '10.0.0.1', RequestId: 'r1',
+    Before: '{"Id":7,"Qty":1}', After: '{"Id":7,"Qty":4}'
+  }];
+  const res = await api.call('GET', '/api/Orders/7/$history?limit=5');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, [{
+    at: '2024-05-01T10:00:00.000Z', endpoint: 'api', object: 'dbo.Orders', table: 'Orders', action: 'update', key: { Id: 7 },
+    actor: 'ann', ip: '10.0.0.1', requestId: 'r1', before: { Id: 7, Qty: 1 }, after: { Id: 7, Qty: 4 }
+  }]);
+  assert.deepStrictEqual(db.take(), [{
+    sql: 'SELECT TOP (5) [At], [Action], [KeyValue], [Actor], [ClientIp], [RequestId], [Before], [After] FROM [audit].[ChangeLog] ' +
+      'WHERE [Endpoint] = @endpoint AND [ObjectName] = @object AND [KeyValue] = @key ORDER BY [At] DESC',
+    params: { endpoint: 'api', object: 'dbo.Orders', key: '["7"]' }
+  }]);
+});
+
+test('a file trail is appended after the commit and read back for $history', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'msabon-audit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const audit = createAudit({ file: 'trail/api.jsonl' }, 'api', dir);
+  const db = createFakeDb(fixture());
+  db.respond = orders;
+  // the audit table is only left out of discovery when it is the trail
+  const api = await serveEndpoint(db, {}, { audit });
+  t.after(() => api.close());
+  assert.ok(api.schemas['api_audit.ChangeLog'] || api.schemas.api_ChangeLog);
+
+  await api.call('POST', '/api/Orders', { body: { Qty: 3 } });
+  await api.call('PATCH', '/api/Orders/7', { body: { Qty: 4 } });
+  await api.call('POST', '/api/Notes', { body: { Text: 'x' } });
+  const file = path.join(dir, 'trail', 'api.jsonl');
+  while (fs.readFileSync(file, 'utf8').split('\n').length < 4) await new Promise(resolve => setTimeout(resolve, 5));
+
+  const res = await api.call('GET', '/api/Orders/7/$history');
+  assert.deepStrictEqual(res.body.map(r => [r.action, r.key, r.before, r.after]), [
+    ['update', { Id: 7 }, { Id: 7, Qty: 1 }, { Id: 7, Qty: 4 }],
+    ['create', { Id: 7 }, null, { Id: 7, Qty: 3 }]
+  ]);
+  assert.strictEqual((await api.call('GET', '/api/Orders/7/$history?limit=1')).body.length, 1);
+  assert.throws(() => createAudit({ table: 'a', file: 'b' }, 'api'), /exactly one of 'table' or 'file'/);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/logger');
+const { createAuth } = require('../src/auth');
+
+logger.configure({ logLevel: 'error' });
+
+const b64url = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+function hs256(claims, secret = 'sekret') {
+  const data = `${b64url({ alg: 'HS256', typ: 'JWT' })}.${b64url(claims)}`;
+  return `${data}.${crypto.createHmac('sha256', secret).update(data).digest('base64url')}`;
+}
+
+function rs256(claims, privateKey, kid) {
+  const data = `${b64url({ alg: 'RS256', typ: 'JWT', kid })}.${b64url(claims)}`;
+  return `${data}.${crypto.sign('RSA-SHA256', Buffer.from(data), privateKey).toString('base64url')}`;
+}
+
+// Run `authenticate` for a request with `headers`; resolves to { identity } or { status, body }
+function authenticate(auth, headers) {
+  return new Promise(resolve => {
+    const req = { headers, method: 'GET', originalUrl: '/mis/Orders' };
+    const res = {
+      set() { return this; },
+      status(code) { this.code = code; return this; },
+      json(body) { resolve({ status: this.code, body }); }
+    };
+    auth.authenticate(req, res, () => resolve({ identity: req.identity }));
+  });
+}
+
+const config = {
+  apiKeys: [{ key: 'k1', name: 'reporting', roles: ['reader'] }],
+  jwt: { secret: 'sekret', issuer: 'https://idp', audience: 'msabon', rolesClaim: 'realm.roles' },
+  anonymousRoles: ['public'],
+  roles: {
+    reader: [{ endpoint: 'mis', objects: ['MI*'], verbs: ['GET'] }],
+    writer: [{ objects: ['Orders'], type: 'table', verbs: ['*'] }],
+    public: [{ objects: ['Prices'], type: 'view' }],
+    ops: [{ type: 'admin', verbs: ['POST'] }]
+  }
+};
+
+test('without an auth section everything is allowed', async () => {
+  const auth = createAuth(null);
+  assert.strictEqual(auth.enabled, false);
+  assert.strictEqual(auth.can(null, 'mis', 'Orders', 'table', 'DELETE'), true);
+  assert.deepStrictEqual(await authenticate(auth, { 'x-api-key': 'anything' }), { identity: undefined });
+  assert.strictEqual(auth.openApiSecurity(), null);
+});
+
+test('API keys resolve to their roles; unknown keys get 401', async () => {
+  const auth = createAuth(config);
+  const { identity } = await authenticate(auth, { 'x-api-key': 'k1' });
+  assert.deepStrictEqual(identity, { method: 'apiKey', subject: 'reporting', roles: ['reader'], claims: {} });
+  assert.strictEqual((await authenticate(auth, { 'x-api-key': 'k2' })).status, 401);
+  assert.deepStrictEqual(await authenticate(auth, {}), { identity: undefined });
+});
+
+test('HS256 tokens are checked for signature, expiry, issuer and audience', async () => {
+  const auth = createAuth(config);
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { sub: 'ann', iss: 'https://idp', aud: 'msabon', exp: now + 60, realm: { roles: ['writer'] } };
+  const { identity } = await authenticate(auth, { authorization: `Bearer ${hs256(claims)}` });
+  assert.strictEqual(identity.subject, 'ann');
+  assert.deepStrictEqual(identity.roles, ['writer']);
+
+  for (const bad of [
+    hs256(claims, 'other'),
+    hs256({ ...claims, exp: now - 120 }),
+    hs256({ ...claims, nbf: now + 120 }),
+    hs256({ ...claims, iss: 'https://elsewhere' }),
+    hs256({ ...claims, aud: ['other'] }),
+    'not.a-token',
+    `${b64url({ alg: 'none' })}.${b64url(claims)}.`
+  ]) {
+    assert.strictEqual((await authenticate(auth, { authorization: `Bearer ${bad}` })).status, 401, bad);
+  }
+  // expiry is allowed some clock skew
+  assert.ok((await authenticate(auth, { authorization: `Bearer ${hs256({ ...claims, exp: now - 5 })}` })).identity);
+});
+
+test('RS256 tokens are verified against the JWKS keys', async () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'msabon-auth-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'jwks.json'), JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'a', use: 'sig' }] }));
+    const auth = createAuth({ jwt: { algorithms: ['RS256'], jwksFile: 'jwks.json' } }, dir);
+    const claims = { sub: 'svc', roles: 'writer' };
+    const { identity } = await authenticate(auth, { authorization: `Bearer ${rs256(claims, privateKey, 'a')}` });
+    assert.deepStrictEqual(identity.roles, ['writer']);
+    assert.strictEqual((await authenticate(auth, { authorization: `Bearer ${rs256(claims, other.privateKey, 'a')}` })).status, 401);
+    assert.strictEqual((await authenticate(auth, { authorization: `Bearer ${rs256(claims, privateKey, 'b')}` })).status, 401);
+    // HS256 is not among the allowed algorithms
+    assert.strictEqual((await authenticate(auth, { authorization: `Bearer ${hs256(claims)}` })).status, 401);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('roles grant verbs on matching endpoints, objects and types', () => {
+  const auth = createAuth(config);
+  const reader = { roles: ['reader'] };
+  const writer = { roles: ['writer'] };
+  assert.strictEqual(auth.can(reader, 'mis', 'MIOrders', 'table', 'GET'), true);
+  assert.strictEqual(auth.can(reader, 'mis', 'MIOrders', 'view', 'HEAD'), true);
+  assert.strictEqual(auth.can(reader, 'mis', 'MIOrders', 'table', 'POST'), false);
+  assert.strictEqual(auth.can(reader, 'erp', 'MIOrders', 'table', 'GET'), false);
+  assert.strictEqual(auth.can(writer, 'erp', 'Orders', 'table', 'DELETE'), true);
+  assert.strictEqual(auth.can(writer, 'erp', 'Orders', 'view', 'GET'), false);
+  // anonymous callers get anonymousRoles
+  assert.strictEqual(auth.can(null, 'mis', 'Prices', 'view', 'GET'), true);
+  assert.strictEqual(auth.can(null, 'mis', 'Orders', 'table', 'GET'), false);
+});
+
+test('admin operations need a rule naming type admin', () => {
+  const auth = createAuth({ roles: { all: [{ verbs: ['*'] }], ops: config.roles.ops } });
+  assert.strictEqual(auth.can({ roles: ['all'] }, 'mis', 'mis', 'admin', 'POST'), false);
+  assert.strictEqual(auth.can({ roles: ['ops'] }, 'mis', 'mis', 'admin', 'POST'), true);
+});
+
+test('authorize answers 401 without credentials and 403 without permission', () => {
+  const auth = createAuth(config);
+  const run = identity => {
+    const res = { set() { return this; }, status(code) { this.code = code; return this; }, json() {} };
+    let passed = false;
+    auth.authorize('mis', { name: 'Orders' }, 'DELETE')({ identity }, res, () => { passed = true; });
+    return passed ? 'next' : res.code;
+  };
+  assert.strictEqual(run(undefined), 401);
+  assert.strictEqual(run({ roles: ['reader'] }), 403);
+  assert.strictEqual(run({ roles: ['writer'] }), 'next');
+});
+
+test('openApiSecurity lists the configured schemes', () => {
+  assert.deepStrictEqual(Object.keys(createAuth(config).openApiSecurity().securitySchemes), ['ApiKeyAuth', 'BearerAuth']);
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { createAuth } = require('../src/auth');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const fixture = {
+  tables: [
+    {
+      name: 'Employees',
+      pk: ['Id'],
+      columns: ['Id int identity', 'Name nvarchar(50) null', 'Salary varchar(20) null', 'Pin nvarchar(10) null', 'Notes nvarchar(100) null']
+    }
+  ]
+};
+const policies = { columnPolicies: [{ objects: ['Employees'], masked: { Salary: 2 }, writeOnly: ['Pin'] }] };
+
+test('$ref cannot read masked, hidden or write-only values of earlier steps', async t => {
+  const db = createFakeDb(fixture);
+  const api = await serveEndpoint(db, policies);
+  t.after(() => api.close());
+  db.respond = text => (/^SELECT/.test(text.trim()) ? [{ Id: 7, Name: 'Ann', Salary: '123456', Notes: null }] : []);
+
+  const batch = ref => api.call('POST', '/api/$batch', {
+    body: [
+      { id: 'a', method: 'get', table: 'Employees', key: 7 },
+      { method: 'update', table: 'Employees', key: 7, body: { Notes: { $ref: ref } } }
+    ]
+  });
+
+  const masked = await batch('a.Salary');
+  assert.strictEqual(masked.status, 400);
+  assert.match(masked.body.error, /masked column 'Salary'/);
+  assert.strictEqual(masked.body.step, 1);
+  assert.ok(!db.take().some(s => /^UPDATE/.test(s.sql)), 'nothing was written');
+
+  const writeOnly = await batch('a.Pin');
+  assert.strictEqual(writeOnly.status, 400);
+  assert.match(writeOnly.body.error, /did not resolve/);
+
+  // the step's own result is masked, and readable values still resolve
+  db.take();
+  db.respond = text => (/^SELECT/.test(text.trim()) || /^UPDATE/.test(text.trim())
+    ? [{ Id: 7, Name: 'Ann', Salary: '123456', Notes: 'Ann' }]
+    : []);
+  const ok = await batch('a.Name');
+  assert.strictEqual(ok.status, 200);
+  assert.strictEqual(ok.body.results[0].body.Salary, '****56');
+  const update = db.take().find(s => /^UPDATE/.test(s.sql));
+  assert.ok(Object.values(update.params).includes('Ann'));
+});
+
+const shop = {
+  tables: [
+    { name: 'Orders', pk: ['Id'], columns: ['Id int identity', 'Customer nvarchar(50)', 'Status nvarchar(10) null'] },
+    { name: 'Lines', pk: ['OrderId', 'LineNo'], columns: ['OrderId int', 'LineNo int', 'Qty int'] },
+    { name: 'Totals', view: true, columns: ['OrderId int', 'Qty int'] }
+  ]
+};
+
+// INSERTs and UPDATEs return the row they were given, orders numbered from 41
+function echo(text, params) {
+  if (/INSERT INTO \[dbo\]\.\[Orders\]/.test(text)) return [{ Id: 41, Customer: params.v0_0, Status: null }];
+  if (/INSERT INTO \[dbo\]\.\[Lines\]/.test(text)) {
+    return Object.keys(params).filter(k => /_0$/.test(k)).map((k, i) => ({ OrderId: params[k], LineNo: params[`v${i}_1`], Qty: params[`v${i}_2`] }));
+  }
+  if (/^UPDATE/.test(text)) return [{ Id: Number(params.key0), Customer: 'ACME', Status: params.u0 }];
+  return [];
+}
+
+const verbs = statements => statements.map(s => s.sql.split(' ')[0]);
+
+test('$batch runs its steps in one transaction, resolving $ref', async t => {
+  const db = createFakeDb(shop);
+  db.respond = echo;
+  const api = await serveEndpoint(db, {});
+  t.after(() => api.close());
+
+  const res = await api.call('POST', '/api/$batch', {
+    body: {
+      operations: [
+        { id: 'hdr', method: 'create', table: 'Orders', body: { Customer: 'ACME' } },
+        { method: 'create', table: 'Lines', body: [{ OrderId: { $ref: 'hdr.Id' }, LineNo: 1, Qty: 5 }, { OrderId: { $ref: 'hdr.Id' }, LineNo: 2, Qty: 3 }] },
+        { method: 'update', table: 'Orders', key: { $ref: 'hdr.Id' }, body: { Status: 'Open' } }
+      ]
+    }
+  });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.results.map(r => [r.id, r.status]), [['hdr', 201], ['1', 201], ['2', 200]]);
+  assert.deepStrictEqual(res.body.results[1].body, [{ OrderId: 41, LineNo: 1, Qty: 5 }, { OrderId: 41, LineNo: 2, Qty: 3 }]);
+  assert.ok(res.body.results[0].etag);
+
+  const statements = db.take();
+  assert.deepStrictEqual(verbs(statements), ['BEGIN', 'INSERT', 'INSERT', 'UPDATE', 'COMMIT']);
+  assert.deepStrictEqual(statements[2].params, { v0_0: 41, v0_1: 1, v0_2: 5, v1_0: 41, v1_1: 2, v1_2: 3 });
+  assert.deepStrictEqual(statements[3].params, { key0: 41, u0: 'Open' });
+});
+
+test('a failing step rolls the whole batch back', async t => {
+  const db = createFakeDb(shop);
+  db.respond = (text, params) => (/^DELETE/.test(text) ? [] : echo(text, params));
+  const api = await serveEndpoint(db, {});
+  t.after(() => api.close());
+
+  const res = await api.call('POST', '/api/$batch', {
+    body: [
+      { method: 'create', table: 'Orders', body: { Customer: 'ACME' } },
+      { id: 'gone', method: 'delete', table: 'Lines', key: [41, 9] }
+    ]
+  });
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.body.step, 1);
+  assert.strictEqual(res.body.id, 'gone');
+  assert.deepStrictEqual(verbs(db.take()), ['BEGIN', 'INSERT', 'DELETE', 'ROLLBACK']);
+});
+
+test('every step is checked and authorized before anything runs', async t => {
+  const db = createFakeDb(shop);
+  const auth = createAuth({
+    apiKeys: [{ key: 'k-clerk', name: 'clerk', roles: ['clerk'] }],
+    roles: { clerk: [{ objects: ['Orders'], verbs: ['*'] }, { objects: ['Lines'], verbs: ['GET'] }] }
+  });
+  const api = await serveEndpoint(db, {}, { auth });
+  t.after(() => api.close());
+  const headers = { 'x-api-key': 'k-clerk' };
+  const batch = async (...operations) => {
+    const res = await api.call('POST', '/api/$batch', { headers, body: operations });
+    return [res.status, res.body.step, res.body.error];
+  };
+  const order = { method: 'create', table: 'Orders', body: { Customer: 'ACME' } };
+
+  assert.deepStrictEqual(await batch(order, { method: 'delete', table: 'Lines', key: '41,1' }),
+    [403, 1, "DELETE on 'Lines' is not permitted"]);
+  assert.deepStrictEqual((await batch(order, { method: 'upsert', table: 'Orders', body: {} })).slice(0, 2), [400, 1]);
+  assert.deepStrictEqual(await batch(order, { method: 'get', table: 'Totals', key: 1 }), [400, 1, "'Totals' has no primary key routes"]);
+  assert.deepStrictEqual(await batch(order, { method: 'update', table: 'Orders', body: {} }), [400, 1, "'update' requires a key"]);
+  assert.deepStrictEqual(await batch({ method: 'get', table: 'Orders', key: 1, ifMatch: '"x"' }),
+    [400, 0, "'ifMatch' only applies to update, replace and delete"]);
+  assert.deepStrictEqual(db.take(), []);
+});
+
+test('a $ref to a later or unknown step fails the batch', async t => {
+  const db = createFakeDb(shop);
+  db.respond = echo;
+  const api = await serveEndpoint(db, {});
+  t.after(() => api.close());
+  const res = await api.call('POST', '/api/$batch', {
+    body: [
+      { method: 'update', table: 'Orders', key: { $ref: 'later.Id' }, body: { Status: 'Open' } },
+      { id: 'later', method: 'create', table: 'Orders', body: { Customer: 'ACME' } }
+    ]
+  });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /unknown or later step/);
+  assert.deepStrictEqual(verbs(db.take()), ['BEGIN', 'ROLLBACK']);
+});
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const logger = require('../src/logger');
+const { createChangeFeed } = require('../src/changes');
+const { createFakeDb, serveEndpoint, parseColumn } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const fixture = () => ({ tables: [{ name: 'Orders', pk: ['Id'], columns: ['Id int identity', 'Qty int null'] }] });
+
+// The first `count` events of an SSE stream
+async function readEvents(url, count, onOpen) {
+  const controller = new AbortController();
+  const res = await fetch(url, { signal: controller.signal });
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let text = '';
+  await onOpen();
+  while (events.length < count) {
+    const { value } = await reader.read();
+    text += decoder.decode(value);
+    const blocks = text.split('\n\n');
+    text = blocks.pop();
+    for (const b of blocks) {
+      const data = /^data: (.*)$/m.exec(b);
+      if (data) events.push(JSON.parse(data[1]));
+    }
+  }
+  controller.abort();
+  return events;
+}
+
+test('a connection without changes settings has no change feed', async t => {
+  assert.strictEqual(createChangeFeed(undefined, 'api'), null);
+  assert.strictEqual(createChangeFeed(null, 'api'), null);
+  assert.throws(() => createChangeFeed({ pollInterval: -1 }, 'api'), /pollInterval/);
+
+  const db = createFakeDb(fixture());
+  const api = await serveEndpoint(db, {}, { changes: createChangeFeed(undefined, 'api') });
+  t.after(() => api.close());
+  assert.strictEqual(api.schemas.api_Orders['x-msabon-changes'], false);
+  // the path falls through to the get-by-key route
+  const res = await api.call('GET', '/api/Orders/$changes');
+  assert.strictEqual(res.status, 400);
+  assert.doesNotMatch(res.headers['content-type'], /event-stream/);
+});
+
+test('changes: true streams API writes to SSE subscribers', async t => {
+  const db = createFakeDb(fixture());
+  db.respond = text => /INSERT/.test(text) ? [{ Id: 5, Qty: 3 }] : [];
+  const changes = createChangeFeed(true, 'api');
+  const api = await serveEndpoint(db, {}, { changes });
+  t.after(() => api.close());
+  assert.strictEqual(api.schemas.api_Orders['x-msabon-changes'], true);
+
+  const [event] = await readEvents(`${api.url}/api/Orders/$changes`, 1, async () => {
+    assert.strictEqual((await api.call('POST', '/api/Orders', { body: { Qty: 3 } })).status, 201);
+  });
+  assert.strictEqual(event.table, 'Orders');
+  assert.strictEqual(event.operation, 'create');
+  assert.strictEqual(event.source, 'api');
+  assert.deepStrictEqual(event.key, { Id: 5 });
+  assert.deepStrictEqual(event.row, { Id: 5, Qty: 3 });
+});
+
+// A local webhook receiver answering each POST with `status(n)`
+async function receiver(t, status = () => 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(status(received.length)).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+const until = async check => {
+  while (!check()) await new Promise(resolve => setTimeout(resolve, 5));
+};
+
+const meta = (name, extra = {}) => ({ schema: 'dbo', table: name, name, pk: ['Id'], ...extra });
+const write = (feed, m, changes) => feed.publish(m, {}, changes);
+
+test('webhooks get signed events for the tables and operations they chose', async t => {
+  const hook = await receiver(t);
+  const feed = createChangeFeed({
+    pollInterval: 0,
+    webhooks: [{ url: hook.url, secret: 's3cret', objects: ['Ord*'], operations: ['create', 'delete'], includeRow: false }]
+  }, 'mis');
+  write(feed, meta('Orders'), [{ action: 'create', before: null, after: { Id: 1, Qty: 2 } }]);
+  write(feed, meta('Orders'), [{ action: 'update', before: { Id: 1, Qty: 2 }, after: { Id: 1, Qty: 3 } }]);
+  write(feed, meta('Notes'), [{ action: 'create', before: null, after: { Id: 9 } }]);
+  write(feed, meta('Orders'), [{ action: 'delete', before: { Id: 1, Qty: 3 }, after: null }]);
+  await until(() => hook.received.length === 2);
+
+  const [created, deleted] = hook.received;
+  const body = JSON.parse(created.body);
+  assert.deepStrictEqual({ ...body, at: undefined }, { id: 1, at: undefined, endpoint: 'mis', table: 'Orders', operation: 'create', key: { Id: 1 }, source: 'api' });
+  assert.strictEqual(created.headers['x-msabon-event'], 'change');
+  assert.strictEqual(created.headers['x-msabon-delivery'], '1');
+  assert.strictEqual(created.headers['x-msabon-signature'], `sha256=${crypto.createHmac('sha256', 's3cret').update(created.body).digest('hex')}`);
+  assert.strictEqual(JSON.parse(deleted.body).operation, 'delete');
+  assert.strictEqual(deleted.headers['x-msabon-delivery'], '4');
+});
+
+test('a failing webhook is not retried past its retries', async t => {
+  const hook = await receiver(t, n => (n === 1 ? 500 : 200));
+  const feed = createChangeFeed({ pollInterval: 0, webhooks: [{ url: hook.url, retries: 0 }] }, 'mis');
+  write(feed, meta('Orders'), [{ action: 'create', before: null, after: { Id: 1 } }]);
+  write(feed, meta('Orders'), [{ action: 'create', before: null, after: { Id: 2 } }]);
+  // the first event is dropped after one attempt; the next still goes out
+  await until(() => hook.received.length === 2);
+  assert.deepStrictEqual(hook.received.map(r => JSON.parse(r.body).key.Id), [1, 2]);
+  assert.throws(() => createChangeFeed({ webhooks: [{ url: 'ftp://x' }] }, 'mis'), /http\(s\) 'url'/);
+  assert.throws(() => createChangeFeed({ webhooks: [{ url: hook.url, operations: ['insert'] }] }, 'mis'), /unknown operation 'insert'/);
+});
+
+test('API events wait for the transaction and replay after Last-Event-ID', () => {
+  const feed = createChangeFeed({ pollInterval: 0 }, 'mis');
+  const orders = meta('Orders');
+  const seen = [];
+  const stop = feed.subscribe(orders, e => seen.push(e.id));
+  const hooks = [];
+  const newRequest = () => {};
+  newRequest.afterCommit = hook => hooks.push(hook);
+  feed.publish(orders, newRequest, [{ action: 'create', before: null, after: { Id: 1 } }]);
+  assert.deepStrictEqual(seen, []);
+  hooks.forEach(hook => hook());
+  write(feed, meta('Notes'), [{ action: 'create', before: null, after: { Id: 2 } }]);
+  write(feed, orders, [{ action: 'update', before: null, after: { Id: 1 } }]);
+  assert.deepStrictEqual(seen, [1, 3]);
+  stop();
+
+  const replayed = [];
+  feed.subscribe(orders, e => replayed.push(e.id), 1);
+  assert.deepStrictEqual(replayed, [3]);
+});
+
+test('Change Tracking is polled from the last version seen, while someone listens', async () => {
+  const db = createFakeDb();
+  let version = 10;
+  db.respond = text => {
+    if (/CHANGE_TRACKING_CURRENT_VERSION/.test(text)) return [{ current_version: version, min_valid: 1 }];
+    return [
+      { $op: 'I', $key0: 5, Id: 5, Qty: 1 },
+      { $op: 'D', $key0: 6, Id: null, Qty: null }
+    ];
+  };
+  const orders = meta('Orders', { pool: db.pool, changeTracking: true, columns: ['Id int', 'Qty int'].map(parseColumn) });
+  const feed = createChangeFeed({ pollInterval: 0 }, 'mis');
+  feed.track([orders, meta('Notes')]);
+
+  // nobody listens: nothing is queried
+  await feed.poll();
+  assert.deepStrictEqual(db.take(), []);
+
+  const seen = [];
+  feed.subscribe(orders, e => seen.push(e));
+  await feed.poll();
+  assert.strictEqual(db.take().length, 1, 'the first poll only notes the version');
+  version = 12;
+  await feed.poll();
+  const [, changes] = db.take();
+  assert.match(changes.sql, /FROM CHANGETABLE\(CHANGES \[dbo\]\.\[Orders\], @since\) AS CT LEFT JOIN \[dbo\]\.\[Orders\] AS T ON T\.\[Id\] = CT\.\[Id\]/);
+  assert.match(changes.sql, /CT\.SYS_CHANGE_CONTEXT <> 0x6D7361626F6E/);
+  assert.deepStrictEqual(changes.params, { since: 10, current: 12 });
+  assert.deepStrictEqual(seen.map(e => [e.operation, e.key, e.row, e.source]), [
+    ['create', { Id: 5 }, { Id: 5, Qty: 1 }, 'changeTracking'],
+    ['delete', { Id: 6 }, null, 'changeTracking']
+  ]);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { applyColumnPolicies, checkWritable, applyDefaults, maskValue, maskRows } = require('../src/columns');
+
+logger.configure({ logLevel: 'error' });
+
+// a fresh dbo.Customers (and dbo.Cards, embedded from it) for each test
+function customers() {
+  const cards = {
+    schema: 'dbo',
+    table: 'Cards',
+    name: 'Cards',
+    pk: ['Id'],
+    columns: [
+      { COLUMN_NAME: 'Id', DATA_TYPE: 'int', IS_NULLABLE: 'NO' },
+      { COLUMN_NAME: 'Number', DATA_TYPE: 'varchar', IS_NULLABLE: 'NO' }
+    ],
+    relations: []
+  };
+  return {
+    schema: 'dbo',
+    table: 'Customers',
+    name: 'Customers',
+    pk: ['Id'],
+    identity: 'Id',
+    rowversion: 'RowVer',
+    columns: [
+      { COLUMN_NAME: 'Id', DATA_TYPE: 'int', IS_NULLABLE: 'NO' },
+      { COLUMN_NAME: 'Name', DATA_TYPE: 'nvarchar', IS_NULLABLE: 'YES' },
+      { COLUMN_NAME: 'PasswordHash', DATA_TYPE: 'varbinary', IS_NULLABLE: 'YES' },
+      { COLUMN_NAME: 'Pin', DATA_TYPE: 'nvarchar', IS_NULLABLE: 'YES' },
+      { COLUMN_NAME: 'Status', DATA_TYPE: 'nvarchar', IS_NULLABLE: 'NO', HAS_DEFAULT: true },
+      { COLUMN_NAME: 'CardNumber', DATA_TYPE: 'varchar', IS_NULLABLE: 'YES' },
+      { COLUMN_NAME: 'RegionId', DATA_TYPE: 'int', IS_NULLABLE: 'YES' },
+      { COLUMN_NAME: 'CreatedBy', DATA_TYPE: 'nvarchar', IS_NULLABLE: 'YES' },
+      { COLUMN_NAME: 'CreatedOn', DATA_TYPE: 'date', IS_NULLABLE: 'YES' },
+      { COLUMN_NAME: 'RowVer', DATA_TYPE: 'rowversion', IS_NULLABLE: 'NO' }
+    ],
+    relations: [
+      { name: 'Regions', localColumns: ['RegionId'] },
+      { name: 'Cards', localColumns: ['Id'], target: cards }
+    ]
+  };
+}
+
+const column = (meta, name) => meta.columns.find(c => c.COLUMN_NAME === name);
+
+test('policies flag the columns of matching objects', () => {
+  const meta = customers();
+  applyColumnPolicies({
+    columnPolicies: [
+      { objects: ['dbo.Customers'], hidden: ['PasswordHash'], writeOnly: 'Pin', readOnly: ['status'], masked: { CardNumber: 4 } },
+      { objects: ['Orders'], hidden: ['Name'] }
+    ]
+  }, meta);
+  assert.strictEqual(column(meta, 'PasswordHash').hidden, true);
+  assert.strictEqual(column(meta, 'Pin').writeOnly, true);
+  assert.strictEqual(column(meta, 'Status').readOnly, true);
+  assert.strictEqual(column(meta, 'CardNumber').mask, 4);
+  assert.strictEqual(column(meta, 'Name').hidden, undefined);
+  assert.deepStrictEqual(meta.defaults, []);
+});
+
+test('key, foreign key and rowversion columns stay visible', () => {
+  const meta = customers();
+  applyColumnPolicies({ columnPolicies: [{ hidden: ['Id', 'RegionId'], writeOnly: ['RowVer'], masked: ['RegionId', 'PasswordHash', 'Nope'] }] }, meta);
+  for (const col of meta.columns) {
+    assert.ok(!col.hidden && !col.writeOnly && col.mask === undefined, col.COLUMN_NAME);
+  }
+  // read-only is fine for them
+  applyColumnPolicies({ columnPolicies: [{ readOnly: ['RegionId'] }] }, meta);
+  assert.strictEqual(column(meta, 'RegionId').readOnly, true);
+});
+
+test('bad masks and default actions are configuration errors', () => {
+  assert.throws(() => applyColumnPolicies({ columnPolicies: [{ masked: { CardNumber: -1 } }] }, customers()), /visible characters/);
+  assert.throws(() => applyColumnPolicies({ columnPolicies: [{ defaults: { CreatedBy: { value: 'x', on: ['delete'] } } }] }, customers()), /unknown action 'delete'/);
+  assert.throws(() => applyColumnPolicies({ columnPolicies: [{ defaults: { CreatedBy: '{session.user}' } }] }, customers()), /unknown context/);
+});
+
+test('checkWritable rejects hidden and read-only fields but leaves generated ones to validation', () => {
+  const meta = customers();
+  applyColumnPolicies({ columnPolicies: [{ hidden: ['PasswordHash'], readOnly: ['Status', 'Id'] }] }, meta);
+  assert.doesNotThrow(() => checkWritable(meta, [{ Name: 'Ann', Id: 1 }]));
+  assert.throws(() => checkWritable(meta, [{ PasswordHash: 'x', Status: 'A' }]), err => {
+    assert.deepStrictEqual(err.details, [
+      { field: 'PasswordHash', message: 'is not a column of this table' },
+      { field: 'Status', message: 'is read-only' }
+    ]);
+    return true;
+  });
+  assert.throws(() => checkWritable(meta, [{ Name: 'a' }, { Status: 'A' }]), err => {
+    assert.deepStrictEqual(err.details, [{ row: 1, field: 'Status', message: 'is read-only' }]);
+    return true;
+  });
+});
+
+test('applyDefaults fills omitted columns for the action', () => {
+  const meta = customers();
+  applyColumnPolicies({
+    columnPolicies: [{
+      defaults: {
+        CreatedBy: { value: '{identity.subject}', on: ['create', 'update'] },
+        CreatedOn: 'now()',
+        Name: 'Customer of {claims.site}'
+      }
+    }]
+  }, meta);
+  const req = { identity: { subject: 'ann', claims: {} }, headers: {} };
+  const body = { CreatedBy: 'bob' };
+  assert.deepStrictEqual(applyDefaults(meta, req, body, 'create'), ['CreatedOn']);
+  assert.strictEqual(body.CreatedBy, 'bob');
+  assert.match(body.CreatedOn, /^\d{4}-\d{2}-\d{2}$/);
+  // Name's template has no value for this caller, so it is left out
+  assert.strictEqual(body.Name, undefined);
+
+  const update = {};
+  assert.deepStrictEqual(applyDefaults(meta, req, update, 'update'), ['CreatedBy']);
+  assert.deepStrictEqual(update, { CreatedBy: 'ann' });
+});
+
+test('maskValue keeps the last characters', () => {
+  assert.strictEqual(maskValue({ mask: 4 }, '4111111111111111'), '************1111');
+  assert.strictEqual(maskValue({ mask: 4 }, '123'), '***');
+  assert.strictEqual(maskValue({ mask: 0 }, 12345), '*****');
+  assert.strictEqual(maskValue({ mask: 2 }, null), null);
+});
+
+test('maskRows masks copies, including embedded rows', () => {
+  const meta = customers();
+  meta.columns.find(c => c.COLUMN_NAME === 'CardNumber').mask = 4;
+  const cards = meta.relations[1].target;
+  cards.columns.find(c => c.COLUMN_NAME === 'Number').mask = 2;
+  const row = { Id: 1, CardNumber: '4111111111111111', Cards: [{ Id: 5, Number: '5500' }] };
+  const plan = { embeds: [{ key: 'Cards', relation: meta.relations[1], plan: null }] };
+
+  assert.deepStrictEqual(maskRows(meta, [row], plan), [{ Id: 1, CardNumber: '************1111', Cards: [{ Id: 5, Number: '**00' }] }]);
+  assert.strictEqual(row.CardNumber, '4111111111111111');
+  assert.strictEqual(row.Cards[0].Number, '5500');
+  // without a plan embeds are left as they are
+  assert.deepStrictEqual(maskRows(meta, row).Cards, [{ Id: 5, Number: '5500' }]);
+  assert.strictEqual(maskRows(meta, null), null);
+});
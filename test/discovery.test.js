@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { createObjectFilter, assignRouteNames, parseObjectName } = require('../src/discovery');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const kept = (config, names) => {
+  const select = createObjectFilter(config);
+  return names.filter(n => {
+    const { schema, name } = parseObjectName(n);
+    return select(schema, name);
+  });
+};
+const all = ['dbo.MILabels', 'dbo.MILabels_bak', 'dbo.MITemp', 'sales.Orders', 'sales.Order Lines', 'dbo.Ops_Log', 'dbo.Other'];
+
+test('filter, include, exclude and schemas narrow the objects', () => {
+  assert.deepStrictEqual(kept({}, all), all);
+  assert.deepStrictEqual(kept({ filter: '^mi' }, all), ['dbo.MILabels', 'dbo.MILabels_bak', 'dbo.MITemp']);
+  // globs and /regex/ entries, tried against Name and schema.Name
+  assert.deepStrictEqual(kept({ include: ['MI*', '/^Ops_/'], exclude: ['*_bak', 'dbo.MITemp'] }, all), ['dbo.MILabels', 'dbo.Ops_Log']);
+  assert.deepStrictEqual(kept({ include: 'sales.*' }, all), ['sales.Orders', 'sales.Order Lines']);
+  assert.deepStrictEqual(kept({ schemas: ['SALES'], exclude: '/lines$/i' }, all), ['sales.Orders']);
+  assert.throws(() => createObjectFilter({ include: '/(/' }), /Invalid discovery pattern/);
+});
+
+test('objects is an allow-list that can rename', () => {
+  const select = createObjectFilter({ objects: ['MILabels', 'sales.Orders', { name: '[sales].[Order Lines]', as: 'SalesOrderLines' }] });
+  assert.deepStrictEqual(select('dbo', 'milabels'), { alias: undefined });
+  assert.deepStrictEqual(select('sales', 'Orders'), { alias: undefined });
+  assert.strictEqual(select('dbo', 'Orders'), null);
+  assert.deepStrictEqual(select('sales', 'Order Lines'), { alias: 'SalesOrderLines' });
+  assert.throws(() => createObjectFilter({ objects: [{ as: 'X' }] }), /needs a name/);
+});
+
+test('a name shared by several schemas stays with dbo', () => {
+  const names = assignRouteNames([
+    { schema: 'sales', table: 'Labels' },
+    { schema: 'dbo', table: 'Labels' },
+    { schema: 'ops', table: 'Lines', alias: 'Orders' },
+    { schema: 'sales', table: 'Orders' },
+    { schema: 'dbo', table: 'LABELS' }
+  ]).map(it => `${it.schema}.${it.table}=${it.name}`);
+  // the alias takes the name from both schemas; a case-insensitive clash is skipped
+  assert.deepStrictEqual(names, ['sales.Labels=sales.Labels', 'dbo.Labels=Labels', 'ops.Lines=Orders', 'sales.Orders=sales.Orders']);
+});
+
+test('only the selected objects get routes', async t => {
+  const db = createFakeDb({ tables: [
+    { schema: 'dbo', name: 'MILabels', pk: ['Id'], columns: ['Id int'] },
+    { schema: 'sales', name: 'MILabels', pk: ['Id'], columns: ['Id int'] },
+    { schema: 'dbo', name: 'MILabels_bak', pk: ['Id'], columns: ['Id int'] },
+    { schema: 'dbo', name: 'Other', pk: ['Id'], columns: ['Id int'] }
+  ] });
+  const api = await serveEndpoint(db, { include: 'MI*', exclude: '*_bak' });
+  t.after(() => api.close());
+  assert.deepStrictEqual(Object.keys(api.schemas).sort(), ['api_MILabels', 'api_sales.MILabels']);
+
+  assert.strictEqual((await api.call('GET', '/api/sales.MILabels')).status, 200);
+  assert.deepStrictEqual(db.take().map(s => s.sql), ['SELECT [Id] FROM [sales].[MILabels] ORDER BY [Id] ASC']);
+  assert.strictEqual((await api.call('GET', '/api/MILabels_bak')).status, 404);
+  assert.strictEqual((await api.call('GET', '/api/Other')).status, 404);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  ETAG, versionColumn, rowEtag, tagRows, bodyEtag, withEtagColumns, parseIfMatch, matchesIfMatch, versionValues
+} = require('../src/etag');
+
+const customers = {
+  columns: [
+    { COLUMN_NAME: 'Id', DATA_TYPE: 'int' },
+    { COLUMN_NAME: 'Name', DATA_TYPE: 'nvarchar' },
+    { COLUMN_NAME: 'Pin', DATA_TYPE: 'nvarchar', writeOnly: true }
+  ],
+  rowversion: null
+};
+const versioned = {
+  columns: [{ COLUMN_NAME: 'Id', DATA_TYPE: 'int' }, { COLUMN_NAME: 'RowVer', DATA_TYPE: 'rowversion' }],
+  rowversion: 'RowVer'
+};
+
+test('versionColumn finds the rowversion or timestamp column', () => {
+  assert.strictEqual(versionColumn(versioned.columns), 'RowVer');
+  assert.strictEqual(versionColumn([{ COLUMN_NAME: 'Ts', DATA_TYPE: 'TIMESTAMP' }]), 'Ts');
+  assert.strictEqual(versionColumn(customers.columns), null);
+});
+
+test('a row tag hashes the readable columns in table order', () => {
+  const tag = rowEtag(customers, { Id: 1, Name: 'Ann', Pin: '1234' });
+  assert.match(tag, /^"[\w-]+"$/);
+  // key order and unreadable columns do not matter; values do
+  assert.strictEqual(rowEtag(customers, { Name: 'Ann', Id: 1 }), tag);
+  assert.strictEqual(rowEtag(customers, { Id: 1, Name: 'Ann', Pin: '9999' }), tag);
+  assert.notStrictEqual(rowEtag(customers, { Id: 1, Name: 'Bob' }), tag);
+});
+
+test('a rowversion table tags rows with the version in hex', () => {
+  const row = { Id: 1, RowVer: Buffer.from('00000000000007d1', 'hex').toString('base64') };
+  assert.strictEqual(rowEtag(versioned, row), '"00000000000007d1"');
+  assert.deepStrictEqual(versionValues(parseIfMatch('"00000000000007d1", "abc"')), ['0x00000000000007d1']);
+});
+
+test('tagRows stores the tag under a symbol kept out of JSON', () => {
+  const [row] = tagRows(customers, [{ Id: 1, Name: 'Ann' }]);
+  assert.strictEqual(row[ETAG], rowEtag(customers, row));
+  assert.strictEqual(JSON.stringify(row), '{"Id":1,"Name":"Ann"}');
+});
+
+test('bodyEtag depends only on the body', () => {
+  assert.strictEqual(bodyEtag('[1,2]'), bodyEtag('[1,2]'));
+  assert.notStrictEqual(bodyEtag('[1,2]'), bodyEtag('[1,3]'));
+});
+
+test('withEtagColumns fetches the tag columns a select leaves out', () => {
+  assert.strictEqual(withEtagColumns(customers, null), null);
+  const plan = { fetch: ['Name'], extra: [] };
+  assert.deepStrictEqual(withEtagColumns(customers, plan), { fetch: ['Name', 'Id'], extra: ['Id'] });
+  const full = { fetch: ['Id', 'Name'], extra: [] };
+  assert.strictEqual(withEtagColumns(customers, full), full);
+});
+
+test('If-Match parsing drops weak tags and honors *', () => {
+  assert.strictEqual(parseIfMatch(undefined), null);
+  assert.strictEqual(parseIfMatch(' * '), '*');
+  assert.deepStrictEqual(parseIfMatch('W/"a", "b","c"'), ['"b"', '"c"']);
+  assert.strictEqual(matchesIfMatch('*', '"x"'), true);
+  assert.strictEqual(matchesIfMatch(['"b"'], '"b"'), true);
+  assert.strictEqual(matchesIfMatch(parseIfMatch('W/"b"'), '"b"'), false);
+});
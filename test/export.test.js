@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const rows = () => [
+  { Id: 1, Name: 'Widget, large', Note: 'say "hi"', Made: new Date('2024-05-01T10:00:00Z'), Code: Buffer.from('hi') },
+  { Id: 2, Name: ' padded', Note: 'tab\there\nline', Made: null, Code: null }
+];
+
+async function labels(t) {
+  const db = createFakeDb({ tables: [{
+    name: 'Labels', pk: ['Id'], columns: ['Id int', 'Name nvarchar(50)', 'Note nvarchar(50) null', 'Made datetime2 null', 'Code varbinary(10) null']
+  }] });
+  db.respond = rows;
+  const api = await serveEndpoint(db, {});
+  t.after(() => api.close());
+  return { db, api };
+}
+
+// The body exactly as sent; text() would drop a byte-order mark
+async function download(api, path, headers = {}) {
+  const res = await fetch(api.url + path, { headers });
+  return { type: res.headers.get('content-type'), disposition: res.headers.get('content-disposition'), bytes: Buffer.from(await res.arrayBuffer()) };
+}
+
+test('csv quotes what it must and starts with a byte-order mark', async t => {
+  const { api } = await labels(t);
+  const res = await download(api, '/api/Labels?format=csv');
+  assert.match(res.type, /^text\/csv/);
+  assert.strictEqual(res.disposition, 'attachment; filename="Labels.csv"');
+  assert.deepStrictEqual([...res.bytes.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+  assert.strictEqual(res.bytes.subarray(3).toString(), 'Id,Name,Note,Made,Code\r\n' +
+    '1,"Widget, large","say ""hi""",2024-05-01T10:00:00.000Z,aGk=\r\n' +
+    '2," padded","tab\there\nline",,\r\n');
+});
+
+test('tsv escapes tabs, line breaks and backslashes', async t => {
+  const { db, api } = await labels(t);
+  db.respond = () => [{ Id: 1, Name: 'a\\b', Note: 'tab\there\r\nline', Made: null, Code: null }];
+  const res = await download(api, '/api/Labels', { accept: 'text/tab-separated-values' });
+  assert.match(res.type, /^text\/tab-separated-values/);
+  assert.strictEqual(res.bytes.toString(), '\ufeffId\tName\tNote\tMade\tCode\r\n1\ta\\\\b\ttab\\there\\r\\nline\t\t\r\n');
+});
+
+test('ndjson sends one object per line', async t => {
+  const { api } = await labels(t);
+  for (const headers of [{ accept: 'application/x-ndjson' }, { accept: 'application/ndjson' }]) {
+    const res = await api.call('GET', '/api/Labels?select=Id,Name', { headers });
+    assert.match(res.headers['content-type'], /^application\/x-ndjson/);
+    assert.strictEqual(res.headers['content-disposition'], 'attachment; filename="Labels.ndjson"');
+    const lines = res.text.split('\n');
+    assert.strictEqual(lines.pop(), '');
+    assert.deepStrictEqual(lines.map(l => JSON.parse(l).Id), [1, 2]);
+  }
+});
+
+test('format wins over Accept, and unsupported formats are refused', async t => {
+  const { db, api } = await labels(t);
+  const json = await api.call('GET', '/api/Labels?format=json', { headers: { accept: 'text/csv' } });
+  assert.match(json.headers['content-type'], /^application\/json/);
+  assert.strictEqual(json.body.length, 2);
+  assert.strictEqual(json.headers['content-disposition'], undefined);
+  db.take();
+
+  const unknown = await api.call('GET', '/api/Labels?format=xlsx');
+  assert.strictEqual(unknown.status, 400);
+  assert.match(unknown.body.error, /Unsupported format 'xlsx'/);
+  const unacceptable = await api.call('GET', '/api/Labels', { headers: { accept: 'application/xml' } });
+  assert.strictEqual(unacceptable.status, 406);
+  assert.deepStrictEqual(db.take(), []);
+});
+
+test('a query failing before any row is an error response', async t => {
+  const { db, api } = await labels(t);
+  db.respond = () => {
+    throw Object.assign(new Error('Transaction was deadlocked'), { number: 1205 });
+  };
+  const res = await api.call('GET', '/api/Labels?format=csv');
+  assert.strictEqual(res.status, 503);
+  assert.match(res.headers['content-type'], /^application\/json/);
+  assert.strictEqual(res.body.code, 'deadlock');
+});
@@ -0,0 +1,229 @@
+const { EventEmitter } = require('events');
+const express = require('express');
+const sql = require('mssql');
+
+// A stand-in for an mssql pool, so routes can be tested without SQL Server.
+// Discovery queries are answered from a fixture; every other statement is
+// recorded in `db.log` ({ sql, params }) and answered by `db.respond(sql,
+// params)`, which returns rows (or { recordsets, output, returnValue, rowsAffected })
+// or throws. Tables are { schema, name, view, columns, pk, triggers,
+// changeTracking }, columns "Name type[(n[,s])] [null] [identity] [computed] [default]".
+
+function parseColumn(text) {
+  const m = /^(\S+)\s+(\w+)(?:\((max|\d+)(?:,\s*(\d+))?\))?(.*)$/i.exec(text);
+  const [, name, type, size, scale, flags] = m;
+  const t = type.toLowerCase();
+  const n = size === undefined ? null : size.toLowerCase() === 'max' ? -1 : Number(size);
+  const textual = /char|binary/.test(t);
+  const temporal = /^(time|datetime2|datetimeoffset)$/.test(t);
+  return {
+    COLUMN_NAME: name,
+    DATA_TYPE: t,
+    IS_NULLABLE: /\bnull\b/i.test(flags) && !/\bnot null\b/i.test(flags) ? 'YES' : 'NO',
+    CHARACTER_MAXIMUM_LENGTH: textual ? n : null,
+    NUMERIC_PRECISION: !textual && !temporal ? n : null,
+    NUMERIC_SCALE: scale === undefined ? null : Number(scale),
+    DATETIME_PRECISION: temporal ? n : null,
+    HAS_DEFAULT: /\bdefault\b/i.test(flags),
+    IS_COMPUTED: /\bcomputed\b/i.test(flags),
+    IS_IDENTITY: /\bidentity\b/i.test(flags)
+  };
+}
+
+const one = rows => ({ recordset: rows, recordsets: [rows], rowsAffected: [rows.length] });
+
+function createFakeDb(fixture = {}) {
+  const tables = (fixture.tables || []).map(t => ({ schema: 'dbo', pk: [], ...t, columns: t.columns.map(parseColumn) }));
+  const find = params => tables.find(t => t.schema === params.schema.value && t.name === params.table.value);
+  const db = { log: [], respond: () => [], requests: [] };
+
+  // answers for the discovery queries, or undefined for anything else
+  function discovery(text, params) {
+    if (/FROM INFORMATION_SCHEMA.TABLES/.test(text)) {
+      return tables.map(t => ({ TABLE_SCHEMA: t.schema, TABLE_NAME: t.name, TABLE_TYPE: t.view ? 'VIEW' : 'BASE TABLE' }));
+    }
+    if (/FROM INFORMATION_SCHEMA.COLUMNS/.test(text)) return find(params).columns;
+    if (/CONSTRAINT_TYPE='PRIMARY KEY'/.test(text)) return find(params).pk.map(c => ({ COLUMN_NAME: c }));
+    if (/FROM sys.triggers/.test(text)) return [{ cnt: find(params).triggers ? 1 : 0 }];
+    if (/FROM sys.identity_columns/.test(text)) {
+      const col = find(params).columns.find(c => c.IS_IDENTITY);
+      return col ? [{ COLUMN_NAME: col.COLUMN_NAME }] : [];
+    }
+    if (/FROM sys.change_tracking_tables/.test(text)) {
+      return tables.filter(t => t.changeTracking).map(t => ({ TABLE_SCHEMA: t.schema, TABLE_NAME: t.name }));
+    }
+    if (/FROM sys.foreign_keys/.test(text)) return fixture.fks || [];
+    if (/FROM sys.objects o/.test(text)) return fixture.routines || [];
+    if (/FROM sys.parameters/.test(text)) return (fixture.params || {})[params.object.value] || [];
+    if (/FROM sys.table_types/.test(text)) return (fixture.tableTypes || {})[params.typeId.value] || [];
+    return undefined;
+  }
+
+  class FakeRequest extends EventEmitter {
+    constructor(options = {}) {
+      super();
+      this.parameters = {};
+      this.options = options;
+      db.requests.push(this);
+    }
+
+    input(name, type, value) {
+      this.parameters[name] = { name, type, value };
+      return this;
+    }
+
+    output(name, type, value) {
+      this.parameters[name] = { name, type, value, output: true };
+      return this;
+    }
+
+    cancel() {
+      this.canceled = true;
+    }
+
+    pause() {
+      this.paused = true;
+    }
+
+    resume() {
+      this.paused = false;
+      if (this.next) this.next();
+    }
+
+    async batch(text) {
+      db.log.push({ sql: text, params: {} });
+      return one([]);
+    }
+
+    async execute(procedure) {
+      return this.run(`EXEC ${procedure}`);
+    }
+
+    async run(text) {
+      const found = discovery(text, this.parameters);
+      if (found) return one(found);
+      const params = Object.fromEntries(Object.entries(this.parameters).map(([k, p]) => [k, p.value]));
+      db.log.push({ sql: text.replace(/\s+/g, ' ').trim(), params });
+      const result = await db.respond(text, params, this);
+      if (Array.isArray(result)) return one(result);
+      return result || one([]);
+    }
+
+    query(text) {
+      if (!this.stream) return this.run(text);
+      this.run(text).then(result => {
+        const rows = result.recordset || [];
+        this.emit('recordset', Object.fromEntries(Object.keys(rows[0] || {}).map(k => [k, {}])));
+        let i = 0;
+        this.next = () => {
+          while (i < rows.length) {
+            if (this.canceled) return;
+            if (this.paused) return;
+            this.emit('row', rows[i++]);
+          }
+          this.next = null;
+          this.emit('done', {});
+        };
+        setImmediate(this.next);
+      }, err => {
+        this.emit('error', err);
+        this.emit('done', {});
+      });
+      return undefined;
+    }
+  }
+
+  db.pool = {
+    connected: true,
+    request: options => new FakeRequest(options),
+    close: async () => {}
+  };
+  db.FakeRequest = FakeRequest;
+  // statements sent since the last call, without discovery
+  db.take = () => db.log.splice(0);
+  return db;
+}
+
+// Transactions on a fake pool log BEGIN, COMMIT and ROLLBACK
+sql.Transaction = class {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async begin() {
+    await this.pool.request().run('BEGIN TRANSACTION');
+  }
+
+  async commit() {
+    await this.pool.request().run('COMMIT');
+  }
+
+  async rollback() {
+    await this.pool.request().run('ROLLBACK');
+  }
+
+  request(options) {
+    return this.pool.request(options);
+  }
+};
+
+// An Express app on a free port around `mount(app)`, with the JSON body
+// parsing, request IDs and authentication server.js sets up. Returns
+// { url, call(method, path, { body, headers }), close() }; call resolves to
+// { status, headers, text, body }.
+async function serve(mount, { auth } = {}) {
+  const app = express();
+  let seq = 0;
+  app.use((req, res, next) => {
+    req.id = `req-${++seq}`;
+    next();
+  });
+  app.use(express.json());
+  if (auth) app.use(auth.authenticate);
+  await mount(app);
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    app,
+    url: base,
+    async call(method, path, { body, headers = {} } = {}) {
+      const res = await fetch(base + path, {
+        method,
+        headers: { ...(body !== undefined && { 'content-type': 'application/json' }), ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await res.text();
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch (err) {
+        json = undefined;
+      }
+      return { status: res.status, headers: Object.fromEntries(res.headers), text, body: json };
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// A server for one connection's discovered routes (generator.setupDynamicRoutes)
+async function serveEndpoint(db, endpointConfig, services = {}) {
+  const { setupDynamicRoutes } = require('../src/generator');
+  const { resolveGuardrails } = require('../src/guardrails');
+  const config = { endpoint: 'api', ...endpointConfig };
+  config.guardrails = resolveGuardrails({}, config.guardrails);
+  let schemas;
+  const server = await serve(async app => {
+    const router = express.Router();
+    schemas = await setupDynamicRoutes(router, db.pool, config, services);
+    app.use(router);
+  }, services);
+  db.take();
+  return { ...server, schemas };
+}
+
+module.exports = { createFakeDb, serve, serveEndpoint, parseColumn };
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sql = require('mssql');
+const { buildWhere, parseFilters, splitTopLevel, unquote } = require('../src/filters');
+
+const columns = [
+  { COLUMN_NAME: 'Id', DATA_TYPE: 'int', IS_NULLABLE: 'NO' },
+  { COLUMN_NAME: 'Name', DATA_TYPE: 'nvarchar', CHARACTER_MAXIMUM_LENGTH: 50, IS_NULLABLE: 'YES' },
+  { COLUMN_NAME: 'Active', DATA_TYPE: 'bit', IS_NULLABLE: 'YES' },
+  { COLUMN_NAME: 'Secret', DATA_TYPE: 'nvarchar', CHARACTER_MAXIMUM_LENGTH: 50, IS_NULLABLE: 'YES', hidden: true },
+  { COLUMN_NAME: 'Card', DATA_TYPE: 'nvarchar', CHARACTER_MAXIMUM_LENGTH: 20, IS_NULLABLE: 'YES', mask: 4 }
+];
+
+// the WHERE predicates and bound values for `query`
+function where(query, options) {
+  const request = new sql.Request();
+  const predicates = buildWhere(query, columns, request, options);
+  const values = Object.fromEntries(Object.entries(request.parameters).map(([k, p]) => [k, p.value]));
+  return { predicates, values };
+}
+
+test('splitTopLevel keeps nested groups and quoted commas together', () => {
+  assert.deepStrictEqual(splitTopLevel('a,b,(c,d),"e,f"'), ['a', 'b', '(c,d)', '"e,f"']);
+  assert.throws(() => splitTopLevel('a,(b'), { status: 400 });
+  assert.throws(() => splitTopLevel('a)'), { status: 400 });
+});
+
+test('unquote strips quotes and escapes', () => {
+  assert.strictEqual(unquote('"a\\"b"'), 'a"b');
+  assert.strictEqual(unquote('plain'), 'plain');
+});
+
+test('parseFilters skips reserved keys and treats bare values as equality', () => {
+  assert.deepStrictEqual(parseFilters({ limit: '5', order: 'Id', Name: 'Bob' }), [
+    { kind: 'cond', column: 'Name', op: 'eq', value: 'Bob', negate: false }
+  ]);
+  assert.deepStrictEqual(parseFilters({ Id: 'not.in.(1,2)' }), [
+    { kind: 'cond', column: 'Id', op: 'in', value: '(1,2)', negate: true }
+  ]);
+  assert.throws(() => parseFilters({ Id: 'not.near.5' }), { status: 400 });
+});
+
+test('comparisons bind their values as parameters', () => {
+  assert.deepStrictEqual(where({ Id: 'gte.5', Name: 'eq."a,b"' }), {
+    predicates: ['[Id] >= @w0', '[Name] = @w1'],
+    values: { w0: '5', w1: 'a,b' }
+  });
+});
+
+test('like, in and is', () => {
+  assert.deepStrictEqual(where({ Name: 'ilike.*bo*' }), {
+    predicates: ['LOWER([Name]) LIKE LOWER(@w0)'],
+    values: { w0: '%bo%' }
+  });
+  assert.deepStrictEqual(where({ Id: 'in.(1,2)' }).predicates, ['[Id] IN (@w0, @w1)']);
+  assert.deepStrictEqual(where({ Id: 'in.()' }).predicates, ['1 = 0']);
+  assert.deepStrictEqual(where({ Name: 'is.null', Active: 'not.is.true' }).predicates, ['[Name] IS NULL', 'NOT ([Active] = 1)']);
+  assert.throws(() => where({ Name: 'is.maybe' }), { status: 400 });
+});
+
+test('or/and groups nest', () => {
+  assert.deepStrictEqual(where({ or: '(Id.eq.1,and(Name.like.A*,Active.is.false))' }).predicates, [
+    '([Id] = @w0 OR ([Name] LIKE @w1 AND [Active] = 0))'
+  ]);
+  assert.deepStrictEqual(where({ or: '()' }).predicates, ['1 = 0']);
+  assert.throws(() => where({ or: 'Id.eq.1' }), { status: 400 });
+});
+
+test('bad values, unknown, hidden and masked columns are reported together', () => {
+  assert.throws(() => where({ Id: 'eq.abc', Nope: '1', Secret: 'x', Card: 'eq.1234' }), err => {
+    assert.strictEqual(err.code, 'validation_failed');
+    assert.deepStrictEqual(err.details.map(d => d.field), ['Id', 'Nope', 'Secret', 'Card']);
+    return true;
+  });
+});
+
+test('maxFilters counts the conditions inside groups', () => {
+  const query = { Id: 'gt.1', or: '(Name.eq.a,Name.eq.b)' };
+  assert.strictEqual(where(query, { maxFilters: 3 }).predicates.length, 2);
+  assert.throws(() => where(query, { maxFilters: 2 }), { code: 'too_many_filters' });
+});
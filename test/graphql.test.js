@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { createAuth } = require('../src/auth');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+async function shop(t, services) {
+  const db = createFakeDb({
+    tables: [
+      { name: 'Customers', pk: ['Id'], columns: ['Id int', 'Name nvarchar(50)'] },
+      { name: 'Orders', pk: ['Id'], columns: ['Id int identity', 'CustomerId int null', 'Qty int', 'Placed datetime2(3) null'] }
+    ],
+    fks: [{
+      FK_NAME: 'FK_Orders_Customer', PARENT_SCHEMA: 'dbo', PARENT_TABLE: 'Orders', PARENT_COLUMN: 'CustomerId',
+      REF_SCHEMA: 'dbo', REF_TABLE: 'Customers', REF_COLUMN: 'Id'
+    }]
+  });
+  const orders = [
+    { Id: 1, CustomerId: 7, Qty: 2, Placed: new Date(0) },
+    { Id: 2, CustomerId: 8, Qty: 5, Placed: null },
+    { Id: 3, CustomerId: 7, Qty: 1, Placed: null }
+  ];
+  const customers = [{ Id: 7, Name: 'Ann' }, { Id: 8, Name: 'Bob' }];
+  db.respond = (text, params) => {
+    if (!/\[Customers\]/.test(text)) return orders.map(r => ({ ...r }));
+    return customers.filter(c => Object.values(params).includes(c.Id));
+  };
+  const api = await serveEndpoint(db, {}, services);
+  t.after(() => api.close());
+  const gql = (query, { variables, headers } = {}) => api.call('POST', '/api/graphql', { body: { query, variables }, headers });
+  return { db, api, gql };
+}
+
+test('a list query binds its filters and pages, and loads a relationship once per level', async t => {
+  const { db, gql } = await shop(t);
+  const res = await gql('{ Orders(where: { Qty: "gt.0", or: "(Id.eq.1,Id.eq.2)" }, orderBy: [{ field: Qty, direction: DESC }], limit: 10, offset: 5) { Id Placed Customers { Name } } }');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.data.Orders, [
+    { Id: 1, Placed: '1970-01-01T00:00:00.000Z', Customers: { Name: 'Ann' } },
+    { Id: 2, Placed: null, Customers: { Name: 'Bob' } },
+    { Id: 3, Placed: null, Customers: { Name: 'Ann' } }
+  ]);
+  assert.deepStrictEqual(db.take(), [
+    {
+      sql: 'SELECT [Id], [CustomerId], [Qty], [Placed] FROM [dbo].[Orders] WHERE [Qty] > @w0 AND ([Id] = @w1 OR [Id] = @w2) ' +
+        'ORDER BY [Qty] DESC OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY',
+      params: { w0: '0', w1: '1', w2: '2', offset: 5, limit: 10 }
+    },
+    // three rows, two distinct customers, one query
+    { sql: 'SELECT [Id], [Name] FROM [dbo].[Customers] WHERE ([Id] IN (@k0, @k1)) ORDER BY [Id]', params: { k0: 7, k1: 8 } }
+  ]);
+});
+
+test('by-key reads and mutations run the REST statements', async t => {
+  const { db, api, gql } = await shop(t);
+  const byPk = await api.call('GET', `/api/graphql?query=${encodeURIComponent('query($id: Int!) { Orders_by_pk(Id: $id) { Id } }')}&variables=${encodeURIComponent('{"id":1}')}`);
+  assert.deepStrictEqual(byPk.body, { data: { Orders_by_pk: { Id: 1 } } });
+  assert.deepStrictEqual(db.take(), [{ sql: 'SELECT [Id], [CustomerId], [Qty], [Placed] FROM [dbo].[Orders] WHERE [Id] = @key0', params: { key0: 1 } }]);
+
+  const created = await gql('mutation { create_Orders(input: { CustomerId: 7, Qty: 3 }) { Id } }');
+  assert.deepStrictEqual(created.body, { data: { create_Orders: { Id: 1 } } });
+  assert.deepStrictEqual(db.take(), [{
+    sql: 'INSERT INTO [dbo].[Orders] ([CustomerId],[Qty]) OUTPUT inserted.[Id], inserted.[CustomerId], inserted.[Qty], inserted.[Placed] VALUES (@v0_0,@v0_1)',
+    params: { v0_0: 7, v0_1: 3 }
+  }]);
+
+  await gql('mutation { update_Orders(Id: 1, input: { Qty: 4 }) { Id } }');
+  assert.deepStrictEqual(db.take(), [{
+    sql: 'UPDATE [dbo].[Orders] SET [Qty] = @u0 OUTPUT inserted.[Id], inserted.[CustomerId], inserted.[Qty], inserted.[Placed] WHERE [Id] = @key0',
+    params: { key0: 1, u0: 4 }
+  }]);
+
+  await gql('mutation { delete_Orders(Id: 1) { Id } }');
+  assert.deepStrictEqual(db.take(), [{
+    sql: 'DELETE FROM [dbo].[Orders] OUTPUT deleted.[Id], deleted.[CustomerId], deleted.[Qty], deleted.[Placed] WHERE [Id] = @key0',
+    params: { key0: 1 }
+  }]);
+
+  // identity columns are not input fields
+  const identity = await gql('mutation { create_Orders(input: { Id: 9, Qty: 3 }) { Id } }');
+  assert.strictEqual(identity.status, 400);
+});
+
+test('invalid queries, bad filters and GET mutations are refused', async t => {
+  const { db, api, gql } = await shop(t);
+  const unknown = await gql('{ Nope }');
+  assert.strictEqual(unknown.status, 400);
+  assert.strictEqual(unknown.body.errors[0].extensions.code, 'invalid_query');
+  assert.strictEqual((await gql('{ Orders { Id')).status, 400);
+  assert.strictEqual((await api.call('POST', '/api/graphql', { body: {} })).status, 400);
+
+  const filter = await gql('{ Orders(where: { Qty: "zz.1" }) { Id } }');
+  assert.strictEqual(filter.status, 200);
+  assert.deepStrictEqual(filter.body.errors[0].extensions, {
+    code: 'validation_failed', status: 400, details: [{ field: 'Qty', message: "must be an integer (got 'zz.1')" }]
+  });
+
+  const mutation = await api.call('GET', `/api/graphql?query=${encodeURIComponent('mutation { delete_Orders(Id: 1) { Id } }')}`);
+  assert.strictEqual(mutation.status, 405);
+  assert.strictEqual(mutation.headers.allow, 'POST');
+  assert.deepStrictEqual(db.take(), []);
+});
+
+test('fields and mutations follow the caller\'s permissions', async t => {
+  const auth = createAuth({
+    apiKeys: [{ key: 'k-orders', name: 'orders', roles: ['orders'] }],
+    roles: { orders: [{ objects: ['Orders'], verbs: ['GET'] }] }
+  });
+  const { db, gql } = await shop(t, { auth });
+  const headers = { 'x-api-key': 'k-orders' };
+
+  const anonymous = await gql('{ Orders { Id } }');
+  assert.strictEqual(anonymous.body.errors[0].extensions.status, 401);
+
+  const nested = await gql('{ Orders { Id Customers { Name } } }', { headers });
+  // the rows come back with the forbidden (nullable) field left empty
+  assert.deepStrictEqual(nested.body.data.Orders[0], { Id: 1, Customers: null });
+  assert.deepStrictEqual(nested.body.errors[0].path, ['Orders', 0, 'Customers']);
+  assert.strictEqual(nested.body.errors[0].extensions.status, 403);
+  assert.strictEqual(db.take().length, 1, 'the customers are never read');
+
+  const write = await gql('mutation { delete_Orders(Id: 1) { Id } }', { headers });
+  assert.strictEqual(write.body.errors[0].extensions.status, 403);
+  assert.deepStrictEqual(db.take(), []);
+});
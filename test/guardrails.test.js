@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { resolveGuardrails, limitsFor, pageLimit, sqlRequest, createRateLimiter } = require('../src/guardrails');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+test('connection settings override the top-level defaults and are checked', () => {
+  const g = resolveGuardrails({ defaultLimit: 100, maxLimit: 5000, tables: [{ objects: 'Audit*', maxLimit: 10 }] }, { maxLimit: 500 });
+  assert.strictEqual(g.defaultLimit, 100);
+  assert.strictEqual(g.maxLimit, 500);
+  assert.throws(() => resolveGuardrails({ timeout: 0 }), /'timeout' must be a positive number/);
+  assert.throws(() => resolveGuardrails({}, { tables: [{ maxLimit: '5' }] }), /guardrails.tables/);
+  assert.throws(() => resolveGuardrails({}, { rateLimit: { burst: 5 } }), /needs a 'rate'/);
+});
+
+test('table rules apply by route name or schema.name, in order', () => {
+  const g = resolveGuardrails({ maxLimit: 50, timeout: 30 }, {
+    rateLimit: { rate: 5 },
+    tables: [{ objects: 'Audit*', maxLimit: 1000 }, { objects: 'log.AuditTrail', timeout: 120 }]
+  });
+  assert.deepStrictEqual(limitsFor(g, { schema: 'log', table: 'AuditTrail', name: 'AuditTrail' }),
+    { maxLimit: 1000, timeout: 120, rateLimit: { rate: 5 } });
+  assert.deepStrictEqual(limitsFor(g, { schema: 'dbo', table: 'Orders', name: 'Orders' }), { maxLimit: 50, timeout: 30, rateLimit: { rate: 5 } });
+  assert.deepStrictEqual(limitsFor(g), { maxLimit: 50, timeout: 30, rateLimit: { rate: 5 } });
+});
+
+test('pageLimit applies the default and caps at maxLimit', () => {
+  assert.strictEqual(pageLimit({}, undefined), -1);
+  assert.strictEqual(pageLimit({ defaultLimit: 20 }, undefined), 20);
+  assert.strictEqual(pageLimit({ maxLimit: 100 }, undefined), 100);
+  assert.strictEqual(pageLimit({ maxLimit: 100 }, -1), 100);
+  assert.strictEqual(pageLimit({ maxLimit: 100 }, 500), 100);
+  assert.strictEqual(pageLimit({ defaultLimit: 20, maxLimit: 100 }, 7), 7);
+});
+
+test('sqlRequest sets the statement timeout', () => {
+  const seen = [];
+  const pool = { request: options => seen.push(options) };
+  sqlRequest(pool, { timeout: 3 });
+  sqlRequest(pool, {});
+  assert.deepStrictEqual(seen, [{ requestTimeout: 3000 }, undefined]);
+});
+
+// run the limiter for `caller` (an IP) and return the status it answered, or 'next'
+function hit(limiter, ip) {
+  let status = 'next';
+  const res = {
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { status = code; return this; },
+    json() {}
+  };
+  limiter({ ip }, res, () => {});
+  return { status, retryAfter: res.headers['Retry-After'] };
+}
+
+test('the rate limiter answers 429 once a caller\'s bucket is empty', t => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const limiter = createRateLimiter({ rate: 1, burst: 2 });
+  assert.strictEqual(hit(limiter, 'a').status, 'next');
+  assert.strictEqual(hit(limiter, 'a').status, 'next');
+  assert.deepStrictEqual(hit(limiter, 'a'), { status: 429, retryAfter: '1' });
+  // other callers have their own bucket
+  assert.strictEqual(hit(limiter, 'b').status, 'next');
+  t.mock.timers.tick(1000);
+  assert.strictEqual(hit(limiter, 'a').status, 'next');
+  assert.strictEqual(hit(limiter, 'a').status, 429);
+  assert.strictEqual(hit(createRateLimiter(null), 'a').status, 'next');
+});
+
+test('the rate limiter forgets the least recently seen callers beyond 10000', t => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const limiter = createRateLimiter({ rate: 1, burst: 1 });
+  assert.strictEqual(hit(limiter, 'first').status, 'next');
+  assert.strictEqual(hit(limiter, 'kept').status, 'next');
+  for (let i = 0; i < 9998; i++) hit(limiter, `ip${i}`);
+  // seen again, so 'kept' moves to the back
+  assert.strictEqual(hit(limiter, 'kept').status, 429);
+  hit(limiter, 'one more');
+  // 'first' was forgotten and starts with a full bucket; 'kept' was not
+  assert.strictEqual(hit(limiter, 'first').status, 'next');
+  assert.strictEqual(hit(limiter, 'kept').status, 429);
+});
+
+test('list routes cap pages, count filters and time out statements', async t => {
+  const db = createFakeDb({ tables: [{ name: 'Orders', pk: ['Id'], columns: ['Id int', 'Qty int null'] }] });
+  const api = await serveEndpoint(db, { guardrails: { defaultLimit: 10, maxLimit: 50, maxFilters: 2, timeout: 5 } });
+  t.after(() => api.close());
+
+  await api.call('GET', '/api/Orders');
+  assert.strictEqual(db.take()[0].params.limit, 10);
+  await api.call('GET', '/api/Orders?limit=-1');
+  assert.strictEqual(db.take()[0].params.limit, 50);
+  await api.call('GET', '/api/Orders?limit=500');
+  assert.strictEqual(db.take()[0].params.limit, 50);
+  assert.ok(db.requests.every(r => !r.parameters.limit || r.options.requestTimeout === 5000));
+
+  const many = await api.call('GET', '/api/Orders?Qty=gt.1&or=(Id.eq.1,Id.eq.2)');
+  assert.strictEqual(many.status, 400);
+  assert.strictEqual(many.body.code, 'too_many_filters');
+
+  db.respond = () => {
+    const err = new Error('Timeout: Request failed to complete in 5000ms');
+    err.code = 'ETIMEOUT';
+    throw err;
+  };
+  const slow = await api.call('GET', '/api/Orders');
+  assert.strictEqual(slow.status, 504);
+  assert.strictEqual(slow.body.code, 'statement_timeout');
+});
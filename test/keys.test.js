@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { parseKey, keyFromJson, splitKey } = require('../src/keys');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const lines = { pk: ['OrderId', 'Code'] };
+
+test('composite keys are comma separated, with quotes for commas', () => {
+  assert.deepStrictEqual(splitKey('7,"A,B"'), ['7', 'A,B']);
+  assert.deepStrictEqual(splitKey('7,"say \\"hi\\""'), ['7', 'say "hi"']);
+  assert.throws(() => splitKey('7,"A'), { status: 400 });
+  assert.deepStrictEqual(parseKey('7,A', lines), ['7', 'A']);
+  assert.throws(() => parseKey('7', lines), /Expected 2 key values \(OrderId,Code\), got 1/);
+  // a single-column key takes the segment as it is
+  assert.deepStrictEqual(parseKey('A,B', { pk: ['Code'] }), ['A,B']);
+});
+
+test('JSON keys may be strings, arrays, objects or scalars', () => {
+  assert.deepStrictEqual(keyFromJson('7,A', lines), ['7', 'A']);
+  assert.deepStrictEqual(keyFromJson([7, 'A'], lines), [7, 'A']);
+  assert.deepStrictEqual(keyFromJson({ Code: 'A', OrderId: 7 }, lines), [7, 'A']);
+  assert.deepStrictEqual(keyFromJson(7, { pk: ['Id'] }), [7]);
+  assert.throws(() => keyFromJson({ OrderId: 7 }, lines), { status: 400 });
+});
+
+test('get, update and delete address every key column', async t => {
+  const db = createFakeDb({ tables: [{ name: 'Lines', pk: ['OrderId', 'Code'], columns: ['OrderId int', 'Code nvarchar(20)', 'Qty int null'] }] });
+  let rows = [{ OrderId: 7, Code: 'A,B', Qty: 1 }];
+  db.respond = () => rows.map(r => ({ ...r }));
+  const api = await serveEndpoint(db, {});
+  t.after(() => api.close());
+  const where = 'WHERE [OrderId] = @key0 AND [Code] = @key1';
+
+  const got = await api.call('GET', '/api/Lines/7,%22A,B%22');
+  assert.strictEqual(got.status, 200);
+  assert.deepStrictEqual(got.body, { OrderId: 7, Code: 'A,B', Qty: 1 });
+  assert.deepStrictEqual(db.take(), [{ sql: `SELECT [OrderId], [Code], [Qty] FROM [dbo].[Lines] ${where}`, params: { key0: '7', key1: 'A,B' } }]);
+
+  assert.strictEqual((await api.call('PATCH', '/api/Lines/7,A', { body: { Qty: 4 } })).status, 200);
+  assert.deepStrictEqual(db.take(), [{
+    sql: `UPDATE [dbo].[Lines] SET [Qty] = @u0 OUTPUT inserted.[OrderId], inserted.[Code], inserted.[Qty] ${where}`,
+    params: { key0: '7', key1: 'A', u0: 4 }
+  }]);
+
+  assert.strictEqual((await api.call('DELETE', '/api/Lines/7,A')).status, 200);
+  assert.deepStrictEqual(db.take(), [{
+    sql: `DELETE FROM [dbo].[Lines] OUTPUT deleted.[OrderId], deleted.[Code], deleted.[Qty] ${where}`,
+    params: { key0: '7', key1: 'A' }
+  }]);
+
+  rows = [];
+  assert.strictEqual((await api.call('DELETE', '/api/Lines/7,A')).status, 404);
+  db.take();
+
+  // a wrong number of parts or a badly typed part never reaches SQL
+  assert.strictEqual((await api.call('GET', '/api/Lines/7')).status, 400);
+  const typed = await api.call('GET', '/api/Lines/x,A');
+  assert.strictEqual(typed.status, 400);
+  assert.deepStrictEqual(typed.body.details, [{ field: 'OrderId', message: 'must be an integer' }]);
+  assert.strictEqual(db.take().length, 0);
+});
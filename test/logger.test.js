@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const util = require('util');
+const logger = require('../src/logger');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+// lines written to the console while `fn` runs, as [stream, text]
+async function captured(t, fn) {
+  const lines = [];
+  t.mock.method(console, 'log', (...args) => lines.push(['out', util.format(...args)]));
+  t.mock.method(console, 'error', (...args) => lines.push(['err', util.format(...args)]));
+  try {
+    await fn();
+  } finally {
+    t.mock.restoreAll();
+  }
+  return lines;
+}
+
+test.afterEach(() => logger.configure({ logLevel: 'error' }));
+
+test('lines below logLevel are dropped; warnings and errors go to stderr', async t => {
+  logger.configure({ logLevel: 'warn' });
+  const lines = await captured(t, () => {
+    logger.verbose('v');
+    logger.info('i');
+    logger.warn('w');
+    logger.error('e');
+  });
+  assert.deepStrictEqual(lines.map(([stream, text]) => [stream, text.split(' ')[0], text.split(' ').pop()]), [
+    ['err', '[WARN]', 'w'],
+    ['err', '[ERROR]', 'e']
+  ]);
+  assert.throws(() => logger.configure({ logLevel: 'debug' }), /Unknown logLevel 'debug'/);
+  assert.throws(() => logger.configure({ logFormat: 'xml' }), /Unknown logFormat 'xml'/);
+});
+
+test('json lines carry the request ID of the request being served', async t => {
+  logger.configure({ logLevel: 'info', logFormat: 'json' });
+  const lines = await captured(t, () => logger.run('req-7', async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    logger.log('info', ['GET /mis/Orders', 200], { status: 200 });
+  }));
+  const line = JSON.parse(lines[0][1]);
+  assert.deepStrictEqual({ ...line, time: undefined }, { time: undefined, level: 'info', requestId: 'req-7', msg: 'GET /mis/Orders 200', status: 200 });
+  assert.strictEqual(logger.requestId(), undefined);
+
+  logger.configure({ logLevel: 'info' });
+  const [[, text]] = await captured(t, () => logger.run('req-8', () => logger.info('hello')));
+  assert.match(text, /^\[INFO\] \S+ \[req-8\] - hello$/);
+});
+
+test('sensitive values are redacted in objects, SQL parameters and URLs', () => {
+  logger.configure({ logRedact: ['*Password*', 'SSN'] });
+  assert.deepStrictEqual(logger.redact({ Name: 'Ann', ssn: '123', nested: [{ UserPassword: 'x' }] }),
+    { Name: 'Ann', ssn: '[REDACTED]', nested: [{ UserPassword: '[REDACTED]' }] });
+  assert.deepStrictEqual(logger.sqlParams({
+    w0: { name: 'w0', value: '123-45', column: 'SSN' },
+    w1: { name: 'w1', value: 'Ann', column: 'Name' }
+  }), { w0: '[REDACTED]', w1: 'Ann' });
+  assert.strictEqual(logger.redactUrl('/mis/People?SSN=eq.123&Name=eq.Ann&select=Id'),
+    '/mis/People?SSN=[REDACTED]&Name=eq.Ann&select=Id');
+  logger.configure({});
+  assert.strictEqual(logger.redactUrl('/mis/People?SSN=eq.123'), '/mis/People?SSN=eq.123');
+});
+
+test('verbose SQL lines mask filters on redacted columns', async t => {
+  const db = createFakeDb({ tables: [{ name: 'People', pk: ['Id'], columns: ['Id int', 'SSN nvarchar(11)', 'Name nvarchar(50)'] }] });
+  const api = await serveEndpoint(db, {});
+  t.after(() => api.close());
+  logger.configure({ logLevel: 'verbose', logRedact: ['ssn'] });
+  const lines = await captured(t, () => api.call('GET', '/api/People?SSN=eq.123-45-6789&Name=eq.Ann'));
+  const sqlLine = lines.map(([, text]) => text).find(text => text.includes('Streaming SQL'));
+  assert.match(sqlLine, /\[REDACTED\]/);
+  assert.match(sqlLine, /Ann/);
+  assert.doesNotMatch(lines.map(([, text]) => text).join('\n'), /123-45-6789/);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const sql = require('mssql');
+const logger = require('../src/logger');
+const metrics = require('../src/metrics');
+const { describeError } = require('../src/errors');
+const { createAuth } = require('../src/auth');
+const { resolveGuardrails } = require('../src/guardrails');
+const { setupDynamicRoutes } = require('../src/generator');
+const { createFakeDb, serve } = require('./fakedb');
+const { setupEndpoint } = require('../src/server');
+
+logger.configure({ logLevel: 'error' });
+
+test('requests are labelled by the route that answered them', async t => {
+  const db = createFakeDb({
+    tables: [{ name: 'Orders', pk: ['Id'], columns: ['Id int'] }],
+    routines: [{ ROUTINE_SCHEMA: 'dbo', ROUTINE_NAME: 'Reprint', OBJECT_TYPE: 'P' }]
+  });
+  const labels = [];
+  const api = await serve(async app => {
+    // as server.js does once a response is finished
+    app.use((req, res, next) => {
+      res.on('finish', () => labels.push(metrics.requestLabels(req, new Set(['api']))));
+      next();
+    });
+    const router = express.Router();
+    await setupDynamicRoutes(router, db.pool, { endpoint: 'api', guardrails: resolveGuardrails({}, {}) });
+    app.use(router);
+  });
+  t.after(() => api.close());
+
+  await api.call('GET', '/api/Orders/7');
+  await api.call('POST', '/api/rpc/Reprint', { body: {} });
+  await api.call('POST', '/api/$batch', { body: [] });
+  await api.call('GET', '/nowhere');
+  assert.deepStrictEqual(labels, [
+    { endpoint: 'api', table: 'Orders', verb: 'GET' },
+    { endpoint: 'api', table: 'Reprint', verb: 'POST' },
+    { endpoint: 'api', table: '$batch', verb: 'POST' },
+    { endpoint: '', table: '', verb: 'GET' }
+  ]);
+});
+
+test('the exposition has counters, a latency histogram and gauges', () => {
+  metrics.observeRequest({ endpoint: 'mis', table: 'Orders', verb: 'GET' }, 200, 0.03);
+  metrics.observeRequest({ endpoint: 'mis', table: 'Orders', verb: 'GET' }, 200, 2);
+  metrics.observeRequest({ endpoint: 'mis', table: 'Orders', verb: 'GET' }, 'aborted', 0.004);
+  describeError(Object.assign(new Error('deadlock'), { number: 1205 }));
+  const text = metrics.render([{ name: 'msabon_endpoint_up', help: 'Up', samples: [{ labels: { endpoint: 'say "hi"' }, value: 1 }] }]);
+  const lines = text.split('\n');
+
+  assert.ok(text.endsWith('\n'));
+  assert.ok(lines.includes('# TYPE msabon_http_requests_total counter'));
+  assert.ok(lines.includes('msabon_http_requests_total{endpoint="mis",table="Orders",verb="GET",status="200"} 2'));
+  assert.ok(lines.includes('msabon_http_requests_total{endpoint="mis",table="Orders",verb="GET",status="aborted"} 1'));
+  // buckets are cumulative
+  const bucket = le => lines.find(l => l.startsWith(`msabon_http_request_duration_seconds_bucket{endpoint="mis",table="Orders",verb="GET",le="${le}"}`));
+  assert.match(bucket('0.005'), / 1$/);
+  assert.match(bucket('0.05'), / 2$/);
+  assert.match(bucket('2.5'), / 3$/);
+  assert.match(bucket('+Inf'), / 3$/);
+  assert.ok(lines.includes('msabon_http_request_duration_seconds_count{endpoint="mis",table="Orders",verb="GET"} 3'));
+  assert.ok(lines.includes('msabon_sql_errors_total{number="1205"} 1'));
+  assert.ok(lines.includes('# TYPE msabon_endpoint_up gauge'));
+  assert.ok(lines.includes('msabon_endpoint_up{endpoint="say \\"hi\\""} 1'));
+});
+
+test('an endpoint\'s status reports its connection attempts', async t => {
+  const db = createFakeDb({ tables: [{ name: 'Orders', pk: ['Id'], columns: ['Id int'] }] });
+  let failures = 1;
+  const OriginalPool = sql.ConnectionPool;
+  sql.ConnectionPool = class {
+    async connect() {
+      if (failures-- > 0) throw new Error('getaddrinfo ENOTFOUND sql01');
+      return db.pool;
+    }
+  };
+  // the 30 second retry runs when the test says so
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  t.after(() => {
+    sql.ConnectionPool = OriginalPool;
+  });
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  const c = { endpoint: 'mis', guardrails: resolveGuardrails({}, {}) };
+  const status = setupEndpoint(express(), c, { auth: createAuth(undefined) }, () => ({}));
+  assert.strictEqual(status.state, 'connecting');
+  await settle();
+  assert.strictEqual(status.attempts, 1);
+  assert.strictEqual(status.lastError, 'getaddrinfo ENOTFOUND sql01');
+  assert.ok(status.lastErrorAt);
+  assert.strictEqual(status.pool, null);
+
+  t.mock.timers.tick(30000);
+  while (status.state !== 'connected') await settle();
+  assert.strictEqual(status.attempts, 2);
+  assert.strictEqual(status.objects, 1);
+  assert.ok(status.connectedAt);
+  assert.strictEqual(status.pool, db.pool);
+  // the pool stays out of the readiness body
+  assert.deepStrictEqual(Object.keys(JSON.parse(JSON.stringify(status))),
+    ['endpoint', 'state', 'attempts', 'objects', 'connectedAt', 'lastError', 'lastErrorAt']);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sql = require('mssql');
+const logger = require('../src/logger');
+const { parseRange, countMode, pageSize, contentRange, parseOrder, encodeCursor, seekCursor } = require('../src/paging');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const range = (value, unit) => parseRange({ headers: { range: value, ...(unit && { 'range-unit': unit }) } });
+
+test('parseRange reads item ranges', () => {
+  assert.strictEqual(parseRange({ headers: {} }), null);
+  assert.deepStrictEqual(range('0-24'), { offset: 0, limit: 25 });
+  assert.deepStrictEqual(range('items=10-10'), { offset: 10, limit: 1 });
+  assert.deepStrictEqual(range(' 5- '), { offset: 5, limit: -1 });
+  assert.deepStrictEqual(range('0-9', 'Items'), { offset: 0, limit: 10 });
+});
+
+test('parseRange ignores other units and rejects malformed ranges', () => {
+  assert.strictEqual(range('bytes=0-99'), null);
+  assert.strictEqual(range('0-99', 'bytes'), null);
+  assert.throws(() => range('-5'), { status: 416 });
+  assert.throws(() => range('items=0-4,10-14'), { status: 416 });
+  assert.throws(() => range('10-5'), { status: 416 });
+});
+
+test('countMode accepts exact, estimated and planned', () => {
+  assert.strictEqual(countMode({}), null);
+  assert.strictEqual(countMode({ count: 'planned' }), 'planned');
+  assert.throws(() => countMode({ count: 'all' }), { status: 400 });
+});
+
+test('pageSize and contentRange describe the page sent', () => {
+  assert.strictEqual(pageSize(0, 25, null), null);
+  assert.strictEqual(pageSize(90, 25, 100), 10);
+  assert.strictEqual(pageSize(10, -1, 100), 90);
+  assert.strictEqual(pageSize(200, 25, 100), 0);
+  assert.strictEqual(contentRange(0, 25, 1234), '0-24/1234');
+  assert.strictEqual(contentRange(50, 3, null), '50-52/*');
+  assert.strictEqual(contentRange(0, 0, 0), '*/0');
+});
+
+const orders = {
+  columns: [
+    { COLUMN_NAME: 'Id', DATA_TYPE: 'int', IS_NULLABLE: 'NO' },
+    { COLUMN_NAME: 'Placed', DATA_TYPE: 'datetime2', IS_NULLABLE: 'YES' }
+  ]
+};
+const keyset = [{ column: 'Placed', dir: 'DESC' }, { column: 'Id', dir: 'ASC' }];
+
+// the predicate and bound values seekCursor makes for `cursor`
+function seek(cursor, order = keyset) {
+  const request = new sql.Request();
+  const predicate = seekCursor(cursor, order, orders, request);
+  return { predicate, values: Object.fromEntries(Object.entries(request.parameters).map(([k, p]) => [k, p.value])) };
+}
+
+test('seekCursor selects the rows after the cursor in keyset order', () => {
+  const cursor = encodeCursor(keyset, { Id: 7, Placed: new Date('2024-05-01T10:00:00Z') });
+  assert.deepStrictEqual(seek(cursor), {
+    predicate: '((([Placed] < @c0 OR [Placed] IS NULL)) OR ([Placed] = @c0 AND [Id] > @c1))',
+    values: { c0: '2024-05-01T10:00:00.000', c1: 7 }
+  });
+});
+
+test('seekCursor places NULLs first', () => {
+  const asc = [{ column: 'Placed', dir: 'ASC' }, { column: 'Id', dir: 'ASC' }];
+  assert.deepStrictEqual(seek(encodeCursor(asc, { Id: 3, Placed: null }), asc).predicate,
+    '(([Placed] IS NOT NULL) OR ([Placed] IS NULL AND [Id] > @c1))');
+  assert.deepStrictEqual(seek(encodeCursor(keyset, { Id: 3, Placed: null })).predicate,
+    '((1 = 0) OR ([Placed] IS NULL AND [Id] > @c1))');
+});
+
+test('seekCursor rejects tampered cursors and cursors of another order', () => {
+  const b64 = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  assert.throws(() => seek('not a cursor'), { status: 400, message: 'Invalid cursor' });
+  assert.throws(() => seek(b64({ k: ['placed.desc', 'id.asc'], v: [null] })), { status: 400, message: 'Invalid cursor' });
+  assert.throws(() => seek(b64({ k: ['Placed.desc', 'Id.asc'], v: [null, 'seven'] })), { status: 400, message: 'Invalid cursor' });
+  assert.throws(() => seek(encodeCursor([{ column: 'Id', dir: 'ASC' }], { Id: 1 })), { status: 400, message: /different order/ });
+});
+
+test('parseOrder takes several columns and rejects unknown columns and directions', () => {
+  assert.deepStrictEqual(parseOrder('Name.desc, Id', ['Id', 'Name']), [{ column: 'Name', dir: 'DESC' }, { column: 'Id', dir: 'ASC' }]);
+  assert.throws(() => parseOrder('Name.sideways', ['Name']), { status: 400, message: /Invalid direction for 'Name'/ });
+  assert.throws(() => parseOrder('Name.asc.x', ['Name']), { status: 400 });
+  assert.throws(() => parseOrder('Secret', ['Name']), { status: 400, message: /Cannot order by 'Secret'; use one of: Name/ });
+});
+
+test('list routes order by the requested columns, then the key, and refuse bad orders', async t => {
+  const db = createFakeDb({
+    tables: [{ name: 'Orders', pk: ['Id'], columns: ['Id int', 'Placed datetime2 null', 'Card varchar(20) null', 'Pin varchar(8) null'] }]
+  });
+  const api = await serveEndpoint(db, { columnPolicies: [{ masked: ['Card'], hidden: ['Pin'] }] });
+  t.after(() => api.close());
+
+  await api.call('GET', '/api/Orders?order=Placed.desc');
+  assert.match(db.take()[0].sql, /ORDER BY \[Placed\] DESC, \[Id\] ASC$/);
+  await api.call('GET', '/api/Orders');
+  assert.match(db.take()[0].sql, /ORDER BY \[Id\] ASC$/);
+
+  for (const order of ['Placed.sideways', 'Nope', 'Card.asc', 'Pin']) {
+    const res = await api.call('GET', `/api/Orders?order=${order}`);
+    assert.strictEqual(res.status, 400, order);
+  }
+  assert.strictEqual(db.take().length, 0);
+});
+
+test('a full page links to the next one by cursor, which seeks past its last row', async t => {
+  const db = createFakeDb({ tables: [{ name: 'Orders', pk: ['Id'], columns: ['Id int', 'Placed datetime2 null'] }] });
+  const api = await serveEndpoint(db, {});
+  t.after(() => api.close());
+  db.respond = () => [{ Id: 1, Placed: new Date('2024-01-02T00:00:00Z') }, { Id: 2, Placed: new Date('2024-01-01T00:00:00Z') }];
+
+  const first = await api.call('GET', '/api/Orders?order=Placed.desc&limit=2');
+  const next = /^<([^>]+)>; rel="next"$/.exec(first.headers.link)[1];
+  assert.match(next, /^\/api\/Orders\?order=Placed.desc&limit=2&cursor=/);
+  db.take();
+  await api.call('GET', next);
+  const [stmt] = db.take();
+  assert.match(stmt.sql, /WHERE \(\(\(\[Placed\] < @c0 OR \[Placed\] IS NULL\)\) OR \(\[Placed\] = @c0 AND \[Id\] > @c1\)\) ORDER BY/);
+  assert.strictEqual(stmt.params.c1, 2);
+
+  // the cursor only fits the order it was made for
+  const other = await api.call('GET', next.replace('Placed.desc', 'Placed.asc'));
+  assert.strictEqual(other.status, 400);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { compileQueries } = require('../src/queries');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const openOrders = {
+  name: 'OpenOrders',
+  sql: 'SELECT Id, Total FROM dbo.Orders WHERE Region = @region AND Qty >= @minQty;',
+  params: { region: { type: 'nvarchar(20)', required: true }, minQty: { type: 'int', default: 1 } },
+  result: { Id: 'int', Total: 'decimal(18,2)' },
+  order: 'Id DESC'
+};
+const close = { name: 'Close', sql: 'UPDATE dbo.Orders SET Status = 1 WHERE Id = @id', readOnly: false, params: { id: 'int' } };
+
+async function serveQueries(t, entries) {
+  const db = createFakeDb();
+  db.respond = () => [{ Id: 1, Total: 2.5 }];
+  const api = await serveEndpoint(db, { queries: compileQueries(entries, 'api') });
+  t.after(() => api.close());
+  return { db, api };
+}
+
+test('a read-only query binds typed parameters and pages in its own order', async t => {
+  const { db, api } = await serveQueries(t, [openOrders]);
+  const res = await api.call('GET', '/api/query/OpenOrders?region=N&limit=5&offset=2');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, [{ Id: 1, Total: 2.5 }]);
+  assert.strictEqual(res.headers['content-range'], '2-2/*');
+  // the trailing semicolon is dropped; the default fills minQty
+  assert.deepStrictEqual(db.take(), [{
+    sql: 'SELECT Id, Total FROM dbo.Orders WHERE Region = @region AND Qty >= @minQty ORDER BY Id DESC OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY',
+    params: { region: 'N', minQty: 1, offset: 2, limit: 5 }
+  }]);
+
+  await api.call('GET', '/api/query/OpenOrders?region=N&minQty=3&order=Total.desc,Id');
+  assert.deepStrictEqual(db.take(), [{
+    sql: 'SELECT Id, Total FROM dbo.Orders WHERE Region = @region AND Qty >= @minQty ORDER BY [Total] DESC, [Id] ASC',
+    params: { region: 'N', minQty: '3' }
+  }]);
+
+  const schema = api.schemas.api_query_OpenOrders;
+  assert.deepStrictEqual(Object.keys(schema.properties), ['Id', 'Total']);
+  assert.deepStrictEqual(schema['x-msabon-params'].map(p => [p.name, p.required, p.schema.default]), [['region', true, undefined], ['minQty', false, 1]]);
+});
+
+test('bad arguments and orders are 400s before any SQL runs', async t => {
+  const { db, api } = await serveQueries(t, [openOrders]);
+  const missing = await api.call('GET', '/api/query/OpenOrders');
+  assert.strictEqual(missing.status, 400);
+  assert.deepStrictEqual(missing.body.details, [{ field: 'region', message: 'is required' }]);
+
+  const typed = await api.call('GET', '/api/query/OpenOrders?region=N&minQty=x');
+  assert.strictEqual(typed.status, 400);
+  assert.strictEqual(typed.body.details[0].field, 'minQty');
+
+  const unknown = await api.call('GET', '/api/query/OpenOrders?region=N&foo=1');
+  assert.strictEqual(unknown.status, 400);
+  assert.strictEqual(unknown.body.error, 'Unknown parameter(s): foo');
+
+  const order = await api.call('GET', '/api/query/OpenOrders?region=N&order=Nope');
+  assert.strictEqual(order.status, 400);
+  assert.strictEqual(order.body.error, "Cannot order by 'Nope'; use one of: Id, Total");
+  assert.deepStrictEqual(db.take(), []);
+});
+
+test('a writing query is served as POST with its parameters in the body', async t => {
+  const { db, api } = await serveQueries(t, [close]);
+  const res = await api.call('POST', '/api/query/Close', { body: { id: 4 } });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, { resultSets: [[{ Id: 1, Total: 2.5 }]], rowsAffected: [1] });
+  assert.deepStrictEqual(db.take(), [{ sql: 'UPDATE dbo.Orders SET Status = 1 WHERE Id = @id', params: { id: 4 } }]);
+  assert.strictEqual((await api.call('GET', '/api/query/Close')).status, 404);
+  assert.strictEqual((await api.call('POST', '/api/query/Close', { body: [4] })).status, 400);
+});
+
+test('compileQueries refuses unsafe or malformed settings', () => {
+  const compile = entry => () => compileQueries([entry], 'api');
+  assert.throws(compile({ name: 'X', sql: 'DELETE FROM dbo.Orders' }), /must be a SELECT statement/);
+  assert.throws(compile({ name: 'X', sql: 'SELECT 1; SELECT 2' }), /single statement/);
+  assert.throws(compile({ name: 'X', sql: 'SELECT * INTO #t FROM dbo.Orders' }), /must not contain INTO/);
+  assert.throws(compile({ name: 'X', sql: 'SELECT Id FROM dbo.Orders ORDER BY Id' }), /must not end with ORDER BY/);
+  assert.throws(compile({ name: 'X', sql: 'SELECT 1', params: { limit: 'int' } }), /used for paging/);
+  assert.throws(compile({ name: 'X', sql: 'SELECT 1', params: { a: 'blob' } }), /unknown SQL type 'blob'/);
+  assert.throws(compile({ name: 'X', sql: 'SELECT 1', params: { a: { type: 'int', default: 'x' } } }), /default of 'a'/);
+  assert.throws(compile({ name: 'bad name', sql: 'SELECT 1' }), /needs a 'name'/);
+  assert.throws(() => compileQueries([openOrders, openOrders], 'api'), /defined twice/);
+  // keywords inside strings, comments and [names] do not count
+  assert.doesNotThrow(compile({ name: 'X', sql: "SELECT [Update], 'DELETE; ORDER BY' AS t -- INSERT\nFROM (SELECT TOP 5 * FROM dbo.T ORDER BY Id) x" }));
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sql = require('mssql');
+const logger = require('../src/logger');
+const { createAuth } = require('../src/auth');
+const { resolveGuardrails } = require('../src/guardrails');
+const { createFakeDb, serve } = require('./fakedb');
+const { diffSchemas, setupEndpoint } = require('../src/server');
+
+logger.configure({ logLevel: 'error' });
+
+test('diffSchemas names added, removed and changed objects', () => {
+  const before = { mis_A: { x: 1 }, mis_B: { x: 1 }, mis_C: { x: 1 } };
+  const after = { mis_B: { x: 2 }, mis_C: { x: 1 }, mis_D: { x: 1 } };
+  assert.deepStrictEqual(diffSchemas('mis', before, after), { added: ['D'], removed: ['A'], changed: ['B'] });
+});
+
+test('$refresh swaps in routes for the schema as it is now', async t => {
+  // every connection reaches whichever fake database is current
+  let current = createFakeDb({ tables: [
+    { name: 'Labels', pk: ['Id'], columns: ['Id int', 'Name nvarchar(50)'] },
+    { name: 'Old', pk: ['Id'], columns: ['Id int'] }
+  ] });
+  const OriginalPool = sql.ConnectionPool;
+  sql.ConnectionPool = class {
+    async connect() {
+      return { connected: true, request: options => current.pool.request(options), close: async () => {} };
+    }
+  };
+  t.after(() => {
+    sql.ConnectionPool = OriginalPool;
+  });
+
+  // the endpoint's published OpenAPI schemas, as server.js keeps them
+  let published = {};
+  const publish = (endpoint, schemas) => {
+    const diff = diffSchemas(endpoint, published, schemas);
+    published = schemas;
+    return diff;
+  };
+  let status;
+  const c = { endpoint: 'mis', guardrails: resolveGuardrails({}, {}) };
+  const api = await serve(app => {
+    status = setupEndpoint(app, c, { auth: createAuth(undefined) }, publish);
+  });
+  t.after(() => api.close());
+  while (status.state !== 'connected') await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(status.objects, 2);
+  assert.strictEqual((await api.call('GET', '/mis/Old')).status, 200);
+
+  current = createFakeDb({ tables: [
+    { name: 'Labels', pk: ['Id'], columns: ['Id int', 'Name nvarchar(50)', 'Note nvarchar(50) null'] },
+    { name: 'New', pk: ['Id'], columns: ['Id int'] }
+  ] });
+  const res = await api.call('POST', '/mis/$refresh');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, { endpoint: 'mis', added: ['New'], removed: ['Old'], changed: ['Labels'] });
+  assert.deepStrictEqual(Object.keys(published).sort(), ['mis_Labels', 'mis_New']);
+  assert.strictEqual(status.objects, 2);
+
+  current.take();
+  assert.strictEqual((await api.call('GET', '/mis/Old')).status, 404);
+  assert.strictEqual((await api.call('GET', '/mis/New')).status, 200);
+  await api.call('GET', '/mis/Labels');
+  assert.deepStrictEqual(current.take().map(s => s.sql), [
+    'SELECT [Id] FROM [dbo].[New] ORDER BY [Id] ASC',
+    'SELECT [Id], [Name], [Note] FROM [dbo].[Labels] ORDER BY [Id] ASC'
+  ]);
+});
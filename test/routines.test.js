@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const param = (name, type, extra = {}) => ({
+  NAME: `@${name}`, DATA_TYPE: type, TYPE_SCHEMA: 'sys', MAX_LENGTH: type === 'nvarchar' ? 100 : 4, PRECISION: type === 'int' ? 10 : 0,
+  SCALE: 0, IS_OUTPUT: false, IS_TABLE_TYPE: false, TYPE_ID: 0, ...extra
+});
+
+const fixture = {
+  routines: [
+    { ROUTINE_SCHEMA: 'dbo', ROUTINE_NAME: 'Reprint', OBJECT_TYPE: 'P' },
+    { ROUTINE_SCHEMA: 'dbo', ROUTINE_NAME: 'OrdersOf', OBJECT_TYPE: 'IF' },
+    { ROUTINE_SCHEMA: 'dbo', ROUTINE_NAME: 'Paged', OBJECT_TYPE: 'TF' }
+  ],
+  params: {
+    '[dbo].[Reprint]': [
+      param('LabelId', 'int'),
+      param('Printers', 'PrinterList', { TYPE_SCHEMA: 'dbo', IS_TABLE_TYPE: true, TYPE_ID: 300 }),
+      param('Total', 'int', { IS_OUTPUT: true })
+    ],
+    '[dbo].[OrdersOf]': [param('CustId', 'int'), param('Status', 'nvarchar')],
+    '[dbo].[Paged]': [param('limit', 'int')]
+  },
+  tableTypes: { 300: [{ NAME: 'Name', DATA_TYPE: 'nvarchar', MAX_LENGTH: 40, PRECISION: 0, SCALE: 0, IS_NULLABLE: false }] }
+};
+
+async function rpc(t, guardrails) {
+  const db = createFakeDb(fixture);
+  const api = await serveEndpoint(db, { guardrails });
+  t.after(() => api.close());
+  return { db, api };
+}
+
+test('a procedure returns its result sets, output parameters and return value', async t => {
+  const { db, api } = await rpc(t);
+  db.respond = () => ({ recordsets: [[{ Printed: 1 }], [{ A: 1 }, { A: 2 }]], output: { Total: 1 }, returnValue: 0 });
+  const res = await api.call('POST', '/api/rpc/Reprint', { body: { LabelId: 42, Printers: [{ Name: 'ZB-01' }] } });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, { resultSets: [[{ Printed: 1 }], [{ A: 1 }, { A: 2 }]], output: { Total: 1 }, returnValue: 0 });
+
+  const [stmt] = db.take();
+  assert.strictEqual(stmt.sql, 'EXEC [dbo].[Reprint]');
+  assert.strictEqual(stmt.params.LabelId, 42);
+  assert.strictEqual(stmt.params.Total, null);
+  // the table-valued parameter is a typed table of the given rows
+  assert.deepStrictEqual([stmt.params.Printers.schema, stmt.params.Printers.name], ['dbo', 'PrinterList']);
+  assert.deepStrictEqual(stmt.params.Printers.rows, [['ZB-01']]);
+
+  // omitted procedure arguments are not sent, so their defaults apply
+  await api.call('POST', '/api/rpc/Reprint', { body: {} });
+  assert.deepStrictEqual(Object.keys(db.take()[0].params), ['Total']);
+});
+
+test('a function is called with positional arguments, DEFAULT when omitted', async t => {
+  const { db, api } = await rpc(t);
+  db.respond = () => [{ Id: 1 }, { Id: 2 }];
+  const res = await api.call('GET', '/api/rpc/OrdersOf?CustId=4');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, [{ Id: 1 }, { Id: 2 }]);
+  assert.strictEqual(res.headers['content-range'], '0-1/*');
+  // without a page size the rows come back unpaged
+  assert.deepStrictEqual(db.take(), [{ sql: 'SELECT * FROM [dbo].[OrdersOf](@CustId, DEFAULT)', params: { CustId: '4' } }]);
+
+  const posted = await api.call('POST', '/api/rpc/OrdersOf?limit=10&offset=20', { body: { CustId: 4, Status: 'open' } });
+  assert.strictEqual(posted.headers['content-range'], '20-21/*');
+  assert.deepStrictEqual(db.take(), [{
+    sql: 'SELECT * FROM [dbo].[OrdersOf](@CustId, @Status) ORDER BY (SELECT NULL) OFFSET @pageOffset ROWS FETCH NEXT @pageLimit ROWS ONLY',
+    params: { CustId: 4, Status: 'open', pageOffset: 20, pageLimit: 10 }
+  }]);
+});
+
+test('RPC pages are capped by the guardrails and may use a Range header', async t => {
+  const { db, api } = await rpc(t, { defaultLimit: 50, maxLimit: 100 });
+  db.respond = () => ({ recordsets: [[1, 2, 3, 4, 5].map(n => ({ n }))], output: {}, returnValue: 0 });
+  const proc = await api.call('POST', '/api/rpc/Reprint', { headers: { range: '1-2' }, body: {} });
+  assert.deepStrictEqual(proc.body.resultSets, [[{ n: 2 }, { n: 3 }]]);
+
+  db.take();
+  db.respond = () => [];
+  await api.call('GET', '/api/rpc/OrdersOf?limit=5000');
+  assert.strictEqual(db.take()[0].params.pageLimit, 100);
+  await api.call('GET', '/api/rpc/OrdersOf');
+  assert.strictEqual(db.take()[0].params.pageLimit, 50);
+
+  // a parameter named limit keeps the name as its argument
+  await api.call('GET', '/api/rpc/Paged?limit=7');
+  assert.deepStrictEqual(db.take()[0].params, { limit: '7', pageOffset: 0, pageLimit: 50 });
+});
+
+test('unknown or badly typed arguments and GET on a procedure are refused', async t => {
+  const { db, api } = await rpc(t);
+  const unknown = await api.call('POST', '/api/rpc/OrdersOf', { body: { Customer: 4 } });
+  assert.strictEqual(unknown.status, 400);
+  assert.match(unknown.body.error, /Unknown parameter\(s\): Customer/);
+  const typed = await api.call('POST', '/api/rpc/OrdersOf', { body: { CustId: 'four' } });
+  assert.strictEqual(typed.status, 400);
+  assert.deepStrictEqual(typed.body.details, [{ field: 'CustId', message: 'must be an integer' }]);
+  assert.strictEqual((await api.call('POST', '/api/rpc/Reprint', { body: { Printers: { Name: 'x' } } })).status, 400);
+  assert.strictEqual((await api.call('GET', '/api/rpc/Reprint')).status, 404);
+  assert.deepStrictEqual(db.take(), []);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { createAuth } = require('../src/auth');
+const { rulesFor, rowPredicates, enforceRowValues, rowVisible, expandTemplate } = require('../src/rowsecurity');
+const { createFakeDb, serveEndpoint, parseColumn } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const orders = () => ({
+  schema: 'dbo',
+  table: 'Orders',
+  name: 'Orders',
+  columns: ['Id int identity', 'Site nvarchar(10)', 'OwnerId nvarchar(50)', 'Qty int null'].map(parseColumn)
+});
+const ann = { identity: { subject: 'ann', claims: { sites: ['S1', 'S2'], site: 'S1' } }, headers: { 'x-terminal': 'T9' } };
+
+// bound values of a fresh request after `fn(request)`
+function bound(fn) {
+  const request = { parameters: {}, input(name, type, value) { this.parameters[name] = { value }; } };
+  const out = fn(request);
+  return { out, values: Object.fromEntries(Object.entries(request.parameters).map(([k, p]) => [k, p.value])) };
+}
+
+test('templates read claims, headers and the identity', () => {
+  assert.deepStrictEqual(expandTemplate('{claims.sites}', ann), ['S1', 'S2']);
+  assert.strictEqual(expandTemplate('{claims.site}-{header.x-terminal}', ann), 'S1-T9');
+  assert.strictEqual(expandTemplate('{identity.subject}', ann), 'ann');
+  assert.strictEqual(expandTemplate('{claims.region}-x', ann), undefined);
+});
+
+test('rules of matching objects become predicates on every read', () => {
+  const meta = orders();
+  meta.rowSecurity = rulesFor({
+    rowSecurity: [
+      { objects: 'Ord*', column: 'site', value: '{claims.sites}' },
+      { objects: ['dbo.Orders'], column: 'OwnerId', value: '{identity.subject}' },
+      { objects: ['Customers'], column: 'Id', value: '1' }
+    ]
+  }, meta);
+  assert.deepStrictEqual(bound(r => rowPredicates(meta, ann, r, 't')), {
+    out: ['t.[Site] IN (@rls0_0, @rls0_1)', 't.[OwnerId] = @rls1_0'],
+    values: { rls0_0: 'S1', rls0_1: 'S2', rls1_0: 'ann' }
+  });
+  // a caller without the claim is refused rather than shown everything
+  assert.throws(() => rowPredicates(meta, { identity: { subject: 'bob', claims: {} }, headers: {} }, bound(() => {}).out), { status: 403 });
+  assert.throws(() => rulesFor({ rowSecurity: [{ column: 'Site', value: '{session.site}' }] }, orders()), /unknown context/);
+});
+
+test('writes are forced to the caller\'s values', () => {
+  const meta = orders();
+  meta.rowSecurity = rulesFor({ rowSecurity: [{ column: 'OwnerId', value: '{identity.subject}' }, { column: 'Site', value: '{claims.sites}' }] }, meta);
+  assert.throws(() => enforceRowValues(meta, ann, { Qty: 1 }), { status: 400 });
+  assert.deepStrictEqual(enforceRowValues(meta, ann, { Qty: 1, Site: 'S2' }), { Qty: 1, Site: 'S2', OwnerId: 'ann' });
+  assert.throws(() => enforceRowValues(meta, ann, { Site: 'S3' }), { status: 403 });
+  assert.throws(() => enforceRowValues(meta, ann, { Site: 'S1', OwnerId: 'bob' }), { status: 403 });
+  assert.deepStrictEqual(enforceRowValues(meta, ann, { Qty: 2 }, { update: true }), { Qty: 2 });
+  assert.strictEqual(rowVisible(meta, ann, { OwnerId: 'ann', Site: 'S2' }), true);
+  assert.strictEqual(rowVisible(meta, ann, { OwnerId: 'bob', Site: 'S2' }), false);
+});
+
+test('a rule whose column the object lacks matches no rows', () => {
+  const meta = orders();
+  meta.rowSecurity = rulesFor({ rowSecurity: [{ column: 'TenantId', value: '{identity.subject}' }] }, meta);
+  assert.deepStrictEqual(bound(r => rowPredicates(meta, ann, r)).out, ['1 = 0']);
+  assert.throws(() => enforceRowValues(meta, ann, { Qty: 1 }), { status: 403 });
+  assert.throws(() => enforceRowValues(meta, ann, { Qty: 1 }, { update: true }), { status: 403 });
+  assert.strictEqual(rowVisible(meta, ann, { Id: 1 }), false);
+});
+
+test('list, get and insert routes apply the rules', async t => {
+  const db = createFakeDb({ tables: [
+    { name: 'Orders', pk: ['Id'], columns: ['Id int identity', 'OwnerId nvarchar(50)', 'Qty int null'] },
+    { name: 'Sites', pk: ['Code'], columns: ['Code nvarchar(10)', 'Name nvarchar(50) null'] }
+  ] });
+  const auth = createAuth({ apiKeys: [{ key: 'k-ann', name: 'ann', roles: ['all'] }], roles: { all: [{ verbs: ['*'] }] } });
+  const api = await serveEndpoint(db, { rowSecurity: [{ column: 'OwnerId', value: '{identity.subject}' }] }, { auth });
+  t.after(() => api.close());
+  const headers = { 'x-api-key': 'k-ann' };
+
+  await api.call('GET', '/api/Orders?Qty=gt.1', { headers });
+  let [stmt] = db.take();
+  assert.match(stmt.sql, /WHERE \[Qty\] > @w0 AND \[OwnerId\] = @rls0_0 ORDER BY/);
+  assert.strictEqual(stmt.params.rls0_0, 'ann');
+
+  await api.call('GET', '/api/Orders/5', { headers });
+  [stmt] = db.take();
+  assert.match(stmt.sql, /WHERE \[Id\] = @key0 AND \[OwnerId\] = @rls0_0$/);
+
+  db.respond = () => [{ Id: 1, OwnerId: 'ann', Qty: 3 }];
+  const created = await api.call('POST', '/api/Orders', { headers, body: { Qty: 3 } });
+  assert.strictEqual(created.status, 201);
+  [stmt] = db.take().filter(s => /INSERT/.test(s.sql));
+  assert.ok(Object.values(stmt.params).includes('ann'));
+
+  const refused = await api.call('POST', '/api/Orders', { headers, body: { Qty: 3, OwnerId: 'bob' } });
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual((await api.call('GET', '/api/Orders')).status, 401);
+
+  // Sites has no OwnerId: its routes serve nothing instead of everything
+  db.take();
+  await api.call('GET', '/api/Sites', { headers });
+  [stmt] = db.take();
+  assert.match(stmt.sql, /WHERE 1 = 0 ORDER BY/);
+  assert.strictEqual((await api.call('POST', '/api/Sites', { headers, body: { Code: 'S1' } })).status, 403);
+  assert.strictEqual(db.take().length, 0);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { parseSelect, attachRelations } = require('../src/select');
+const { createFakeDb, serveEndpoint } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const meta = (schema, table) => ({ schema, table, name: table });
+const fk = (schema, name, parent, column, ref, refColumn) => ({
+  FK_NAME: name, PARENT_SCHEMA: schema, PARENT_TABLE: parent, PARENT_COLUMN: column,
+  REF_SCHEMA: schema, REF_TABLE: ref, REF_COLUMN: refColumn
+});
+
+test('foreign keys with the same name in two schemas stay apart', () => {
+  const metas = [meta('sales', 'Orders'), meta('sales', 'Lines'), meta('archive', 'Orders'), meta('archive', 'Lines')];
+  // rows arrive interleaved when only the constraint name orders them
+  attachRelations(metas, [
+    fk('archive', 'FK_Lines_Orders', 'Lines', 'OrderId', 'Orders', 'Id'),
+    fk('sales', 'FK_Lines_Orders', 'Lines', 'OrderId', 'Orders', 'Id'),
+    fk('archive', 'FK_Lines_Orders', 'Lines', 'Region', 'Orders', 'Region')
+  ]);
+  const [salesOrders, salesLines, archiveOrders, archiveLines] = metas;
+
+  assert.strictEqual(salesLines.relations.length, 1);
+  assert.strictEqual(salesLines.relations[0].target, salesOrders);
+  assert.deepStrictEqual(salesLines.relations[0].localColumns, ['OrderId']);
+  assert.strictEqual(salesOrders.relations[0].target, salesLines);
+  assert.strictEqual(salesOrders.relations[0].kind, 'many');
+
+  assert.strictEqual(archiveLines.relations.length, 1);
+  assert.strictEqual(archiveLines.relations[0].target, archiveOrders);
+  assert.deepStrictEqual(archiveLines.relations[0].localColumns, ['OrderId', 'Region']);
+  assert.deepStrictEqual(archiveLines.relations[0].remoteColumns, ['Id', 'Region']);
+  assert.strictEqual(archiveLines.relations[0].fk, 'FK_Lines_Orders');
+});
+
+test('parseSelect reads columns, embeds and hints', () => {
+  assert.deepStrictEqual(parseSelect('Id, Name,Customers!FK_Orders_Customer(Name,Regions(*))'), [
+    { column: 'Id' },
+    { column: 'Name' },
+    { embed: 'Customers', hint: 'FK_Orders_Customer', children: [{ column: 'Name' }, { embed: 'Regions', hint: undefined, children: [{ column: '*' }] }] }
+  ]);
+  assert.throws(() => parseSelect('Id)'), { status: 400 });
+});
+
+const fkRow = (name, column) => ({
+  FK_NAME: name, PARENT_SCHEMA: 'dbo', PARENT_TABLE: 'Orders', PARENT_COLUMN: column,
+  REF_SCHEMA: 'dbo', REF_TABLE: 'Customers', REF_COLUMN: 'Id'
+});
+
+async function shop(t) {
+  const db = createFakeDb({
+    tables: [
+      { name: 'Customers', pk: ['Id'], columns: ['Id int', 'Name nvarchar(50)', 'Region nvarchar(10) null'] },
+      { name: 'Orders', pk: ['Id'], columns: ['Id int', 'CustomerId int null', 'BillToId int null', 'Qty int'] }
+    ],
+    fks: [fkRow('FK_Orders_Customer', 'CustomerId'), fkRow('FK_Orders_BillTo', 'BillToId')]
+  });
+  const orders = [{ Id: 1, CustomerId: 7, BillToId: 8, Qty: 2 }, { Id: 2, CustomerId: 7, BillToId: null, Qty: 5 }];
+  const customers = [{ Id: 7, Name: 'Ann', Region: 'N' }, { Id: 8, Name: 'Bob', Region: 'S' }];
+  // rows matching the key or embed condition, with only the selected columns
+  db.respond = (text, params) => {
+    const columns = /^SELECT (.*?) FROM/.exec(text)[1].split(', ').map(c => c.slice(1, -1));
+    let rows = /\[Orders\]/.test(text) ? orders : customers;
+    const related = /\(\[(\w+)\] IN \(([^)]*)\)\)/.exec(text);
+    if (related) rows = rows.filter(r => related[2].split(', ').some(p => params[p.slice(1)] === r[related[1]]));
+    if (params.key0 !== undefined) rows = rows.filter(r => r.Id === Number(params.key0));
+    return rows.map(r => Object.fromEntries(columns.map(c => [c, r[c]])));
+  };
+  const api = await serveEndpoint(db, {});
+  t.after(() => api.close());
+  return { db, api };
+}
+
+test('select= limits the columns read and returned', async t => {
+  const { db, api } = await shop(t);
+  const res = await api.call('GET', '/api/Orders?select=Id,Qty');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, [{ Id: 1, Qty: 2 }, { Id: 2, Qty: 5 }]);
+  assert.deepStrictEqual(db.take(), [{ sql: 'SELECT [Id], [Qty] FROM [dbo].[Orders] ORDER BY [Id] ASC', params: {} }]);
+
+  assert.strictEqual((await api.call('GET', '/api/Orders?select=Id,Nope')).status, 400);
+  assert.strictEqual(db.take().length, 0);
+});
+
+test('a many-to-one embed is loaded in one batched query', async t => {
+  const { db, api } = await shop(t);
+  const res = await api.call('GET', '/api/Orders?select=Id,Customers!FK_Orders_Customer(Name)');
+  assert.strictEqual(res.status, 200);
+  // the join column is fetched but not returned
+  assert.deepStrictEqual(res.body, [{ Id: 1, Customers: { Name: 'Ann' } }, { Id: 2, Customers: { Name: 'Ann' } }]);
+  assert.deepStrictEqual(db.take(), [
+    { sql: 'SELECT [Id], [CustomerId] FROM [dbo].[Orders] ORDER BY [Id] ASC', params: {} },
+    { sql: 'SELECT [Name], [Id] FROM [dbo].[Customers] WHERE ([Id] IN (@k0)) ORDER BY [Id]', params: { k0: 7 } }
+  ]);
+});
+
+test('a one-to-many embed on a single row, picked by column hint', async t => {
+  const { db, api } = await shop(t);
+  const res = await api.call('GET', '/api/Customers/8?select=Name,Orders!BillToId(Id,Qty)');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, { Name: 'Bob', Orders: [{ Id: 1, Qty: 2 }] });
+  const [, embed] = db.take();
+  assert.strictEqual(embed.sql, 'SELECT [Id], [Qty], [BillToId] FROM [dbo].[Orders] WHERE ([BillToId] IN (@k0)) ORDER BY [Id]');
+  assert.deepStrictEqual(embed.params, { k0: 8 });
+});
+
+test('an ambiguous or unknown relationship is a 400', async t => {
+  const { db, api } = await shop(t);
+  const ambiguous = await api.call('GET', '/api/Orders?select=Id,Customers(Name)');
+  assert.strictEqual(ambiguous.status, 400);
+  assert.match(ambiguous.body.error, /Customers!FK_Orders_Customer, Customers!FK_Orders_BillTo/);
+  assert.strictEqual((await api.call('GET', '/api/Orders?select=Id,Regions(Name)')).status, 400);
+  assert.strictEqual(db.take().length, 0);
+});
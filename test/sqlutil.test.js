@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sql = require('mssql');
+const { mapSqlTypeToMssqlType, toSqlValue, bindInput, selectExpr, columnList, toOpenApiType } = require('../src/sqlutil');
+const { parseColumn } = require('./fakedb');
+
+const col = text => parseColumn(`C ${text}`);
+
+// "Decimal(10,2)" for a parameterized type, the type name otherwise
+function typeText(type) {
+  if (typeof type === 'function') return type.name;
+  const args = [type.length, type.precision, type.scale].filter(v => v !== undefined);
+  return `${type.type.name}(${args.join(',')})`;
+}
+
+test('parameters take the column\'s exact type', () => {
+  const expected = {
+    'int': 'Int',
+    'bigint': 'BigInt',
+    'decimal(10,2)': 'Decimal(10,2)',
+    'decimal(20,4)': 'VarChar(50)',
+    'money': 'VarChar(50)',
+    'smallmoney': 'SmallMoney',
+    'datetime2(3)': 'DateTime2(3)',
+    'datetimeoffset(7)': 'DateTimeOffset(7)',
+    'time(4)': 'Time(4)',
+    'nvarchar(40)': 'NVarChar(40)',
+    'nvarchar(max)': `NVarChar(${sql.MAX})`,
+    'varbinary(16)': 'VarBinary(16)',
+    'rowversion': 'Binary(8)',
+    'geography': `NVarChar(${sql.MAX})`
+  };
+  for (const [type, text] of Object.entries(expected)) {
+    assert.strictEqual(typeText(mapSqlTypeToMssqlType(col(type))), text, type);
+  }
+});
+
+test('JSON values are converted for the driver', () => {
+  assert.deepStrictEqual(toSqlValue(col('varbinary(4)'), '0x0A1B'), Buffer.from([0x0a, 0x1b]));
+  assert.deepStrictEqual(toSqlValue(col('varbinary(4)'), 'aGk='), Buffer.from('hi'));
+  assert.strictEqual(toSqlValue(col('bit'), 'true'), true);
+  assert.strictEqual(toSqlValue(col('bit'), '0'), false);
+  assert.strictEqual(toSqlValue(col('decimal(20,4)'), 12345678901234567.5), '12345678901234568');
+  assert.strictEqual(toSqlValue(col('decimal(20,4)'), '12345678901234567.1234'), '12345678901234567.1234');
+  assert.strictEqual(toSqlValue(col('int'), null), null);
+});
+
+test('fine temporal strings are bound as text at full precision', () => {
+  const request = { parameters: {}, input(name, type, value) { this.parameters[name] = { type, value }; } };
+  assert.strictEqual(bindInput(request, 'a', parseColumn('At datetime2(7)'), '2024-05-01T13:45:00.1234567Z'), '@a');
+  bindInput(request, 'b', parseColumn('Off datetimeoffset(7)'), '2024-05-01T13:45:00.1234567+02:00');
+  bindInput(request, 'c', parseColumn('Qty int'), 5);
+  assert.deepStrictEqual(Object.values(request.parameters).map(p => [typeText(p.type), p.value, p.column]), [
+    ['NVarChar(64)', '2024-05-01T13:45:00.1234567', 'At'],
+    ['NVarChar(64)', '2024-05-01T13:45:00.1234567+02:00', 'Off'],
+    ['Int', 5, 'Qty']
+  ]);
+});
+
+test('selected values are converted to their JSON form in SQL', () => {
+  assert.strictEqual(selectExpr(parseColumn('Qty int')), '[Qty]');
+  assert.strictEqual(selectExpr(parseColumn('Price decimal(20,4)'), 't'), 'CONVERT(varchar(50), t.[Price]) AS [Price]');
+  assert.strictEqual(selectExpr(parseColumn('Day date')), 'CONVERT(char(10), [Day], 23) AS [Day]');
+  assert.strictEqual(selectExpr(parseColumn('At datetime2(7)')), "CONVERT(varchar(27), [At], 126) + 'Z' AS [At]");
+  assert.strictEqual(selectExpr(parseColumn('At datetime2(3)')), '[At]');
+  assert.strictEqual(selectExpr(parseColumn('Off datetimeoffset(7)')), 'CONVERT(varchar(34), [Off], 127) AS [Off]');
+  assert.strictEqual(selectExpr(parseColumn('Spot geography')), '[Spot].STAsText() AS [Spot]');
+  assert.strictEqual(selectExpr(parseColumn('Node hierarchyid')), '[Node].ToString() AS [Node]');
+  const pin = { ...parseColumn('Pin nvarchar(4)'), writeOnly: true };
+  assert.strictEqual(columnList([parseColumn('Id int'), pin]), '[Id]');
+});
+
+test('OpenAPI schemas match the JSON values', () => {
+  assert.deepStrictEqual(toOpenApiType(col('bigint')), { type: 'string', format: 'int64', pattern: '^-?\\d+$' });
+  assert.deepStrictEqual(toOpenApiType(col('tinyint null')), { type: 'integer', format: 'int32', minimum: 0, maximum: 255, nullable: true });
+  assert.deepStrictEqual(toOpenApiType(col('decimal(10,2)')), { type: 'number', format: 'decimal', description: 'decimal(10,2)' });
+  assert.deepStrictEqual(toOpenApiType(col('numeric(38,6)')),
+    { type: 'string', format: 'decimal', pattern: '^-?\\d+(\\.\\d+)?$', description: 'numeric(38,6)' });
+  assert.deepStrictEqual(toOpenApiType(col('rowversion')), { type: 'string', format: 'byte', readOnly: true });
+  assert.deepStrictEqual(toOpenApiType(col('nvarchar(40)')), { type: 'string', maxLength: 40 });
+  assert.deepStrictEqual(toOpenApiType(col('uniqueidentifier')), { type: 'string', format: 'uuid' });
+  assert.deepStrictEqual(toOpenApiType({ ...col('int'), mask: 2 }),
+    { type: 'string', description: 'Masked: only the last 2 character(s) are shown' });
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { valueProblem, validateRows } = require('../src/validate');
+const { describeError } = require('../src/errors');
+const { createFakeDb, serveEndpoint, parseColumn } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const col = text => parseColumn(`C ${text}`);
+
+test('values are checked against the column type', () => {
+  const cases = [
+    ['tinyint', 300, 'must be between 0 and 255'],
+    ['int', '4.5', 'must be an integer'],
+    ['bigint', '9223372036854775808', 'must fit in a 64-bit integer'],
+    ['bigint', '9007199254740993', null],
+    ['bit', 'yes', 'must be true or false'],
+    ['decimal(5,2)', 1234.5, 'must have at most 3 digit(s) before the decimal point'],
+    ['decimal(5,2)', '-123.456', null],
+    ['float', 'abc', 'must be a number'],
+    ['date', '2024-02-30x', 'must be a date (YYYY-MM-DD)'],
+    ['time', '13:45:00.1234567', null],
+    ['datetime2(7)', '2024-05-01T13:45:00.1234567Z', null],
+    ['datetime2', 1714571100000, 'must be an ISO 8601 date-time'],
+    ['uniqueidentifier', 'not-a-uuid', 'must be a UUID'],
+    ['varbinary(2)', '0x0A1B2C', 'must be at most 2 byte(s)'],
+    ['varbinary(2)', 'zz', 'must be base64 or 0x-prefixed hex'],
+    ['nvarchar(3)', 'abcd', 'must be at most 3 character(s)'],
+    ['int', null, 'must not be null'],
+    ['int null', null, null],
+    ['nvarchar(10)', { a: 1 }, 'must be a single value, not an object or array']
+  ];
+  for (const [type, value, problem] of cases) assert.strictEqual(valueProblem(col(type), value), problem, `${type} ${value}`);
+});
+
+test('bodies report every problem at once, with the row of bulk bodies', () => {
+  const meta = {
+    identity: 'Id',
+    pk: ['Id'],
+    columns: ['Id int identity', 'Name nvarchar(5)', 'Qty int', 'Total int computed', 'Ver rowversion', 'Note nvarchar(10) null', 'At datetime2 default']
+      .map(parseColumn)
+  };
+  assert.throws(() => validateRows(meta, [{ Id: 1, Name: 'toolong', Total: 3, Ver: 'AA==', Nope: 1 }], 'insert'), {
+    status: 400,
+    code: 'validation_failed',
+    message: 'Invalid value(s) for: Id, Name, Total, Ver, Nope, Qty',
+    details: [
+      { field: 'Id', message: 'is an identity column; its value is generated' },
+      { field: 'Name', message: 'must be at most 5 character(s)' },
+      { field: 'Total', message: 'is a computed column and cannot be written' },
+      { field: 'Ver', message: 'is a rowversion column and cannot be written' },
+      { field: 'Nope', message: 'is not a column of this table' },
+      { field: 'Qty', message: 'is required' }
+    ]
+  });
+  assert.throws(() => validateRows(meta, [{ Name: 'a', Qty: 1 }, { Name: 'b', Qty: 'x' }], 'insert'),
+    { details: [{ row: 1, field: 'Qty', message: 'must be an integer' }] });
+  // identity values match rows on upsert; PATCH ignores keys and needs nothing
+  assert.doesNotThrow(() => validateRows(meta, [{ Id: 1, Name: 'a', Qty: 1 }], 'upsert'));
+  assert.doesNotThrow(() => validateRows(meta, [{ Id: 1, Note: null }], 'update'));
+  assert.throws(() => validateRows(meta, [{ Name: 'a' }], 'replace'),
+    { details: ['Qty', 'At'].map(field => ({ field, message: 'is required; PUT replaces the whole row' })) });
+});
+
+const sqlError = (number, message) => Object.assign(new Error(message), { number });
+
+test('SQL Server errors map to a status and code without their text', () => {
+  const cases = [
+    [sqlError(2627, "Violation of PRIMARY KEY constraint 'PK_Labels'. Cannot insert duplicate key (7)."),
+      409, 'duplicate_key', 'A row with the same key already exists (PK_Labels)'],
+    [sqlError(547, 'The INSERT statement conflicted with the FOREIGN KEY constraint "FK_Lines_Orders".'),
+      409, 'foreign_key_violation', 'A referenced row does not exist (FK_Lines_Orders)'],
+    [sqlError(547, 'The DELETE statement conflicted with the REFERENCE constraint "FK_Lines_Orders".'),
+      409, 'foreign_key_violation', 'The row is still referenced by other rows (FK_Lines_Orders)'],
+    [sqlError(547, 'The UPDATE statement conflicted with the CHECK constraint "CK_Qty".'),
+      422, 'check_violation', 'A value fails a check constraint (CK_Qty)'],
+    [sqlError(515, "Cannot insert the value NULL into column 'Name'"), 400, 'not_null_violation', 'A required column was NULL'],
+    [sqlError(8115, 'Arithmetic overflow'), 400, 'invalid_value', 'A numeric value is out of range for its column'],
+    [{ originalError: { info: { number: 1222, message: 'Lock request time out' } } }, 503, 'lock_timeout', 'Timed out waiting for a lock; retry it']
+  ];
+  for (const [err, status, code, message] of cases) {
+    const e = describeError(err);
+    assert.deepStrictEqual([e.status, e.code, e.message], [status, code, message]);
+  }
+  const truncated = describeError(sqlError(2628, "String or binary data would be truncated in table 'dbo.Labels', column 'Name'."));
+  assert.deepStrictEqual(truncated.details, [{ field: 'Name', message: 'value is too long' }]);
+  assert.deepStrictEqual(describeError(sqlError(1205, 'deadlock')).headers, { 'Retry-After': '1' });
+  assert.deepStrictEqual(describeError(new Error('secret detail')), { status: 500, code: 'internal_error', message: 'Internal server error' });
+});
+
+test('routes validate before SQL and answer SQL errors with the envelope', async t => {
+  const db = createFakeDb({ tables: [{ name: 'Labels', pk: ['Id'], columns: ['Id int', 'Name nvarchar(5)', 'Qty int null'] }] });
+  const api = await serveEndpoint(db, {});
+  t.after(() => api.close());
+
+  const invalid = await api.call('POST', '/api/Labels', { body: { Id: 1, Name: 'toolong', Qty: 'x' } });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body, {
+    error: 'Invalid value(s) for: Name, Qty',
+    code: 'validation_failed',
+    details: [{ field: 'Name', message: 'must be at most 5 character(s)' }, { field: 'Qty', message: 'must be an integer' }]
+  });
+  const filter = await api.call('GET', '/api/Labels?Qty=gt.many');
+  assert.strictEqual(filter.status, 400);
+  assert.strictEqual(filter.body.code, 'validation_failed');
+  assert.deepStrictEqual(db.take(), []);
+
+  db.respond = () => {
+    throw sqlError(2627, "Violation of PRIMARY KEY constraint 'PK_Labels'. The duplicate key value is (1).");
+  };
+  const duplicate = await api.call('POST', '/api/Labels', { body: { Id: 1, Name: 'a' } });
+  assert.strictEqual(duplicate.status, 409);
+  assert.deepStrictEqual(duplicate.body, { error: 'A row with the same key already exists (PK_Labels)', code: 'duplicate_key' });
+  assert.doesNotMatch(duplicate.text, /duplicate key value/);
+});
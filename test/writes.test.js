@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const { chunkRows, mergeStatement } = require('../src/statements');
+const { createFakeDb, serveEndpoint, parseColumn } = require('./fakedb');
+
+logger.configure({ logLevel: 'error' });
+
+const fixture = () => ({ tables: [
+  { name: 'Labels', pk: ['Id'], columns: ['Id int', 'Name nvarchar(50)', 'Note nvarchar(50) null'] },
+  { name: 'Logs', pk: ['Id'], triggers: true, columns: ['Id int identity', 'Msg nvarchar(50)'] }
+] });
+const returning = (text, params) => Object.keys(params).length ? [{ Id: 1, Name: 'W', Note: null }] : [];
+
+async function labels(t) {
+  const db = createFakeDb(fixture());
+  db.respond = returning;
+  const api = await serveEndpoint(db, {});
+  t.after(() => api.close());
+  return { db, api };
+}
+
+test('rows are chunked within the parameter and VALUES limits', () => {
+  const meta = { columns: ['Id int', 'Name nvarchar(50)', 'Note nvarchar(50) null'].map(parseColumn) };
+  const rows = n => Array.from({ length: n }, (_, i) => ({ Id: i, Name: 'x' }));
+  // two written columns: 1000 rows per VALUES list
+  assert.deepStrictEqual(chunkRows(meta, rows(2500)).map(c => c.length), [1000, 1000, 500]);
+  // three written columns: 2000 / 3 parameters per statement
+  const wide = rows(700).map(r => ({ ...r, Note: 'n' }));
+  assert.deepStrictEqual(chunkRows(meta, wide).map(c => c.length), [666, 34]);
+  assert.deepStrictEqual(chunkRows(meta, [{}, {}]).map(c => c.length), [1, 1]);
+});
+
+test('an identity key is matched on but never inserted by a merge', () => {
+  const meta = { schema: 'dbo', table: 'Logs', pk: ['Id'], identity: 'Id', columns: ['Id int identity', 'Msg nvarchar(50)'].map(parseColumn) };
+  const request = { parameters: {}, input(name, type, value) { this.parameters[name] = value; } };
+  const text = mergeStatement(meta, [{ Id: 4, Msg: 'a' }], request).replace(/\s+/g, ' ').trim();
+  assert.match(text, /ON t\.\[Id\] = s\.\[Id\] WHEN MATCHED THEN UPDATE SET t\.\[Msg\] = s\.\[Msg\] WHEN NOT MATCHED THEN INSERT \(\[Msg\]\) VALUES \(s\.\[Msg\]\)/);
+  assert.deepStrictEqual(request.parameters, { v0_0: 4, v0_1: 'a' });
+});
+
+test('an array is inserted in one statement, omitted columns as DEFAULT', async t => {
+  const { db, api } = await labels(t);
+  const res = await api.call('POST', '/api/Labels', { body: [{ Id: 1, Name: 'W' }, { Id: 2, Name: 'G', Note: 'x' }] });
+  assert.strictEqual(res.status, 201);
+  assert.ok(Array.isArray(res.body));
+  assert.deepStrictEqual(db.take(), [{
+    sql: 'INSERT INTO [dbo].[Labels] ([Id],[Name],[Note]) OUTPUT inserted.[Id], inserted.[Name], inserted.[Note] VALUES (@v0_0,@v0_1,DEFAULT), (@v1_0,@v1_1,@v1_2)',
+    params: { v0_0: 1, v0_1: 'W', v1_0: 2, v1_1: 'G', v1_2: 'x' }
+  }]);
+  assert.strictEqual((await api.call('POST', '/api/Labels', { body: [] })).status, 400);
+});
+
+test('an insert of several statements runs in one transaction', async t => {
+  const { db, api } = await labels(t);
+  const rows = Array.from({ length: 1500 }, (_, i) => ({ Id: i, Name: 'x' }));
+  assert.strictEqual((await api.call('POST', '/api/Labels', { body: rows })).status, 201);
+  assert.deepStrictEqual(db.take().map(s => s.sql.split(' ')[0]), ['BEGIN', 'INSERT', 'INSERT', 'COMMIT']);
+
+  // a failing chunk rolls the earlier ones back
+  let n = 0;
+  db.respond = (text, params) => {
+    if (/INSERT/.test(text) && ++n === 2) throw Object.assign(new Error('Violation of PRIMARY KEY constraint'), { number: 2627 });
+    return returning(text, params);
+  };
+  const failed = await api.call('POST', '/api/Labels', { body: rows });
+  assert.strictEqual(failed.status, 409);
+  assert.deepStrictEqual(db.take().map(s => s.sql.split(' ')[0]), ['BEGIN', 'INSERT', 'INSERT', 'ROLLBACK']);
+});
+
+test('Prefer resolution upserts with MERGE on the primary key', async t => {
+  const { db, api } = await labels(t);
+  const body = [{ Id: 1, Name: 'W' }, { Id: 2, Name: 'G' }];
+  const merged = await api.call('POST', '/api/Labels', { body, headers: { prefer: 'resolution=merge-duplicates' } });
+  assert.strictEqual(merged.status, 201);
+  assert.deepStrictEqual(db.take(), [{
+    sql: 'MERGE [dbo].[Labels] WITH (HOLDLOCK) AS t USING (VALUES (@v0_0,@v0_1), (@v1_0,@v1_1)) AS s ([Id],[Name]) ON t.[Id] = s.[Id] ' +
+      'WHEN MATCHED THEN UPDATE SET t.[Name] = s.[Name] WHEN NOT MATCHED THEN INSERT ([Id],[Name]) VALUES (s.[Id],s.[Name]) ' +
+      'OUTPUT inserted.[Id], inserted.[Name], inserted.[Note];',
+    params: { v0_0: 1, v0_1: 'W', v1_0: 2, v1_1: 'G' }
+  }]);
+
+  await api.call('POST', '/api/Labels', { body, headers: { prefer: 'resolution=ignore-duplicates' } });
+  const [ignored] = db.take();
+  assert.doesNotMatch(ignored.sql, /WHEN MATCHED/);
+  assert.match(ignored.sql, /WHEN NOT MATCHED THEN INSERT/);
+
+  const uneven = await api.call('POST', '/api/Labels', { body: [{ Id: 1, Name: 'W' }, { Id: 2, Name: 'G', Note: 'n' }], headers: { prefer: 'resolution=merge-duplicates' } });
+  assert.strictEqual(uneven.status, 400);
+  assert.match(uneven.body.error, /same keys/);
+  const keyless = await api.call('POST', '/api/Labels', { body: [{ Name: 'W' }], headers: { prefer: 'resolution=merge-duplicates' } });
+  assert.strictEqual(keyless.status, 400);
+  assert.strictEqual(db.take().length, 0);
+});
+
+test('PUT replaces the row and PATCH changes only the given columns', async t => {
+  const { db, api } = await labels(t);
+  assert.strictEqual((await api.call('PUT', '/api/Labels/1', { body: { Name: 'W' } })).status, 200);
+  assert.deepStrictEqual(db.take(), [{
+    sql: 'UPDATE [dbo].[Labels] SET [Name] = @u0, [Note] = @u1 OUTPUT inserted.[Id], inserted.[Name], inserted.[Note] WHERE [Id] = @key0',
+    params: { key0: '1', u0: 'W', u1: null }
+  }]);
+
+  const partial = await api.call('PUT', '/api/Labels/1', { body: { Note: 'W' } });
+  assert.strictEqual(partial.status, 400);
+  assert.deepStrictEqual(partial.body.details, [{ field: 'Name', message: 'is required; PUT replaces the whole row' }]);
+  assert.strictEqual(db.take().length, 0);
+
+  assert.strictEqual((await api.call('PATCH', '/api/Labels/1', { body: { Note: 'W' } })).status, 200);
+  assert.deepStrictEqual(db.take(), [{
+    sql: 'UPDATE [dbo].[Labels] SET [Note] = @u0 OUTPUT inserted.[Id], inserted.[Name], inserted.[Note] WHERE [Id] = @key0',
+    params: { key0: '1', u0: 'W' }
+  }]);
+});
+
+test('a table with triggers reselects the inserted row instead of using OUTPUT', async t => {
+  const { db, api } = await labels(t);
+  assert.strictEqual((await api.call('POST', '/api/Logs', { body: { Msg: 'hi' } })).status, 201);
+  const [stmt] = db.take();
+  assert.strictEqual(stmt.sql,
+    'SET NOCOUNT ON; INSERT INTO [dbo].[Logs] ([Msg]) VALUES (@v0_0); DECLARE @id numeric(38,0) = SCOPE_IDENTITY(); SELECT [Id], [Msg] FROM [dbo].[Logs] WHERE [Id] = @id;');
+  assert.doesNotMatch(stmt.sql, /OUTPUT/);
+});